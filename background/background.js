@@ -8,6 +8,11 @@ class BackgroundService {
   }
   
   init() {
+    // content script에서 복사 큐(storage.session)에 접근할 수 있도록 허용
+    if (chrome.storage.session && chrome.storage.session.setAccessLevel) {
+      chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' });
+    }
+    
     // 확장프로그램 설치시
     chrome.runtime.onInstalled.addListener(() => {
       console.log('CSS Scanner Extension installed');
@@ -59,6 +64,12 @@ class BackgroundService {
       if (request.action === 'ensureContentScript') {
         const result = await this.ensureContentScript(request.tabId);
         sendResponse(result);
+      } else if (request.action === 'broadcastScanState' && sender.tab) {
+        // 한 프레임에서 바뀐 스캔 모드를 탭의 모든 프레임에 전달
+        chrome.tabs.sendMessage(sender.tab.id, { action: 'toggleScan', enabled: request.enabled }, () => {
+          void chrome.runtime.lastError;
+        });
+        sendResponse({ success: true });
       } else {
         sendResponse({ success: false, error: 'Unknown action' });
       }
@@ -80,7 +91,7 @@ class BackgroundService {
       
       // 먼저 ping으로 content script 확인
       try {
-        const response = await this.sendMessageWithTimeout(tabId, { action: 'ping' }, 1000);
+        const response = await this.sendMessageWithTimeout(tabId, { action: 'ping' }, 1000, { frameId: 0 });
         if (response && response.pong) {
           console.log('Content script already loaded');
           const result = { success: true };
@@ -95,14 +106,14 @@ class BackgroundService {
       try {
         console.log('Injecting content script...');
         
-        // 병렬로 스크립트와 CSS 주입 (성능 최적화)
+        // 병렬로 스크립트와 CSS 주입 (성능 최적화, iframe 포함 모든 프레임)
         await Promise.all([
           chrome.scripting.executeScript({
-            target: { tabId: tabId },
+            target: { tabId: tabId, allFrames: true },
             files: ['content/content.js']
           }),
           chrome.scripting.insertCSS({
-            target: { tabId: tabId },
+            target: { tabId: tabId, allFrames: true },
             files: ['content/content.css']
           })
         ]);
@@ -114,7 +125,7 @@ class BackgroundService {
         
         // 주입 확인 (타임아웃 추가)
         try {
-          const testResponse = await this.sendMessageWithTimeout(tabId, { action: 'ping' }, 2000);
+          const testResponse = await this.sendMessageWithTimeout(tabId, { action: 'ping' }, 2000, { frameId: 0 });
           if (testResponse && testResponse.pong) {
             const result = { success: true };
             this.tabCache.set(tabId, { result, timestamp: Date.now() });
@@ -146,13 +157,13 @@ class BackgroundService {
   }
   
   // 타임아웃이 있는 메시지 전송 (성능 최적화)
-  sendMessageWithTimeout(tabId, message, timeout = 5000) {
+  sendMessageWithTimeout(tabId, message, timeout = 5000, options = {}) {
     return new Promise((resolve, reject) => {
       const timer = setTimeout(() => {
         reject(new Error('Message timeout'));
       }, timeout);
       
-      chrome.tabs.sendMessage(tabId, message, (response) => {
+      chrome.tabs.sendMessage(tabId, message, options, (response) => {
         clearTimeout(timer);
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
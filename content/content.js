@@ -362,18 +362,262 @@ class SafeWrapper {
 // Existing Classes with Enhanced Error Handling
 // =============================================
 
-class StyleCache {
+class ShadowDOMHelper {
+  // Content scripts can reach closed roots through chrome.dom; the page itself cannot
+  static getShadowRoot(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+    if (element.shadowRoot) return element.shadowRoot;
+    
+    try {
+      return (typeof chrome !== 'undefined' && chrome.dom && chrome.dom.openOrClosedShadowRoot)
+        ? chrome.dom.openOrClosedShadowRoot(element) || null
+        : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  static isInShadowTree(element) {
+    return Boolean(element && element.getRootNode && element.getRootNode() instanceof ShadowRoot);
+  }
+  
+  // Event targets are retargeted to the outermost host; descend through each shadow root at the pointer
+  static getDeepTarget(event) {
+    const path = event.composedPath ? event.composedPath() : [];
+    let target = path.find(node => node.nodeType === Node.ELEMENT_NODE) || event.target;
+    
+    for (let root = this.getShadowRoot(target); root; root = this.getShadowRoot(target)) {
+      const inner = root.elementFromPoint ? root.elementFromPoint(event.clientX, event.clientY) : null;
+      if (!inner || inner === target || !root.contains(inner)) break;
+      target = inner;
+    }
+    
+    return target;
+  }
+  
+  // The flat-tree parent: slotted nodes render inside their slot, shadow roots inside their host
+  static getComposedParent(node) {
+    if (!node) return null;
+    if (node.assignedSlot) return node.assignedSlot;
+    if (node.parentElement) return node.parentElement;
+    const parent = node.parentNode;
+    return parent && parent instanceof ShadowRoot ? parent.host : null;
+  }
+  
+  static querySelectorAllDeep(root, selector) {
+    const matches = [];
+    const visit = (scope) => {
+      scope.querySelectorAll('*').forEach(element => {
+        if (element.matches(selector)) matches.push(element);
+        const shadowRoot = this.getShadowRoot(element);
+        if (shadowRoot) visit(shadowRoot);
+      });
+    };
+    visit(root);
+    return matches;
+  }
+  
+  // Resolves each >>> segment inside the shadow roots of the previous segment's matches.
+  // Invalid selectors throw, so callers can tell them apart from selectors with no matches.
+  static querySelectorAllPiercing(selector, root = document) {
+    const segments = selector.split('>>>').map(segment => segment.trim());
+    let scopes = [root];
+    
+    segments.slice(0, -1).forEach(segment => {
+      scopes = scopes
+        .flatMap(scope => Array.from(scope.querySelectorAll(segment)))
+        .map(host => this.getShadowRoot(host))
+        .filter(Boolean);
+    });
+    
+    const last = segments[segments.length - 1];
+    return [...new Set(scopes.flatMap(scope => Array.from(scope.querySelectorAll(last))))];
+  }
+  
+  // Hosts from the outermost document level down to the element's own root
+  static getHostChain(element) {
+    const hosts = [];
+    for (let root = element.getRootNode(); root instanceof ShadowRoot; root = root.host.getRootNode()) {
+      hosts.unshift(root.host);
+    }
+    return hosts;
+  }
+}
+
+class SelectorGenerator {
   constructor(errorHandler) {
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.strategyNames = ['testId', 'id', 'attributes', 'classes', 'tag'];
+    this.priority = [...this.strategyNames];
+    this.testIdAttributes = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+    this.stableAttributes = ['aria-label', 'name', 'role'];
+    this.maxAttributeLength = 100;
+  }
+  
+  // Strategies missing from the list are disabled; the nth-of-type path is always the last resort
+  setPriority(priority) {
+    this.priority = Array.isArray(priority)
+      ? [...new Set(priority.filter(name => this.strategyNames.includes(name)))]
+      : [...this.strategyNames];
+    return this.priority;
+  }
+  
+  generate(element, root) {
+    const result = this.safeWrapper.execute(() => {
+      const segments = [];
+      let current = element;
+      
+      while (current) {
+        const candidates = this.getCandidates(current);
+        for (const candidate of candidates) {
+          const selector = [candidate, ...segments].join(' > ');
+          if (this.isUnique(selector, element, root)) return selector;
+        }
+        
+        segments.unshift(this.getSiblingSegment(current, candidates));
+        current = current.parentElement;
+      }
+      
+      return segments.join(' > ');
+    }, 'SELECTOR_GENERATION_ERROR', { element });
+    
+    return result.success ? result.data : element.tagName.toLowerCase();
+  }
+  
+  // Local selectors for one element, in the configured strategy order
+  getCandidates(element) {
+    const tag = CSS.escape(element.tagName.toLowerCase());
+    const candidates = [];
+    
+    this.priority.forEach(strategy => {
+      switch (strategy) {
+        case 'testId':
+          this.testIdAttributes
+            .filter(attribute => this.isUsableAttribute(element, attribute))
+            .forEach(attribute => candidates.push(this.attributeSelector(attribute, element.getAttribute(attribute))));
+          break;
+          
+        case 'id':
+          if (element.id && this.isStableToken(element.id)) {
+            candidates.push(`#${CSS.escape(element.id)}`);
+          }
+          break;
+          
+        case 'attributes':
+          this.stableAttributes
+            .filter(attribute => this.isUsableAttribute(element, attribute))
+            .forEach(attribute => candidates.push(`${tag}${this.attributeSelector(attribute, element.getAttribute(attribute))}`));
+          break;
+          
+        case 'classes': {
+          const classes = this.getStableClasses(element).map(cls => `.${CSS.escape(cls)}`);
+          classes.forEach(cls => candidates.push(cls));
+          for (let i = 0; i < classes.length; i++) {
+            for (let j = i + 1; j < classes.length; j++) {
+              candidates.push(`${classes[i]}${classes[j]}`);
+            }
+          }
+          classes.forEach(cls => candidates.push(`${tag}${cls}`));
+          break;
+        }
+          
+        case 'tag':
+          candidates.push(tag);
+          break;
+      }
+    });
+    
+    return candidates;
+  }
+  
+  // Shortest local selector that tells the element apart from its siblings
+  getSiblingSegment(element, candidates) {
+    const tag = CSS.escape(element.tagName.toLowerCase());
+    const parent = element.parentElement;
+    if (!parent) return tag;
+    
+    const siblings = Array.from(parent.children);
+    const candidate = candidates.find(selector => this.safeMatchCount(siblings, selector) === 1 && element.matches(selector));
+    if (candidate) return candidate;
+    
+    const sameTag = siblings.filter(sibling => sibling.tagName === element.tagName);
+    return sameTag.length === 1 ? tag : `${tag}:nth-of-type(${sameTag.indexOf(element) + 1})`;
+  }
+  
+  safeMatchCount(elements, selector) {
+    try {
+      return elements.filter(element => element.matches(selector)).length;
+    } catch (e) {
+      return 0;
+    }
+  }
+  
+  isUnique(selector, element, root) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  isUsableAttribute(element, attribute) {
+    const value = element.getAttribute(attribute);
+    return Boolean(value) && value.length <= this.maxAttributeLength;
+  }
+  
+  attributeSelector(attribute, value) {
+    return `[${attribute}="${value.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ')}"]`;
+  }
+  
+  getStableClasses(element) {
+    return Array.from(element.classList)
+      .filter(cls => !cls.includes('css-scanner') && this.isStableToken(cls))
+      .slice(0, 4);
+  }
+  
+  // Generated names (CSS modules, styled-components, Emotion, framework ids) change between builds
+  isStableToken(token) {
+    if (/^(sc|css|jsx|emotion|styled|svelte)-[\w-]{4,}$/.test(token)) return false;
+    if (/^:.*:$|^«.*»$/.test(token)) return false;
+    if (/\d{3,}/.test(token)) return false;
+    
+    const suffix = token.split(/__|_|-/).pop();
+    if (/^(?=.*\d)(?=.*[a-zA-Z])[a-zA-Z0-9]{5,}$/.test(suffix)) return false;
+    if (/^[a-z]+[A-Z][a-z]*[A-Z][a-zA-Z]*$/.test(token) && token.length <= 7) return false;
+    
+    return true;
+  }
+  
+  // Counts matches of a selector that may cross shadow boundaries with >>>
+  countMatches(selector, root = document) {
+    const result = this.safeWrapper.execute(() => {
+      return ShadowDOMHelper.querySelectorAllPiercing(selector, root).length;
+    }, 'SELECTOR_MATCH_COUNT_ERROR', { selector });
+    
+    return result.success ? result.data : 0;
+  }
+}
+
+class StyleCache {
+  constructor(errorHandler, selectorGenerator = new SelectorGenerator(errorHandler)) {
     this.cache = new WeakMap();
     this.selectorCache = new WeakMap();
+    this.selectorGenerator = selectorGenerator;
     this.lastClearTime = Date.now();
     this.maxCacheAge = 30000;
     this.errorHandler = errorHandler;
     this.safeWrapper = new SafeWrapper(errorHandler);
   }
   
-  getComputedStyle(element) {
+  getComputedStyle(element, pseudoElement = null) {
     const result = this.safeWrapper.execute(() => {
+      // Pseudo-element styles are read fresh; the cache is keyed by element only
+      if (pseudoElement) {
+        return this.cacheImportantProperties(window.getComputedStyle(element, pseudoElement));
+      }
+      
       if (!this.cache.has(element)) {
         const computedStyle = window.getComputedStyle(element);
         const cachedStyle = this.cacheImportantProperties(computedStyle);
@@ -390,11 +634,39 @@ class StyleCache {
       }
       
       return cached.style;
+    }, 'STYLE_CACHE_ERROR', { element, pseudoElement });
+    
+    return result.success ? result.data : {};
+  }
+  
+  invalidate(element) {
+    const result = this.safeWrapper.execute(() => {
+      this.cache.delete(element);
     }, 'STYLE_CACHE_ERROR', { element });
     
+    return result.success;
+  }
+  
+  // Every longhand the browser computes, for exports that have to render the same outside the page
+  getFullComputedStyle(element, pseudoElement = null) {
+    const result = this.safeWrapper.execute(() => {
+      return this.cacheAllProperties(window.getComputedStyle(element, pseudoElement));
+    }, 'STYLE_CACHE_ERROR', { element, pseudoElement });
+    
     return result.success ? result.data : {};
   }
   
+  // Custom properties are left out; the values that use them are already resolved
+  cacheAllProperties(computedStyle) {
+    const all = {};
+    for (let i = 0; i < computedStyle.length; i++) {
+      const prop = computedStyle[i];
+      const value = prop.startsWith('--') ? null : computedStyle.getPropertyValue(prop);
+      if (value) all[prop] = value;
+    }
+    return all;
+  }
+  
   cacheImportantProperties(computedStyle) {
     const importantProps = [
       'display', 'position', 'top', 'right', 'bottom', 'left', 'float', 'clear', 'z-index',
@@ -403,9 +675,12 @@ class StyleCache {
       'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
       'border', 'border-width', 'border-style', 'border-color', 'border-radius',
       'background', 'background-color', 'background-image', 'background-size',
-      'font-family', 'font-size', 'font-weight', 'line-height', 'color', 'text-align',
-      'flex', 'flex-direction', 'justify-content', 'align-items', 'grid',
-      'opacity', 'transform', 'transition', 'box-shadow'
+      'font-family', 'font-size', 'font-weight', 'font-style', 'font-variant', 'font-stretch', 'font-kerning',
+      'font-feature-settings', 'font-variation-settings', 'font-optical-sizing', 'font-size-adjust',
+      'line-height', 'letter-spacing', 'color', 'text-align',
+      'text-decoration-line', 'content', 'flex', 'flex-direction', 'justify-content', 'align-items', 'grid',
+      'grid-template-columns', 'grid-template-rows', 'gap', 'row-gap', 'column-gap',
+      'opacity', 'transform', 'transition', 'animation', 'box-shadow'
     ];
     
     const cached = {};
@@ -434,58 +709,34 @@ class StyleCache {
     return result.success ? result.data : 'unknown';
   }
   
+  // Inside shadow trees each segment is scoped to its root and joined to the host's selector with >>>
   generateOptimizedSelector(element) {
-    if (!element || element === document.body) return 'body';
+    if (!element || element === element.ownerDocument.body) return 'body';
     
     const result = this.safeWrapper.execute(() => {
-      if (element.id) {
-        return `#${element.id}`;
-      }
-      
-      if (element.className) {
-        const classes = element.className.split(' ')
-          .filter(cls => cls && !cls.includes('css-scanner'))
-          .slice(0, 3);
-        
-        if (classes.length > 0) {
-          const classSelector = '.' + classes.join('.');
-          try {
-            const matches = document.querySelectorAll(classSelector);
-            if (matches.length <= 5) {
-              return classSelector;
-            }
-          } catch (e) {
-            // Ignore invalid selector
-          }
-        }
-      }
-      
-      const path = [];
-      let current = element;
-      let depth = 0;
-      
-      while (current && current !== document.body && depth < 3) {
-        let selector = current.tagName.toLowerCase();
-        
-        if (current.parentNode) {
-          const siblings = Array.from(current.parentNode.children || []);
-          if (siblings.length > 1 && siblings.length <= 10) {
-            const index = siblings.indexOf(current) + 1;
-            selector += `:nth-child(${index})`;
-          }
-        }
-        
-        path.unshift(selector);
-        current = current.parentElement;
-        depth++;
+      const root = element.getRootNode();
+      if (root instanceof ShadowRoot) {
+        return `${this.getSelector(root.host)} >>> ${this.generateScopedSelector(element, root)}`;
       }
-      
-      return path.join(' > ') || element.tagName?.toLowerCase() || 'unknown';
+      return this.generateScopedSelector(element, root);
     }, 'SELECTOR_GENERATION_ERROR', { element });
     
     return result.success ? result.data : 'unknown';
   }
   
+  generateScopedSelector(element, root) {
+    return this.selectorGenerator.generate(element, root);
+  }
+  
+  getMatchCount(selector) {
+    return this.selectorGenerator.countMatches(selector);
+  }
+  
+  setSelectorPriority(priority) {
+    this.selectorCache = new WeakMap();
+    return this.selectorGenerator.setPriority(priority);
+  }
+  
   clear() {
     const result = this.safeWrapper.execute(() => {
       this.cache = new WeakMap();
@@ -561,570 +812,7123 @@ class PerformanceMonitor {
   }
 }
 
-class CSSAnalyzer {
-  constructor(styleCache, errorHandler) {
-    this.styleCache = styleCache;
+class CascadeAnalyzer {
+  constructor(errorHandler) {
     this.errorHandler = errorHandler;
     this.safeWrapper = new SafeWrapper(errorHandler);
-    this.cssCategories = this.initializeCSSCategories();
+    this.ruleIndexCache = new Map();
+    this.maxCacheAge = 30000;
+    this.longhandCache = new Map();
+    this.probeStyle = null;
   }
   
-  initializeCSSCategories() {
+  // Flatten every applicable style rule in the document (or one shadow root), keeping the context
+  // (sheet, layer, conditions) needed to order them in the cascade
+  getRuleIndex(root = document) {
+    const result = this.safeWrapper.execute(() => {
+      const cached = this.ruleIndexCache.get(root);
+      if (cached && Date.now() - cached.timestamp < this.maxCacheAge) {
+        return cached.index;
+      }
+      
+      const index = this.createRuleIndex();
+      let order = 0;
+      
+      this.walkStyleSheets((rule, context) => {
+        if (this.getRuleKind(rule) === 'style') {
+          index.styleRules.push({
+            rule,
+            selectorText: context.selectorText,
+            sheetUrl: context.sheetUrl,
+            sheetLabel: context.sheetLabel,
+            ruleIndex: context.rulePath.join('.'),
+            conditions: context.conditions.slice(),
+            layerName: context.layerPath.length > 0 ? context.layerPath.join('.') : null,
+            layerRank: this.getLayerRank(index.layerTree, context.layerPath),
+            order: order++
+          });
+        } else if (this.getRuleKind(rule) === 'fontFace') {
+          index.fontFaceRules.push({ rule, sheetUrl: context.sheetUrl });
+        } else if (this.getRuleKind(rule) === 'keyframes') {
+          index.keyframesRules.push({ rule, sheetUrl: context.sheetUrl });
+        }
+      }, index, root);
+      
+      this.ruleIndexCache.set(root, { index, timestamp: Date.now() });
+      return index;
+    }, 'CASCADE_RULE_INDEX_ERROR', { root });
+    
+    return result.success ? result.data : this.createRuleIndex();
+  }
+  
+  createRuleIndex() {
     return {
-      layout: ['display', 'position', 'top', 'right', 'bottom', 'left', 'float', 'clear', 'z-index'],
-      boxModel: ['width', 'height', 'min-width', 'min-height', 'max-width', 'max-height', 'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left', 'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left'],
-      border: ['border', 'border-width', 'border-style', 'border-color', 'border-radius', 'border-top', 'border-right', 'border-bottom', 'border-left'],
-      background: ['background', 'background-color', 'background-image', 'background-size', 'background-position', 'background-repeat'],
-      typography: ['font-family', 'font-size', 'font-weight', 'line-height', 'color', 'text-align', 'text-decoration', 'letter-spacing'],
-      flexGrid: ['flex', 'flex-direction', 'justify-content', 'align-items', 'grid', 'grid-template-columns', 'grid-template-rows', 'gap'],
-      effects: ['opacity', 'transform', 'transition', 'animation', 'box-shadow', 'filter']
+      styleRules: [],
+      fontFaceRules: [],
+      keyframesRules: [],
+      inaccessibleSheets: [],
+      layerTree: new Map()
     };
   }
   
-  extractCSSInfo(element) {
-    const result = this.safeWrapper.execute(() => {
-      if (!element) {
-        throw new Error('Element is null or undefined');
+  // Visits every rule that currently applies; grouping rules whose condition fails are skipped
+  walkStyleSheets(visitor, index = this.createRuleIndex(), root = document) {
+    const sheets = [
+      ...Array.from(root.styleSheets || []),
+      ...Array.from(root.adoptedStyleSheets || [])
+    ];
+    
+    sheets.forEach((sheet, sheetIndex) => {
+      // Stylesheets injected by the scanner itself are not part of the page cascade
+      if (sheet.ownerNode && sheet.ownerNode.hasAttribute && sheet.ownerNode.hasAttribute('data-css-scanner')) {
+        return;
       }
       
-      const computedStyle = this.styleCache.getComputedStyle(element);
-      const selector = this.styleCache.getSelector(element);
-      const inlineStyle = this.extractInlineStyles(element);
-      
-      const cssInfo = {
-        element: {
-          tagName: element.tagName.toLowerCase(),
-          className: element.className || '',
-          id: element.id || '',
-          selector: selector
-        },
-        computed: computedStyle,
-        inline: inlineStyle,
-        categorized: this.categorizeStyles(computedStyle)
+      const sheetUrl = sheet.href || null;
+      const context = {
+        sheetUrl,
+        sheetLabel: this.getSheetLabel(sheet, sheetIndex),
+        rulePath: [],
+        conditions: [],
+        layerPath: [],
+        selectorText: null
       };
-      
-      return cssInfo;
-    }, 'CSS_ANALYSIS_FAILED', { element });
+      this.walkSheet(sheet, context, visitor, index);
+    });
+  }
+  
+  walkSheet(sheet, context, visitor, index) {
+    if (!sheet || sheet.disabled) return;
     
-    if (!result.success) {
-      // Provide basic info at least
-      return {
-        element: {
-          tagName: element?.tagName?.toLowerCase() || 'unknown',
-          className: element?.className || '',
-          id: element?.id || '',
-          selector: 'unknown'
-        },
-        computed: {},
-        inline: {},
-        categorized: {}
-      };
+    if (sheet.media && sheet.media.mediaText && !window.matchMedia(sheet.media.mediaText).matches) {
+      return;
     }
     
-    return result.data;
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (e) {
+      // Cross-origin stylesheets without CORS headers cannot be read
+      index.inaccessibleSheets.push(sheet.href || context.sheetLabel);
+      return;
+    }
+    
+    this.walkRules(rules, context, visitor, index);
   }
   
-  extractInlineStyles(element) {
-    const result = this.safeWrapper.execute(() => {
-      const inline = {};
-      const style = element.style;
-      
-      if (!style || style.length === 0) {
-        return inline;
-      }
+  walkRules(rules, context, visitor, index) {
+    Array.from(rules || []).forEach((rule, ruleIndex) => {
+      const ruleContext = { ...context, rulePath: [...context.rulePath, ruleIndex] };
+      const kind = this.getRuleKind(rule);
       
-      if (style.cssText) {
-        const declarations = style.cssText.split(';').filter(decl => decl.trim());
-        for (const declaration of declarations) {
-          const colonIndex = declaration.indexOf(':');
-          if (colonIndex > 0) {
-            const prop = declaration.slice(0, colonIndex).trim();
-            const value = declaration.slice(colonIndex + 1).trim();
-            if (prop && value) {
-              inline[prop] = value;
-            }
+      switch (kind) {
+        case 'style': {
+          const selectorText = context.selectorText
+            ? this.resolveNestedSelector(rule.selectorText, context.selectorText)
+            : rule.selectorText;
+          const styleContext = { ...ruleContext, selectorText };
+          visitor(rule, styleContext);
+          if (rule.cssRules && rule.cssRules.length > 0) {
+            this.walkRules(rule.cssRules, styleContext, visitor, index);
           }
+          break;
         }
-      } else {
-        for (let i = 0; i < style.length; i++) {
-          const prop = style[i];
-          const value = style.getPropertyValue(prop);
-          if (value) {
-            inline[prop] = value;
+          
+        case 'media':
+          if (window.matchMedia(rule.media.mediaText).matches) {
+            this.walkRules(rule.cssRules, {
+              ...ruleContext,
+              conditions: [...context.conditions, `@media ${rule.media.mediaText}`]
+            }, visitor, index);
+          }
+          break;
+          
+        case 'supports':
+          if (CSS.supports(rule.conditionText)) {
+            this.walkRules(rule.cssRules, {
+              ...ruleContext,
+              conditions: [...context.conditions, `@supports ${rule.conditionText}`]
+            }, visitor, index);
           }
+          break;
+          
+        case 'container':
+          // Container queries depend on the query container; keep them and label the condition
+          this.walkRules(rule.cssRules, {
+            ...ruleContext,
+            conditions: [...context.conditions, `@container ${rule.conditionText}`]
+          }, visitor, index);
+          break;
+          
+        case 'layerBlock': {
+          const layerPath = this.registerLayer(index, context.layerPath, rule.name);
+          this.walkRules(rule.cssRules, {
+            ...ruleContext,
+            layerPath,
+            conditions: [...context.conditions, `@layer ${layerPath.join('.')}`]
+          }, visitor, index);
+          break;
+        }
+          
+        case 'layerStatement':
+          Array.from(rule.nameList || []).forEach(name => {
+            this.registerLayer(index, context.layerPath, name);
+          });
+          break;
+          
+        case 'import': {
+          if (rule.media && rule.media.mediaText && !window.matchMedia(rule.media.mediaText).matches) {
+            break;
+          }
+          const importContext = {
+            ...ruleContext,
+            sheetUrl: rule.styleSheet?.href || rule.href,
+            sheetLabel: this.getUrlLabel(rule.styleSheet?.href || rule.href),
+            rulePath: []
+          };
+          if (rule.layerName !== null && rule.layerName !== undefined) {
+            importContext.layerPath = this.registerLayer(index, context.layerPath, rule.layerName);
+          }
+          this.walkSheet(rule.styleSheet, importContext, visitor, index);
+          break;
         }
+          
+        default:
+          visitor(rule, ruleContext);
       }
-      
-      return inline;
-    }, 'INLINE_STYLE_EXTRACTION_ERROR', { element });
-    
-    return result.success ? result.data : {};
+    });
   }
   
-  categorizeStyles(computedStyle) {
-    const result = this.safeWrapper.execute(() => {
-      const categorized = {};
-      
-      for (const [category, properties] of Object.entries(this.cssCategories)) {
-        const categoryData = {};
-        
-        for (const prop of properties) {
-          const value = computedStyle[prop];
-          if (value && this.isValidCSSValue(value)) {
-            categoryData[prop] = value;
-          }
-        }
-        
-        if (Object.keys(categoryData).length > 0) {
-          categorized[category] = categoryData;
-        }
+  getRuleKind(rule) {
+    if (window.CSSStyleRule && rule instanceof CSSStyleRule) return 'style';
+    if (window.CSSMediaRule && rule instanceof CSSMediaRule) return 'media';
+    if (window.CSSSupportsRule && rule instanceof CSSSupportsRule) return 'supports';
+    if (window.CSSContainerRule && rule instanceof CSSContainerRule) return 'container';
+    if (window.CSSLayerBlockRule && rule instanceof CSSLayerBlockRule) return 'layerBlock';
+    if (window.CSSLayerStatementRule && rule instanceof CSSLayerStatementRule) return 'layerStatement';
+    if (window.CSSImportRule && rule instanceof CSSImportRule) return 'import';
+    if (window.CSSFontFaceRule && rule instanceof CSSFontFaceRule) return 'fontFace';
+    if (window.CSSKeyframesRule && rule instanceof CSSKeyframesRule) return 'keyframes';
+    return 'other';
+  }
+  
+  getSheetLabel(sheet, sheetIndex) {
+    if (sheet.href) return this.getUrlLabel(sheet.href);
+    if (sheet.ownerNode) return `<style> #${sheetIndex + 1}`;
+    return `adopted sheet #${sheetIndex + 1}`;
+  }
+  
+  getUrlLabel(url) {
+    if (!url) return 'unknown';
+    try {
+      const { pathname } = new URL(url, location.href);
+      return pathname.split('/').filter(Boolean).pop() || url;
+    } catch (e) {
+      return url;
+    }
+  }
+  
+  // Nested rules are relative to their parent; "&" refers to the parent selector
+  resolveNestedSelector(selectorText, parentSelector) {
+    return this.splitSelectorList(selectorText).map(selector => {
+      if (selector.includes('&')) {
+        return selector.replace(/&/g, `:is(${parentSelector})`);
       }
-      
-      return categorized;
-    }, 'STYLE_CATEGORIZATION_ERROR', { computedStyle });
+      return `:is(${parentSelector}) ${selector}`;
+    }).join(', ');
+  }
+  
+  // =============================================
+  // Layer ordering
+  // =============================================
+  
+  registerLayer(index, parentPath, name) {
+    let path = [...parentPath];
+    const segments = name ? name.split('.').map(s => s.trim()) : [null];
     
-    return result.success ? result.data : {};
+    for (const segment of segments) {
+      const key = path.join('.');
+      if (!index.layerTree.has(key)) {
+        index.layerTree.set(key, new Map());
+      }
+      const siblings = index.layerTree.get(key);
+      const layerName = segment || `<anonymous-${siblings.size + 1}>`;
+      if (!siblings.has(layerName)) {
+        siblings.set(layerName, siblings.size);
+      }
+      path = [...path, layerName];
+    }
+    
+    return path;
+  }
+  
+  // Declarations outside any sub-layer win over those inside, so every rank ends in Infinity
+  getLayerRank(layerTree, layerPath) {
+    const rank = [];
+    for (let i = 0; i < layerPath.length; i++) {
+      const siblings = layerTree.get(layerPath.slice(0, i).join('.'));
+      rank.push(siblings ? siblings.get(layerPath[i]) : 0);
+    }
+    rank.push(Infinity);
+    return rank;
+  }
+  
+  compareLayerRanks(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      const left = a[i] ?? -1;
+      const right = b[i] ?? -1;
+      if (left !== right) return left < right ? -1 : 1;
+    }
+    return 0;
+  }
+  
+  // =============================================
+  // Specificity
+  // =============================================
+  
+  splitSelectorList(selectorText) {
+    const selectors = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    
+    for (let i = 0; i < selectorText.length; i++) {
+      const ch = selectorText[i];
+      if (ch === '\\') {
+        current += ch + (selectorText[i + 1] || '');
+        i++;
+        continue;
+      }
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(' || ch === '[') {
+        depth++;
+      } else if (ch === ')' || ch === ']') {
+        depth--;
+      } else if (ch === ',' && depth === 0) {
+        selectors.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+    
+    if (current.trim()) selectors.push(current.trim());
+    return selectors;
   }
   
-  isValidCSSValue(value) {
+  calculateSpecificity(selector) {
     const result = this.safeWrapper.execute(() => {
-      if (!value || typeof value !== 'string') return false;
+      const specificity = [0, 0, 0];
+      const s = selector;
+      let i = 0;
       
-      const invalidValues = [
-        'auto', 'normal', 'none', 'initial', 'inherit', 'unset',
-        '0px', '0', 'rgba(0, 0, 0, 0)', 'transparent'
-      ];
+      while (i < s.length) {
+        const ch = s[i];
+        
+        if (ch === '#') {
+          specificity[0]++;
+          i = this.skipIdentifier(s, i + 1);
+        } else if (ch === '.') {
+          specificity[1]++;
+          i = this.skipIdentifier(s, i + 1);
+        } else if (ch === '[') {
+          specificity[1]++;
+          i = this.findClosing(s, i) + 1;
+        } else if (ch === ':') {
+          i = this.addPseudoSpecificity(s, i, specificity);
+        } else if (this.isIdentifierChar(ch) || ch === '\\') {
+          specificity[2]++;
+          i = this.skipIdentifier(s, i);
+        } else {
+          i++;
+        }
+      }
       
-      return !invalidValues.includes(value.trim());
-    }, 'CSS_VALUE_VALIDATION_ERROR', { value });
+      return specificity;
+    }, 'SPECIFICITY_CALCULATION_ERROR', { selector });
     
-    return result.success ? result.data : false;
+    return result.success ? result.data : [0, 0, 0];
   }
-}
-
-class ClipboardManager {
-  constructor(errorHandler) {
-    this.errorHandler = errorHandler;
-    this.safeWrapper = new SafeWrapper(errorHandler);
+  
+  addPseudoSpecificity(s, start, specificity) {
+    const isElement = s[start + 1] === ':';
+    const nameStart = start + (isElement ? 2 : 1);
+    const nameEnd = this.skipIdentifier(s, nameStart);
+    const name = s.slice(nameStart, nameEnd).toLowerCase();
+    let args = null;
+    let next = nameEnd;
     
-    this.copyTypeNames = {
-      selector: 'Selector',
-      all: 'All CSS',
-      computed: 'Computed styles',
-      inline: 'Inline styles'
+    if (s[nameEnd] === '(') {
+      const close = this.findClosing(s, nameEnd);
+      args = s.slice(nameEnd + 1, close);
+      next = close + 1;
+    }
+    
+    const addMax = (selectorList) => {
+      const max = this.splitSelectorList(selectorList)
+        .map(sel => this.calculateSpecificity(sel))
+        .reduce((best, spec) => this.compareSpecificity(spec, best) > 0 ? spec : best, [0, 0, 0]);
+      specificity[0] += max[0];
+      specificity[1] += max[1];
+      specificity[2] += max[2];
     };
+    
+    if (isElement || ['before', 'after', 'first-line', 'first-letter'].includes(name)) {
+      specificity[2]++;
+      if (args && name === 'slotted') addMax(args);
+    } else if (name === 'where') {
+      // :where() never adds specificity
+    } else if (['is', 'not', 'has', 'matches', '-webkit-any', '-moz-any'].includes(name)) {
+      if (args) addMax(args);
+    } else if (['nth-child', 'nth-last-child'].includes(name)) {
+      specificity[1]++;
+      const ofMatch = args && args.match(/\sof\s+(.+)$/i);
+      if (ofMatch) addMax(ofMatch[1]);
+    } else if (['host', 'host-context'].includes(name)) {
+      specificity[1]++;
+      if (args) addMax(args);
+    } else {
+      specificity[1]++;
+    }
+    
+    return next;
   }
   
-  async copyToClipboard(elementData, type) {
-    const result = await this.safeWrapper.executeAsync(async () => {
-      if (!elementData) {
-        throw new Error('No data available.');
+  isIdentifierChar(ch) {
+    return /[\w-]/.test(ch) || ch.charCodeAt(0) > 127;
+  }
+  
+  skipIdentifier(s, start) {
+    let i = start;
+    while (i < s.length) {
+      if (s[i] === '\\') {
+        i += 2;
+      } else if (this.isIdentifierChar(s[i])) {
+        i++;
+      } else {
+        break;
       }
-
-      let textToCopy = '';
-      const selector = elementData.element?.selector || '';
-      
-      switch (type) {
-        case 'selector':
-          textToCopy = selector;
-          break;
-          
-        case 'all':
-        case 'computed':
-          textToCopy = this.generateAllCSSText(elementData, selector);
-          break;
-          
-        case 'inline':
-          textToCopy = this.generateInlineCSSText(elementData, selector);
-          break;
-          
-        default:
-          throw new Error('Unknown copy type.');
+    }
+    return i;
+  }
+  
+  findClosing(s, openIndex) {
+    const open = s[openIndex];
+    const close = open === '[' ? ']' : ')';
+    let depth = 0;
+    let quote = null;
+    
+    for (let i = openIndex; i < s.length; i++) {
+      const ch = s[i];
+      if (ch === '\\') {
+        i++;
+      } else if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === open) {
+        depth++;
+      } else if (ch === close) {
+        depth--;
+        if (depth === 0) return i;
       }
-
-      if (!this.isValidCopyText(textToCopy, selector)) {
-        throw new Error('No CSS content to copy.');
+    }
+    
+    return s.length - 1;
+  }
+  
+  compareSpecificity(a, b) {
+    for (let i = 0; i < 3; i++) {
+      if (a[i] !== b[i]) return a[i] > b[i] ? 1 : -1;
+    }
+    return 0;
+  }
+  
+  // =============================================
+  // Declarations
+  // =============================================
+  
+  parseDeclarations(cssText) {
+    const declarations = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    
+    const flush = () => {
+      const colonIndex = current.indexOf(':');
+      if (colonIndex > 0) {
+        const rawProp = current.slice(0, colonIndex).trim();
+        let value = current.slice(colonIndex + 1).trim();
+        const important = /!\s*important\s*$/i.test(value);
+        if (important) {
+          value = value.replace(/!\s*important\s*$/i, '').trim();
+        }
+        if (rawProp && value) {
+          declarations.push({
+            property: rawProp.startsWith('--') ? rawProp : rawProp.toLowerCase(),
+            value,
+            important
+          });
+        }
       }
-
-      const success = await this.performCopy(textToCopy);
-      if (!success) {
-        throw new Error('Copy failed.');
+      current = '';
+    };
+    
+    for (let i = 0; i < cssText.length; i++) {
+      const ch = cssText[i];
+      if (ch === '\\') {
+        current += ch + (cssText[i + 1] || '');
+        i++;
+        continue;
       }
-      
-      return this.copyTypeNames[type] || 'Content';
-    }, 'CLIPBOARD_WRITE_FAILED', { elementData, type });
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        depth--;
+      } else if (ch === ';' && depth === 0) {
+        flush();
+        continue;
+      }
+      current += ch;
+    }
+    flush();
     
-    if (!result.success) {
-      throw new Error(result.error);
+    return declarations;
+  }
+  
+  // Shorthands are expanded with a detached style object so overrides can be tracked per longhand
+  getLonghands(property, value) {
+    if (property.startsWith('--')) return [property];
+    if (this.longhandCache.has(property)) return this.longhandCache.get(property);
+    
+    if (!this.probeStyle) {
+      this.probeStyle = document.createElement('div').style;
     }
     
-    return result.data;
+    this.probeStyle.cssText = '';
+    this.probeStyle.setProperty(property, value);
+    const longhands = Array.from(this.probeStyle);
+    
+    if (longhands.length === 0) return [property];
+    
+    this.longhandCache.set(property, longhands);
+    return longhands;
   }
   
-  generateAllCSSText(elementData, selector) {
+  // =============================================
+  // Cascade
+  // =============================================
+  
+  analyzeCascade(element, options = {}) {
     const result = this.safeWrapper.execute(() => {
-      const computedStyles = elementData.computed || {};
+      if (!element || !element.matches) {
+        throw new Error('Element is not inspectable');
+      }
       
-      if (Object.keys(computedStyles).length === 0) {
-        const categorizedStyles = elementData.categorized || {};
-        const allStyles = {};
+      // Rules from a shadow root's own sheets are the ones that can match inside it
+      const index = this.getRuleIndex(element.getRootNode());
+      const matchedRules = [];
+      
+      index.styleRules.forEach(entry => {
+        const specificity = this.getMatchingSpecificity(element, entry.selectorText, options);
+        if (!specificity) return;
         
-        Object.values(categorizedStyles).forEach(categoryStyles => {
-          if (categoryStyles && typeof categoryStyles === 'object') {
-            Object.assign(allStyles, categoryStyles);
-          }
+        matchedRules.push({
+          selector: entry.selectorText,
+          specificity,
+          origin: 'author',
+          layerName: entry.layerName,
+          layerRank: entry.layerRank,
+          sheetUrl: entry.sheetUrl,
+          sheetLabel: entry.sheetLabel,
+          ruleIndex: entry.ruleIndex,
+          conditions: entry.conditions,
+          order: entry.order,
+          declarations: this.parseDeclarations(entry.rule.style.cssText)
+        });
+      });
+      
+      if (!options.pseudoElement && element.style && element.style.length > 0) {
+        matchedRules.push({
+          selector: 'element.style',
+          specificity: [0, 0, 0],
+          origin: 'inline',
+          layerName: null,
+          layerRank: [Infinity],
+          sheetUrl: null,
+          sheetLabel: 'style attribute',
+          ruleIndex: null,
+          conditions: [],
+          order: Infinity,
+          declarations: this.parseDeclarations(element.style.cssText)
         });
-        
-        return this.generateCSSText(allStyles, selector);
-      } else {
-        return this.generateCSSText(computedStyles, selector);
       }
-    }, 'CSS_TEXT_GENERATION_ERROR', { elementData, selector });
+      
+      this.resolveWinners(matchedRules);
+      
+      matchedRules.sort((a, b) => this.compareRules(b, a));
+      
+      return {
+        rules: matchedRules.map(({ layerRank, order, ...rule }) => rule),
+        inaccessibleSheets: index.inaccessibleSheets
+      };
+    }, 'CASCADE_ANALYSIS_ERROR', { element, options });
     
-    return result.success ? result.data : '';
+    return result.success ? result.data : { rules: [], inaccessibleSheets: [] };
   }
   
-  generateInlineCSSText(elementData, selector) {
-    const result = this.safeWrapper.execute(() => {
-      const inlineStyles = elementData.inline || {};
+  getMatchingSpecificity(element, selectorText, options = {}) {
+    let best = null;
+    
+    for (const selector of this.splitSelectorList(selectorText || '')) {
+      let target = selector;
       
-      if (Object.keys(inlineStyles).length === 0) {
-        throw new Error('No inline styles found.');
+      if (options.pseudoElement) {
+        target = this.stripPseudoElement(selector, options.pseudoElement);
+        if (target === null) continue;
       }
       
-      return this.generateCSSText(inlineStyles, selector);
-    }, 'INLINE_CSS_GENERATION_ERROR', { elementData, selector });
-    
-    if (!result.success) {
-      throw new Error(result.error);
+      if (options.forcedStates && options.forcedStates.length > 0) {
+        target = this.applyForcedStates(target, options.forcedStates);
+      }
+      
+      let matches = false;
+      try {
+        matches = element.matches(target);
+      } catch (e) {
+        // Selectors the engine keeps but cannot match against (e.g. pseudo-elements)
+      }
+      
+      if (matches) {
+        const specificity = this.calculateSpecificity(selector);
+        if (!best || this.compareSpecificity(specificity, best) > 0) {
+          best = specificity;
+        }
+      }
     }
     
-    return result.data;
+    return best;
   }
   
-  generateCSSText(styles, selector = null) {
-    const result = this.safeWrapper.execute(() => {
-      if (!styles || typeof styles !== 'object' || Object.keys(styles).length === 0) {
-        return '';
-      }
-
-      const cssLines = Object.entries(styles)
-        .filter(([prop, value]) => {
-          return value && 
-                 value !== 'none' && 
-                 value !== 'auto' && 
-                 value !== 'normal' && 
-                 value !== 'initial' &&
-                 value !== '0px' &&
-                 value !== 'rgba(0, 0, 0, 0)';
-        })
-        .sort(([a], [b]) => a.localeCompare(b))
-        .map(([prop, value]) => `  ${prop}: ${value};`);
-
-      if (cssLines.length === 0) {
-        return '';
-      }
-
-      return selector ? 
-        `${selector} {\n${cssLines.join('\n')}\n}` : 
-        `{\n${cssLines.join('\n')}\n}`;
-    }, 'CSS_TEXT_FORMAT_ERROR', { styles, selector });
+  // Returns the originating element's selector, or null when the selector targets another pseudo-element
+  stripPseudoElement(selector, pseudoElement) {
+    const name = pseudoElement.replace(/^::?/, '');
+    const legacy = ['before', 'after', 'first-line', 'first-letter'].includes(name);
+    const pattern = new RegExp(`${legacy ? '::?' : '::'}${name}$`, 'i');
     
-    return result.success ? result.data : '';
+    if (!pattern.test(selector)) return null;
+    
+    const originating = selector.replace(pattern, '').trim();
+    return originating === '' || /[>+~]$/.test(originating) ? `${originating}*` : originating;
   }
   
-  isValidCopyText(textToCopy, selector) {
-    const result = this.safeWrapper.execute(() => {
-      return textToCopy && 
-             textToCopy.trim() !== '' && 
-             textToCopy !== '{}' && 
-             textToCopy !== `${selector} {\n\n}`;
-    }, 'COPY_TEXT_VALIDATION_ERROR', { textToCopy, selector });
-    
-    return result.success ? result.data : false;
+  // Dynamic pseudo-classes cannot be triggered from script, so they are mapped to a marker attribute
+  applyForcedStates(selector, states) {
+    return states.reduce((result, state) => {
+      const name = state.replace(/^:/, '');
+      return result.replace(
+        new RegExp(`(^|[^:]):${name}(?![\\w-])`, 'g'),
+        `$1[data-css-scanner-state~="${name}"]`
+      );
+    }, selector);
   }
   
-  async performCopy(text) {
-    const result = await this.safeWrapper.executeAsync(async () => {
-      // Try modern Clipboard API first
-      if (navigator.clipboard && navigator.clipboard.writeText) {
-        try {
-          await navigator.clipboard.writeText(text);
-          return true;
-        } catch (err) {
-          console.log('Clipboard API failed, trying fallback:', err);
+  resolveWinners(matchedRules) {
+    const candidates = new Map();
+    
+    matchedRules.forEach(rule => {
+      rule.declarations.forEach(declaration => {
+        declaration.longhands = this.getLonghands(declaration.property, declaration.value);
+        declaration.longhands.forEach(longhand => {
+          if (!candidates.has(longhand)) candidates.set(longhand, []);
+          candidates.get(longhand).push({ rule, declaration });
+        });
+      });
+    });
+    
+    const winners = new Set();
+    candidates.forEach((entries, longhand) => {
+      const winner = entries.reduce((best, entry) => {
+        return this.compareDeclarations(entry, best) >= 0 ? entry : best;
+      });
+      winners.add(`${longhand}\u0000${this.getDeclarationKey(winner)}`);
+    });
+    
+    matchedRules.forEach(rule => {
+      rule.declarations.forEach(declaration => {
+        const key = this.getDeclarationKey({ rule, declaration });
+        const won = declaration.longhands.filter(longhand => winners.has(`${longhand}\u0000${key}`));
+        
+        if (won.length === declaration.longhands.length) {
+          declaration.status = 'active';
+        } else if (won.length === 0) {
+          declaration.status = 'overridden';
+        } else {
+          declaration.status = 'partial';
         }
-      }
-      
-      // Fallback: execCommand method
-      const textArea = document.createElement('textarea');
-      textArea.value = text;
-      
-      Object.assign(textArea.style, {
-        position: 'fixed',
-        left: '-999999px',
-        top: '-999999px',
-        opacity: '0',
-        pointerEvents: 'none',
-        width: '1px',
-        height: '1px'
+        delete declaration.longhands;
       });
-      
-      document.body.appendChild(textArea);
-      textArea.select();
-      textArea.setSelectionRange(0, 99999);
-      
-      const success = document.execCommand('copy');
-      document.body.removeChild(textArea);
-      
-      return success;
-    }, 'CLIPBOARD_ACCESS_DENIED', { text });
+    });
+  }
+  
+  getDeclarationKey({ rule, declaration }) {
+    return `${rule.order}:${rule.declarations.indexOf(declaration)}`;
+  }
+  
+  // Positive when declaration a wins over b
+  compareDeclarations(a, b) {
+    if (a.declaration.important !== b.declaration.important) {
+      return a.declaration.important ? 1 : -1;
+    }
     
-    return result.success ? result.data : false;
+    // Style attribute declarations win over any stylesheet rule of the same importance
+    if (a.rule.origin !== b.rule.origin) {
+      return a.rule.origin === 'inline' ? 1 : -1;
+    }
+    
+    const layerComparison = this.compareLayerRanks(a.rule.layerRank, b.rule.layerRank);
+    if (layerComparison !== 0) {
+      // Layer precedence is reversed for !important declarations
+      return a.declaration.important ? -layerComparison : layerComparison;
+    }
+    
+    return this.compareRules(a.rule, b.rule, false);
+  }
+  
+  compareRules(a, b, includeLayers = true) {
+    if (a.origin !== b.origin) {
+      return a.origin === 'inline' ? 1 : -1;
+    }
+    
+    if (includeLayers) {
+      const layerComparison = this.compareLayerRanks(a.layerRank, b.layerRank);
+      if (layerComparison !== 0) return layerComparison;
+    }
+    
+    const specificityComparison = this.compareSpecificity(a.specificity, b.specificity);
+    if (specificityComparison !== 0) return specificityComparison;
+    
+    if (a.order === b.order) {
+      return 0;
+    }
+    return a.order > b.order ? 1 : -1;
+  }
+  
+  clear() {
+    this.ruleIndexCache = new Map();
   }
 }
 
-class ElementSelector {
-  constructor(errorHandler) {
-    this.highlightedElement = null;
-    this.lastHoverElement = null;
+class PseudoStateManager {
+  constructor(cascadeAnalyzer, errorHandler) {
+    this.cascadeAnalyzer = cascadeAnalyzer;
     this.errorHandler = errorHandler;
     this.safeWrapper = new SafeWrapper(errorHandler);
+    this.supportedStates = [':hover', ':focus', ':focus-visible', ':active', ':checked'];
+    this.forcedElement = null;
+    this.forcedStates = [];
+    this.styleElement = null;
   }
   
-  highlightElement(element) {
+  toggleState(element, state) {
     const result = this.safeWrapper.executeDOMOperation(() => {
-      if (!element || !element.classList) return false;
+      if (!this.supportedStates.includes(state)) {
+        throw new Error(`Unsupported state: ${state}`);
+      }
       
-      this.removeHighlight();
-      element.classList.add('css-scanner-highlight');
-      this.highlightedElement = element;
-      this.lastHoverElement = element;
-      return true;
-    }, 'ELEMENT_HIGHLIGHT_ERROR', { element });
+      const current = element === this.forcedElement ? this.forcedStates : [];
+      const states = current.includes(state)
+        ? current.filter(s => s !== state)
+        : [...current, state];
+      
+      this.applyStates(element, states);
+      return this.forcedStates;
+    }, 'PSEUDO_STATE_TOGGLE_ERROR', { element, state });
     
-    return result.success ? result.data : false;
+    return result.success ? result.data : [];
   }
   
-  removeHighlight() {
+  applyStates(element, states) {
     const result = this.safeWrapper.executeDOMOperation(() => {
-      if (this.highlightedElement && this.highlightedElement.classList) {
-        this.highlightedElement.classList.remove('css-scanner-highlight');
-        this.highlightedElement = null;
+      this.clear();
+      if (!element || states.length === 0) return;
+      
+      this.forcedElement = element;
+      this.forcedStates = states;
+      element.setAttribute('data-css-scanner-state', states.map(s => s.replace(/^:/, '')).join(' '));
+      
+      this.styleElement = document.createElement('style');
+      this.styleElement.setAttribute('data-css-scanner', 'forced-states');
+      const root = element.getRootNode();
+      this.styleElement.textContent = this.buildForcedStyleText(states, root);
+      if (root instanceof ShadowRoot) {
+        root.appendChild(this.styleElement);
+      } else {
+        (document.head || document.documentElement).appendChild(this.styleElement);
       }
-    }, 'HIGHLIGHT_REMOVAL_ERROR');
+    }, 'PSEUDO_STATE_APPLY_ERROR', { element, states });
     
     return result.success;
   }
   
-  isPopupElement(element) {
+  // Copies every rule that depends on a forced state, rewritten to match the marker attribute instead
+  buildForcedStyleText(states, root = document) {
+    const names = states.map(s => s.replace(/^:/, ''));
+    const statePattern = new RegExp(`(^|[^:]):(${names.join('|')})(?![\\w-])`);
+    const { styleRules } = this.cascadeAnalyzer.getRuleIndex(root);
+    
+    return styleRules
+      .filter(entry => statePattern.test(entry.selectorText || ''))
+      .map(entry => {
+        const selector = this.cascadeAnalyzer.applyForcedStates(entry.selectorText, states);
+        let text = `${selector} { ${entry.rule.style.cssText} }`;
+        
+        // Re-wrap in the original conditions so layer order and media queries still apply
+        [...entry.conditions].reverse().forEach(condition => {
+          if (!condition.includes('<anonymous')) {
+            text = `${condition} { ${text} }`;
+          }
+        });
+        
+        return text;
+      })
+      .join('\n');
+  }
+  
+  getForcedStates(element) {
+    return element && element === this.forcedElement ? [...this.forcedStates] : [];
+  }
+  
+  clear() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (this.forcedElement) {
+        this.forcedElement.removeAttribute('data-css-scanner-state');
+      }
+      if (this.styleElement && this.styleElement.parentNode) {
+        this.styleElement.parentNode.removeChild(this.styleElement);
+      }
+      this.forcedElement = null;
+      this.forcedStates = [];
+      this.styleElement = null;
+    }, 'PSEUDO_STATE_CLEAR_ERROR');
+    
+    return result.success;
+  }
+}
+
+class DefaultStyleBaseline {
+  constructor(styleCache, errorHandler) {
+    this.styleCache = styleCache;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.frame = null;
+    this.baselineCache = new Map();
+    // Used sizes always come from layout, so an unstyled element can never serve as their baseline
+    this.layoutProperties = ['width', 'height'];
+  }
+  
+  // Unstyled elements are rendered in a blank same-origin iframe so page styles cannot leak in
+  getFrameDocument() {
+    if (this.frame && this.frame.isConnected && this.frame.contentDocument) {
+      return this.frame.contentDocument;
+    }
+    
+    this.frame = document.createElement('iframe');
+    this.frame.setAttribute('data-css-scanner', 'baseline');
+    this.frame.setAttribute('aria-hidden', 'true');
+    this.frame.tabIndex = -1;
+    Object.assign(this.frame.style, {
+      position: 'fixed',
+      left: '-10000px',
+      top: '-10000px',
+      width: `${window.innerWidth}px`,
+      height: `${window.innerHeight}px`,
+      border: '0',
+      visibility: 'hidden',
+      pointerEvents: 'none'
+    });
+    document.documentElement.appendChild(this.frame);
+    
+    const frameDocument = this.frame.contentDocument;
+    frameDocument.open();
+    frameDocument.write('<!DOCTYPE html><html><head><style>::before, ::after { content: ""; }</style></head><body></body></html>');
+    frameDocument.close();
+    this.baselineCache.clear();
+    
+    return frameDocument;
+  }
+  
+  getBaseline(element, pseudoElement = null, options = {}) {
+    const { full = false } = options;
+    
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      const tagName = element.localName;
+      const type = element.getAttribute('type') || '';
+      const key = `${element.namespaceURI}|${tagName}|${type}|${pseudoElement || ''}|${full ? 'full' : ''}`;
+      
+      if (this.baselineCache.has(key)) {
+        return this.baselineCache.get(key);
+      }
+      
+      const frameDocument = this.getFrameDocument();
+      const probe = frameDocument.createElementNS(element.namespaceURI || 'http://www.w3.org/1999/xhtml', tagName);
+      if (type) probe.setAttribute('type', type);
+      if (pseudoElement === '::placeholder') probe.setAttribute('placeholder', ' ');
+      frameDocument.body.appendChild(probe);
+      
+      const computed = frameDocument.defaultView.getComputedStyle(probe, pseudoElement);
+      const baseline = full ? this.styleCache.cacheAllProperties(computed) : this.styleCache.cacheImportantProperties(computed);
+      probe.remove();
+      
+      this.baselineCache.set(key, baseline);
+      return baseline;
+    }, 'DEFAULT_BASELINE_ERROR', { element, pseudoElement });
+    
+    return result.success ? result.data : null;
+  }
+  
+  // Probes are appended to the frame's body, so its style is what every probe inherits
+  getParentBaseline(options = {}) {
+    const { full = false } = options;
+    
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      const key = `parent|${full ? 'full' : ''}`;
+      if (this.baselineCache.has(key)) {
+        return this.baselineCache.get(key);
+      }
+      
+      const frameDocument = this.getFrameDocument();
+      const computed = frameDocument.defaultView.getComputedStyle(frameDocument.body);
+      const baseline = full ? this.styleCache.cacheAllProperties(computed) : this.styleCache.cacheImportantProperties(computed);
+      
+      this.baselineCache.set(key, baseline);
+      return baseline;
+    }, 'DEFAULT_BASELINE_ERROR');
+    
+    return result.success ? result.data : null;
+  }
+  
+  isDefaultValue(prop, value, baseline) {
+    if (!baseline || this.layoutProperties.includes(prop)) return false;
+    return baseline[prop] === value;
+  }
+  
+  filterNonDefault(styles, baseline) {
     const result = this.safeWrapper.execute(() => {
-      return element && element.closest && element.closest('.css-scanner-popup') !== null;
-    }, 'POPUP_ELEMENT_CHECK_ERROR', { element });
+      return Object.fromEntries(
+        Object.entries(styles).filter(([prop, value]) => value && !this.isDefaultValue(prop, value, baseline))
+      );
+    }, 'DEFAULT_FILTER_ERROR', { styles });
     
-    return result.success ? result.data : false;
+    return result.success ? result.data : styles;
+  }
+  
+  destroy() {
+    const result = this.safeWrapper.execute(() => {
+      if (this.frame && this.frame.parentNode) {
+        this.frame.parentNode.removeChild(this.frame);
+      }
+      this.frame = null;
+      this.baselineCache.clear();
+    }, 'DEFAULT_BASELINE_DESTROY_ERROR');
+    
+    return result.success;
+  }
+}
+
+class CSSAnalyzer {
+  constructor(styleCache, errorHandler, cascadeAnalyzer = null, defaultStyleBaseline = null, boxModelOverlay = null) {
+    this.styleCache = styleCache;
+    this.boxModelOverlay = boxModelOverlay;
+    this.cascadeAnalyzer = cascadeAnalyzer;
+    this.defaultStyleBaseline = defaultStyleBaseline;
+    this.showAllProperties = false;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.cssCategories = this.initializeCSSCategories();
+    this.pseudoElementNames = ['::before', '::after', '::marker', '::placeholder', '::selection'];
+  }
+  
+  initializeCSSCategories() {
+    return {
+      layout: ['display', 'position', 'top', 'right', 'bottom', 'left', 'float', 'clear', 'z-index'],
+      boxModel: ['width', 'height', 'min-width', 'min-height', 'max-width', 'max-height', 'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left', 'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left'],
+      border: ['border', 'border-width', 'border-style', 'border-color', 'border-radius', 'border-top', 'border-right', 'border-bottom', 'border-left'],
+      background: ['background', 'background-color', 'background-image', 'background-size', 'background-position', 'background-repeat'],
+      typography: ['content', 'font-family', 'font-size', 'font-weight', 'line-height', 'color', 'text-align', 'text-decoration', 'text-decoration-line', 'letter-spacing'],
+      flexGrid: ['flex', 'flex-direction', 'justify-content', 'align-items', 'grid', 'grid-template-columns', 'grid-template-rows', 'gap'],
+      effects: ['opacity', 'transform', 'transition', 'animation', 'box-shadow', 'filter']
+    };
+  }
+  
+  extractCSSInfo(element, options = {}) {
+    const result = this.safeWrapper.execute(() => {
+      if (!element) {
+        throw new Error('Element is null or undefined');
+      }
+      
+      const computedStyle = this.styleCache.getComputedStyle(element);
+      const selector = this.styleCache.getSelector(element);
+      // ">>>" only works in the scanner and locator chains, so the last segment is kept as real CSS on its own
+      const segments = selector.split(' >>> ');
+      const inlineStyle = this.extractInlineStyles(element);
+      const defaults = this.getDefaults(element);
+      
+      const cssInfo = {
+        element: {
+          tagName: element.tagName.toLowerCase(),
+          className: element.className || '',
+          id: element.id || '',
+          selector: selector,
+          scopedSelector: segments[segments.length - 1],
+          shadowHosts: segments.slice(0, -1),
+          matchCount: this.styleCache.getMatchCount(selector)
+        },
+        computed: computedStyle,
+        inline: inlineStyle,
+        categorized: this.categorizeStyles(computedStyle, defaults),
+        defaults,
+        showAllProperties: this.showAllProperties,
+        boxModel: this.boxModelOverlay ? this.boxModelOverlay.getBoxMetrics(element) : null,
+        shadow: this.getShadowInfo(element),
+        pseudoElements: this.extractPseudoElements(element, options)
+      };
+      
+      // Walking every stylesheet is too slow for hover, so the cascade is only built on demand
+      if (options.includeCascade && this.cascadeAnalyzer) {
+        cssInfo.cascade = this.cascadeAnalyzer.analyzeCascade(element, {
+          forcedStates: options.forcedStates
+        });
+        cssInfo.customProperties = this.extractCustomProperties(element, cssInfo.cascade);
+      }
+      
+      return cssInfo;
+    }, 'CSS_ANALYSIS_FAILED', { element, options });
+    
+    if (!result.success) {
+      // Provide basic info at least
+      return {
+        element: {
+          tagName: element?.tagName?.toLowerCase() || 'unknown',
+          className: element?.className || '',
+          id: element?.id || '',
+          selector: 'unknown'
+        },
+        computed: {},
+        inline: {},
+        categorized: {},
+        pseudoElements: {}
+      };
+    }
+    
+    return result.data;
+  }
+  
+  // Where the element sits relative to shadow roots, and the hooks outside CSS can use to style it
+  getShadowInfo(element) {
+    const result = this.safeWrapper.execute(() => {
+      const hosts = ShadowDOMHelper.getHostChain(element);
+      const ownRoot = ShadowDOMHelper.getShadowRoot(element);
+      const slot = element.assignedSlot;
+      const parts = (element.getAttribute('part') || '').split(/\s+/).filter(Boolean);
+      
+      if (hosts.length === 0 && !ownRoot && !slot) return null;
+      
+      const hostSelector = hosts.length > 0 ? this.styleCache.getSelector(hosts[hosts.length - 1]) : null;
+      const slotHost = slot && slot.getRootNode() instanceof ShadowRoot ? slot.getRootNode().host : null;
+      
+      return {
+        path: hosts.map(host => ({
+          selector: this.styleCache.getSelector(host),
+          mode: (ShadowDOMHelper.getShadowRoot(host) || {}).mode || 'closed'
+        })),
+        ownRoot: ownRoot ? { mode: ownRoot.mode, styleSheetCount: ownRoot.styleSheets.length + (ownRoot.adoptedStyleSheets || []).length } : null,
+        parts: hostSelector ? parts.map(part => `${hostSelector}::part(${part})`) : [],
+        exportParts: element.getAttribute('exportparts'),
+        slot: slot ? {
+          name: slot.name || 'default',
+          host: slotHost ? this.styleCache.getSelector(slotHost) : null,
+          slottedSelector: `::slotted(${element.tagName.toLowerCase()})`
+        } : null
+      };
+    }, 'SHADOW_INFO_ERROR', { element });
+    
+    return result.success ? result.data : null;
+  }
+  
+  extractPseudoElements(element, options = {}) {
+    const result = this.safeWrapper.execute(() => {
+      const pseudoElements = {};
+      
+      for (const pseudoElement of this.pseudoElementNames) {
+        if (!this.hasPseudoElement(element, pseudoElement)) continue;
+        
+        const computed = this.styleCache.getComputedStyle(element, pseudoElement);
+        const defaults = this.getDefaults(element, pseudoElement);
+        const pseudoData = {
+          computed,
+          defaults,
+          categorized: this.categorizeStyles(computed, defaults)
+        };
+        
+        if (options.includeCascade && this.cascadeAnalyzer) {
+          pseudoData.cascade = this.cascadeAnalyzer.analyzeCascade(element, {
+            pseudoElement,
+            forcedStates: options.forcedStates
+          });
+        }
+        
+        pseudoElements[pseudoElement] = pseudoData;
+      }
+      
+      return pseudoElements;
+    }, 'PSEUDO_ELEMENT_EXTRACTION_ERROR', { element });
+    
+    return result.success ? result.data : {};
+  }
+  
+  // Custom properties inherit, so definitions are looked up on the element and then each ancestor
+  extractCustomProperties(element, cascade) {
+    const result = this.safeWrapper.execute(() => {
+      const cascadeCache = new Map([[element, cascade]]);
+      const getCascade = (node) => {
+        if (!cascadeCache.has(node)) {
+          cascadeCache.set(node, this.cascadeAnalyzer.analyzeCascade(node));
+        }
+        return cascadeCache.get(node);
+      };
+      
+      const findDefinition = (name, startNode) => {
+        for (let node = startNode; node && node.nodeType === Node.ELEMENT_NODE; node = ShadowDOMHelper.getComposedParent(node)) {
+          for (const rule of getCascade(node).rules) {
+            const declaration = rule.declarations.find(d => d.property === name && d.status === 'active');
+            if (declaration) return { node, rule, declaration };
+          }
+        }
+        return null;
+      };
+      
+      const names = new Set();
+      for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = ShadowDOMHelper.getComposedParent(node)) {
+        getCascade(node).rules.forEach(rule => {
+          rule.declarations
+            .filter(d => d.property.startsWith('--') && d.status === 'active')
+            .forEach(d => names.add(d.property));
+        });
+      }
+      
+      const computedStyle = window.getComputedStyle(element);
+      
+      const properties = [...names].sort().map(name => {
+        const definition = findDefinition(name, element);
+        return {
+          name,
+          value: computedStyle.getPropertyValue(name).trim(),
+          authored: definition ? definition.declaration.value : null,
+          definedOn: definition ? this.describeElement(definition.node) : null,
+          inherited: definition ? definition.node !== element : false,
+          source: definition ? this.describeRuleSource(definition.rule) : null
+        };
+      });
+      
+      const references = [];
+      cascade.rules.forEach(rule => {
+        rule.declarations
+          .filter(d => d.status !== 'overridden' && d.value.includes('var('))
+          .forEach(declaration => {
+            references.push({
+              property: declaration.property,
+              authored: declaration.value,
+              chain: this.traceVarChain(declaration.value, element, findDefinition),
+              resolved: computedStyle.getPropertyValue(declaration.property).trim()
+            });
+          });
+      });
+      
+      return { properties, references };
+    }, 'CUSTOM_PROPERTY_EXTRACTION_ERROR', { element });
+    
+    return result.success ? result.data : { properties: [], references: [] };
+  }
+  
+  // Each var() is resolved where its declaration lives, so nested references follow the defining element
+  traceVarChain(value, contextNode, findDefinition, depth = 0, seen = new Set()) {
+    const steps = [];
+    
+    for (const reference of this.parseVarReferences(value)) {
+      if (seen.has(reference.name) || depth > 20) {
+        steps.push({ name: reference.name, depth, cycle: true });
+        continue;
+      }
+      
+      const definition = findDefinition(reference.name, contextNode);
+      if (!definition) {
+        steps.push({ name: reference.name, depth, value: null, fallback: reference.fallback });
+        if (reference.fallback) {
+          steps.push(...this.traceVarChain(reference.fallback, contextNode, findDefinition, depth + 1, seen));
+        }
+        continue;
+      }
+      
+      steps.push({
+        name: reference.name,
+        depth,
+        value: definition.declaration.value,
+        definedOn: this.describeElement(definition.node),
+        source: this.describeRuleSource(definition.rule)
+      });
+      steps.push(...this.traceVarChain(
+        definition.declaration.value,
+        definition.node,
+        findDefinition,
+        depth + 1,
+        new Set([...seen, reference.name])
+      ));
+    }
+    
+    return steps;
+  }
+  
+  parseVarReferences(value) {
+    const references = [];
+    const pattern = /var\(/gi;
+    let match;
+    
+    while ((match = pattern.exec(value)) !== null) {
+      const open = match.index + 3;
+      const close = this.cascadeAnalyzer.findClosing(value, open);
+      const body = value.slice(open + 1, close);
+      
+      let depth = 0;
+      let commaIndex = -1;
+      for (let i = 0; i < body.length; i++) {
+        if (body[i] === '(') depth++;
+        else if (body[i] === ')') depth--;
+        else if (body[i] === ',' && depth === 0) {
+          commaIndex = i;
+          break;
+        }
+      }
+      
+      references.push({
+        name: (commaIndex >= 0 ? body.slice(0, commaIndex) : body).trim(),
+        fallback: commaIndex >= 0 ? body.slice(commaIndex + 1).trim() : null
+      });
+      
+      // Nested var() inside the fallback is only traced when the fallback is used
+      pattern.lastIndex = close + 1;
+    }
+    
+    return references;
+  }
+  
+  describeElement(node) {
+    if (node === document.documentElement) return ':root';
+    
+    let label = node.tagName.toLowerCase();
+    if (node.id) {
+      label += `#${node.id}`;
+    } else if (typeof node.className === 'string' && node.className.trim()) {
+      const classes = node.className.split(/\s+/).filter(c => c && !c.includes('css-scanner'));
+      if (classes.length > 0) label += `.${classes[0]}`;
+    }
+    return label;
+  }
+  
+  describeRuleSource(rule) {
+    return {
+      selector: rule.selector,
+      sheetLabel: rule.sheetLabel,
+      sheetUrl: rule.sheetUrl,
+      ruleIndex: rule.ruleIndex
+    };
+  }
+  
+  hasPseudoElement(element, pseudoElement) {
+    switch (pseudoElement) {
+      case '::before':
+      case '::after': {
+        const content = window.getComputedStyle(element, pseudoElement).content;
+        return Boolean(content) && content !== 'none' && content !== 'normal';
+      }
+      case '::marker':
+        return window.getComputedStyle(element).display.includes('list-item');
+      case '::placeholder':
+        return element.matches('input[placeholder], textarea[placeholder]');
+      default:
+        return true;
+    }
+  }
+  
+  extractInlineStyles(element) {
+    const result = this.safeWrapper.execute(() => {
+      const inline = {};
+      const style = element.style;
+      
+      if (!style || style.length === 0) {
+        return inline;
+      }
+      
+      if (style.cssText) {
+        const declarations = style.cssText.split(';').filter(decl => decl.trim());
+        for (const declaration of declarations) {
+          const colonIndex = declaration.indexOf(':');
+          if (colonIndex > 0) {
+            const prop = declaration.slice(0, colonIndex).trim();
+            const value = declaration.slice(colonIndex + 1).trim();
+            if (prop && value) {
+              inline[prop] = value;
+            }
+          }
+        }
+      } else {
+        for (let i = 0; i < style.length; i++) {
+          const prop = style[i];
+          const value = style.getPropertyValue(prop);
+          if (value) {
+            inline[prop] = value;
+          }
+        }
+      }
+      
+      return inline;
+    }, 'INLINE_STYLE_EXTRACTION_ERROR', { element });
+    
+    return result.success ? result.data : {};
+  }
+  
+  getDefaults(element, pseudoElement = null) {
+    if (!this.defaultStyleBaseline) return null;
+    return this.defaultStyleBaseline.getBaseline(element, pseudoElement);
+  }
+  
+  setShowAllProperties(showAll) {
+    this.showAllProperties = Boolean(showAll);
+    return this.showAllProperties;
+  }
+  
+  categorizeStyles(computedStyle, defaults = null) {
+    const result = this.safeWrapper.execute(() => {
+      const categorized = {};
+      
+      for (const [category, properties] of Object.entries(this.cssCategories)) {
+        const categoryData = {};
+        
+        for (const prop of properties) {
+          const value = computedStyle[prop];
+          if (value && (this.showAllProperties || !this.isDefaultValue(prop, value, defaults))) {
+            categoryData[prop] = value;
+          }
+        }
+        
+        if (Object.keys(categoryData).length > 0) {
+          categorized[category] = categoryData;
+        }
+      }
+      
+      return categorized;
+    }, 'STYLE_CATEGORIZATION_ERROR', { computedStyle });
+    
+    return result.success ? result.data : {};
+  }
+  
+  isDefaultValue(prop, value, defaults) {
+    const result = this.safeWrapper.execute(() => {
+      if (!this.defaultStyleBaseline) return false;
+      return this.defaultStyleBaseline.isDefaultValue(prop, value, defaults);
+    }, 'CSS_VALUE_VALIDATION_ERROR', { prop, value });
+    
+    return result.success ? result.data : false;
+  }
+}
+
+class StackingContextAnalyzer {
+  constructor(styleCache, errorHandler) {
+    this.styleCache = styleCache;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.willChangeTriggers = [
+      'opacity', 'transform', 'scale', 'rotate', 'translate', 'perspective', 'filter',
+      'backdrop-filter', 'clip-path', 'mask', 'mask-image', 'isolation', 'mix-blend-mode',
+      'z-index', 'position', 'contain'
+    ];
+  }
+  
+  analyze(element, point) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      const contexts = [];
+      
+      for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = ShadowDOMHelper.getComposedParent(node)) {
+        const reasons = this.getStackingReasons(node);
+        if (reasons.length > 0) {
+          contexts.push({
+            selector: this.styleCache.getSelector(node),
+            zIndex: window.getComputedStyle(node).zIndex,
+            reasons,
+            isSelf: node === element
+          });
+        }
+      }
+      
+      const probe = this.getProbePoint(element, point);
+      
+      return {
+        contexts,
+        point: probe,
+        above: this.getElementsAbove(element, probe)
+      };
+    }, 'STACKING_ANALYSIS_ERROR', { element, point });
+    
+    return result.success ? result.data : { contexts: [], point: null, above: [] };
+  }
+  
+  getStackingReasons(element) {
+    const style = window.getComputedStyle(element);
+    const reasons = [];
+    const value = (prop) => style.getPropertyValue(prop).trim();
+    const zIndex = style.zIndex;
+    const position = style.position;
+    
+    if (element === document.documentElement) {
+      reasons.push('root element');
+    }
+    
+    if (zIndex !== 'auto' && (position === 'relative' || position === 'absolute')) {
+      reasons.push(`position: ${position} + z-index: ${zIndex}`);
+    }
+    
+    if (position === 'fixed' || position === 'sticky') {
+      reasons.push(`position: ${position}`);
+    }
+    
+    const parent = ShadowDOMHelper.getComposedParent(element);
+    if (zIndex !== 'auto' && position === 'static' && parent) {
+      const parentDisplay = window.getComputedStyle(parent).display;
+      if (parentDisplay.includes('flex') || parentDisplay.includes('grid')) {
+        reasons.push(`${parentDisplay.includes('flex') ? 'flex' : 'grid'} item + z-index: ${zIndex}`);
+      }
+    }
+    
+    if (parseFloat(style.opacity) < 1) {
+      reasons.push(`opacity: ${style.opacity}`);
+    }
+    
+    if (style.mixBlendMode && style.mixBlendMode !== 'normal') {
+      reasons.push(`mix-blend-mode: ${style.mixBlendMode}`);
+    }
+    
+    ['transform', 'scale', 'rotate', 'translate', 'perspective', 'filter', 'backdrop-filter', 'clip-path']
+      .forEach(prop => {
+        const propValue = value(prop);
+        if (propValue && propValue !== 'none') reasons.push(`${prop}: ${propValue}`);
+      });
+    
+    const mask = value('mask-image') || value('-webkit-mask-image');
+    if (mask && mask !== 'none') {
+      reasons.push('mask-image');
+    }
+    
+    if (style.isolation === 'isolate') {
+      reasons.push('isolation: isolate');
+    }
+    
+    const willChange = value('will-change');
+    if (willChange && willChange !== 'auto' &&
+        willChange.split(',').some(prop => this.willChangeTriggers.includes(prop.trim()))) {
+      reasons.push(`will-change: ${willChange}`);
+    }
+    
+    const contain = value('contain');
+    if (/\b(layout|paint|strict|content)\b/.test(contain)) {
+      reasons.push(`contain: ${contain}`);
+    }
+    
+    const containerType = value('container-type');
+    if (containerType === 'size' || containerType === 'inline-size') {
+      reasons.push(`container-type: ${containerType}`);
+    }
+    
+    if (this.safeMatches(element, ':modal') || this.safeMatches(element, ':popover-open')) {
+      reasons.push('top layer');
+    }
+    
+    return reasons;
+  }
+  
+  safeMatches(element, selector) {
+    try {
+      return element.matches(selector);
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  // The cursor is used when it is over the element; otherwise the element's center is probed
+  getProbePoint(element, point) {
+    const rect = element.getBoundingClientRect();
+    if (point && point.x >= rect.left && point.x <= rect.right && point.y >= rect.top && point.y <= rect.bottom) {
+      return { x: point.x, y: point.y };
+    }
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }
+  
+  getElementsAbove(element, point) {
+    // Inside a shadow tree the root's own hit test returns its nodes instead of the retargeted host
+    const scope = element.getRootNode();
+    const stack = (scope.elementsFromPoint ? scope : document).elementsFromPoint(point.x, point.y)
+      .filter(el => !el.closest('.css-scanner-popup, [data-css-scanner]'));
+    const index = stack.indexOf(element);
+    const above = index >= 0 ? stack.slice(0, index) : stack;
+    
+    return above
+      .filter(el => !element.contains(el))
+      .map(el => ({
+        selector: this.styleCache.getSelector(el),
+        zIndex: window.getComputedStyle(el).zIndex,
+        context: this.getNearestContextSelector(el),
+        covered: index < 0
+      }));
+  }
+  
+  getNearestContextSelector(element) {
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = ShadowDOMHelper.getComposedParent(node)) {
+      if (this.getStackingReasons(node).length > 0) {
+        return this.styleCache.getSelector(node);
+      }
+    }
+    return 'html';
+  }
+}
+
+class FontFaceResolver {
+  constructor(cascadeAnalyzer, errorHandler) {
+    this.cascadeAnalyzer = cascadeAnalyzer;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.localFontCache = new Map();
+    this.measureContext = null;
+    this.genericFamilies = [
+      'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif',
+      'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong'
+    ];
+  }
+  
+  // Walks the font-family stack the way the browser does and reports the first family that can render
+  resolve(element) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      const style = window.getComputedStyle(element);
+      const stack = this.parseFamilyList(style.fontFamily);
+      const weight = this.normalizeWeight(style.fontWeight);
+      const fontStyle = style.fontStyle || 'normal';
+      const skipped = [];
+      let rendered = null;
+      
+      for (const family of stack) {
+        if (this.genericFamilies.includes(family.toLowerCase())) {
+          rendered = { family, source: 'generic', status: 'system' };
+          break;
+        }
+        
+        const faces = this.getDeclaredFaces(family);
+        if (faces.length > 0) {
+          const face = this.pickFace(faces, weight, fontStyle);
+          if (face.status === 'loaded') {
+            const rule = this.findFontFaceRule(family, face.weight, face.style);
+            rendered = {
+              family,
+              source: 'webfont',
+              status: face.status,
+              weight: face.weight,
+              style: face.style,
+              unicodeRange: face.unicodeRange !== 'U+0-10FFFF' ? face.unicodeRange : null,
+              src: rule ? rule.src : null
+            };
+            break;
+          }
+          skipped.push({ family, reason: `webfont ${face.status}` });
+          continue;
+        }
+        
+        if (this.isLocalFontAvailable(family)) {
+          rendered = { family, source: 'local', status: 'installed' };
+          break;
+        }
+        skipped.push({ family, reason: 'not installed' });
+      }
+      
+      const renderedFamily = rendered ? rendered.family : null;
+      
+      return {
+        stack,
+        rendered: rendered || { family: 'browser default', source: 'generic', status: 'system' },
+        isFallback: skipped.length > 0,
+        skipped,
+        rules: renderedFamily ? this.getFontFaceRules(renderedFamily).map(rule => rule.cssText) : []
+      };
+    }, 'FONT_FACE_RESOLVE_ERROR', { element });
+    
+    return result.success ? result.data : null;
+  }
+  
+  parseFamilyList(value) {
+    return this.cascadeAnalyzer.splitSelectorList(value || '')
+      .map(family => this.unquote(family))
+      .filter(Boolean);
+  }
+  
+  unquote(value) {
+    return String(value || '').trim().replace(/^(['"])(.*)\1$/, '$2').trim();
+  }
+  
+  normalizeWeight(value) {
+    if (value === 'normal') return '400';
+    if (value === 'bold') return '700';
+    return String(value || '400');
+  }
+  
+  getDeclaredFaces(family) {
+    if (!document.fonts) return [];
+    const name = family.toLowerCase();
+    return Array.from(document.fonts).filter(face => this.unquote(face.family).toLowerCase() === name);
+  }
+  
+  // Simplified CSS font matching: matching style first, then the nearest weight (ranges count as exact).
+  // Faces at the same distance are usually unicode-range subsets, and only the subsets in use ever load,
+  // so a loaded one wins the tie and an unloaded face is picked only when no equally close face has loaded.
+  pickFace(faces, weight, fontStyle) {
+    const target = parseFloat(weight) || 400;
+    const isItalic = fontStyle !== 'normal';
+    const distance = (face) => {
+      const [min, max = min] = this.normalizeWeight(face.weight).split(/\s+/).map(parseFloat);
+      const weightDistance = target < min ? min - target : target > max ? target - max : 0;
+      const styleMismatch = (face.style !== 'normal') !== isItalic ? 10000 : 0;
+      return styleMismatch + weightDistance;
+    };
+    
+    const loadedFirst = (face) => face.status === 'loaded' ? 0 : 1;
+    return faces.slice().sort((a, b) => distance(a) - distance(b) || loadedFirst(a) - loadedFirst(b))[0];
+  }
+  
+  getFontFaceRules(family) {
+    const name = family.toLowerCase();
+    return this.cascadeAnalyzer.getRuleIndex().fontFaceRules
+      .map(({ rule, sheetUrl }) => this.describeFontFaceRule(rule, sheetUrl))
+      .filter(rule => rule.family.toLowerCase() === name);
+  }
+  
+  findFontFaceRule(family, weight, fontStyle) {
+    return this.getFontFaceRules(family).find(rule =>
+      rule.weight === this.normalizeWeight(weight) && rule.style === fontStyle
+    ) || null;
+  }
+  
+  // Builds the index entry for an @font-face rule with src URLs made absolute against its stylesheet
+  describeFontFaceRule(rule, sheetUrl) {
+    const base = sheetUrl || location.href;
+    const absolutize = (text) => text.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+      try {
+        return `url("${new URL(url, base).href}")`;
+      } catch (e) {
+        return match;
+      }
+    });
+    const src = rule.style.getPropertyValue('src');
+    const firstUrl = /url\(\s*(['"]?)([^'")]+)\1\s*\)/.exec(absolutize(src));
+    
+    return {
+      family: this.unquote(rule.style.getPropertyValue('font-family')),
+      weight: this.normalizeWeight(rule.style.getPropertyValue('font-weight') || 'normal'),
+      style: rule.style.getPropertyValue('font-style') || 'normal',
+      src: firstUrl ? firstUrl[2] : null,
+      cssText: absolutize(rule.cssText)
+    };
+  }
+  
+  // Compares glyph widths against generic families; a locally installed font changes at least one of them
+  isLocalFontAvailable(family) {
+    if (this.localFontCache.has(family)) {
+      return this.localFontCache.get(family);
+    }
+    
+    if (!this.measureContext) {
+      this.measureContext = document.createElement('canvas').getContext('2d');
+    }
+    const context = this.measureContext;
+    // Without a canvas the check is impossible; assume the font exists rather than report a false fallback
+    if (!context) return true;
+    
+    const sample = 'mmmmmmmmmmlli10OWQ@#';
+    const quoted = `"${family.replace(/"/g, '\\"')}"`;
+    const available = ['monospace', 'serif', 'sans-serif'].some(generic => {
+      context.font = `72px ${generic}`;
+      const baseWidth = context.measureText(sample).width;
+      context.font = `72px ${quoted}, ${generic}`;
+      return context.measureText(sample).width !== baseWidth;
+    });
+    
+    this.localFontCache.set(family, available);
+    return available;
+  }
+}
+
+class ContrastChecker {
+  constructor(errorHandler) {
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.colorContext = null;
+    this.thresholds = {
+      normal: { aa: 4.5, aaa: 7 },
+      large: { aa: 3, aaa: 4.5 }
+    };
+  }
+  
+  // Only elements with their own text are checked; containers inherit nothing meaningful to rate
+  check(element) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (!this.hasOwnText(element)) return null;
+      
+      const style = window.getComputedStyle(element);
+      const textColor = this.parseColor(style.color);
+      if (!textColor) {
+        return { ratio: null, undetermined: `Unsupported color: ${style.color}` };
+      }
+      
+      const { foreground, background } = this.getEffectiveColors(element, textColor);
+      const ratio = this.getContrastRatio(foreground, background.color);
+      const isLargeText = this.isLargeText(style);
+      const thresholds = this.thresholds[isLargeText ? 'large' : 'normal'];
+      
+      return {
+        ratio: Math.round(ratio * 100) / 100,
+        foreground: this.formatColor(foreground),
+        background: this.formatColor(background.color),
+        isLargeText,
+        aa: ratio >= thresholds.aa,
+        aaa: ratio >= thresholds.aaa,
+        undetermined: background.undetermined
+      };
+    }, 'CONTRAST_CHECK_ERROR', { element });
+    
+    return result.success ? result.data : null;
+  }
+  
+  hasOwnText(element) {
+    return Array.from(element.childNodes).some(node =>
+      node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== ''
+    );
+  }
+  
+  // Composites the text and the backgrounds behind it from the element outwards, then over white.
+  // Opacity fades an element's whole group, so both colors are faded together before the next layer down.
+  getEffectiveColors(element, textColor) {
+    let foreground = textColor;
+    let background = { r: 0, g: 0, b: 0, a: 0 };
+    let undetermined = null;
+    
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = ShadowDOMHelper.getComposedParent(node)) {
+      const style = window.getComputedStyle(node);
+      const image = style.backgroundImage;
+      
+      if (!undetermined && background.a < 1 && image && image !== 'none') {
+        const kind = image.includes('gradient(') ? 'Gradient' : 'Background image';
+        undetermined = `${kind} on ${node === element ? 'this element' : node.tagName.toLowerCase()}`;
+      }
+      
+      const color = this.parseColor(style.backgroundColor);
+      if (color && color.a > 0) {
+        foreground = this.blend(foreground, color);
+        background = this.blend(background, color);
+      }
+      
+      const opacity = parseFloat(style.opacity);
+      if (!isNaN(opacity) && opacity < 1) {
+        foreground = { ...foreground, a: foreground.a * opacity };
+        background = { ...background, a: background.a * opacity };
+      }
+    }
+    
+    const page = { r: 255, g: 255, b: 255, a: 1 };
+    return {
+      foreground: this.blend(foreground, page),
+      background: { color: this.blend(background, page), undetermined }
+    };
+  }
+  
+  blend(top, bottom) {
+    const alpha = top.a + bottom.a * (1 - top.a);
+    if (alpha === 0) return { r: 0, g: 0, b: 0, a: 0 };
+    
+    const channel = (key) => (top[key] * top.a + bottom[key] * bottom.a * (1 - top.a)) / alpha;
+    return { r: channel('r'), g: channel('g'), b: channel('b'), a: alpha };
+  }
+  
+  parseColor(value) {
+    if (!value) return null;
+    if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    
+    const match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/.exec(value.trim());
+    if (match) {
+      const alpha = match[4] === undefined
+        ? 1
+        : match[4].endsWith('%') ? parseFloat(match[4]) / 100 : parseFloat(match[4]);
+      return { r: parseFloat(match[1]), g: parseFloat(match[2]), b: parseFloat(match[3]), a: alpha };
+    }
+    
+    return this.parseColorWithCanvas(value);
+  }
+  
+  // Computed colors in other spaces (oklch(), color(display-p3 ...)) are normalized through a canvas
+  parseColorWithCanvas(value) {
+    if (!this.colorContext) {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = 1;
+      this.colorContext = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    const context = this.colorContext;
+    if (!context) return null;
+    
+    context.clearRect(0, 0, 1, 1);
+    context.fillStyle = value;
+    context.fillRect(0, 0, 1, 1);
+    const [r, g, b, a] = context.getImageData(0, 0, 1, 1).data;
+    return { r, g, b, a: a / 255 };
+  }
+  
+  getRelativeLuminance({ r, g, b }) {
+    const linear = (channel) => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+  }
+  
+  getContrastRatio(foreground, background) {
+    const l1 = this.getRelativeLuminance(foreground);
+    const l2 = this.getRelativeLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+  
+  // WCAG large text: at least 18pt (24px), or 14pt (18.66px) when bold
+  isLargeText(style) {
+    const size = parseFloat(style.fontSize) || 16;
+    const weight = parseFloat(style.fontWeight) || (style.fontWeight === 'bold' ? 700 : 400);
+    return size >= 24 || (size >= 18.66 && weight >= 700);
+  }
+  
+  formatColor({ r, g, b }) {
+    return '#' + [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+  }
+}
+
+class PaletteExtractor {
+  constructor(contrastChecker, elementSelector, errorHandler) {
+    this.contrastChecker = contrastChecker;
+    this.elementSelector = elementSelector;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    // Colors closer than this in OKLab are treated as the same swatch (roughly one just-noticeable difference)
+    this.mergeDistance = 0.02;
+    this.borderSides = ['top', 'right', 'bottom', 'left'];
+  }
+  
+  extract(root = document.body) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      const usages = new Map();
+      let elementCount = 0;
+      
+      this.elementSelector.getInspectableElements(root).forEach(element => {
+        elementCount++;
+        
+        // Each element counts once per color and property, however many sides or shadows repeat it
+        const seen = new Set();
+        this.collectColors(element).forEach(({ property, value }) => {
+          const color = this.contrastChecker.parseColor(value);
+          if (!color || color.a === 0) return;
+          
+          const key = this.formatColor(color);
+          if (seen.has(`${property}|${key}`)) return;
+          seen.add(`${property}|${key}`);
+          if (!usages.has(key)) {
+            usages.set(key, { value: key, color, count: 0, properties: new Set(), elements: new Set() });
+          }
+          const usage = usages.get(key);
+          usage.count++;
+          usage.properties.add(property);
+          usage.elements.add(element);
+        });
+      });
+      
+      return {
+        swatches: this.groupSimilar(Array.from(usages.values())),
+        elementCount
+      };
+    }, 'PALETTE_EXTRACTION_ERROR');
+    
+    return result.success ? result.data : { swatches: [], elementCount: 0 };
+  }
+  
+  collectColors(element) {
+    const style = window.getComputedStyle(element);
+    const colors = [];
+    
+    // Text color is inherited by every descendant, so only count it where text is actually drawn
+    if (this.contrastChecker.hasOwnText(element)) {
+      colors.push({ property: 'color', value: style.color });
+    }
+    
+    colors.push({ property: 'background-color', value: style.backgroundColor });
+    
+    this.borderSides.forEach(side => {
+      if (style.getPropertyValue(`border-${side}-style`) !== 'none' &&
+          parseFloat(style.getPropertyValue(`border-${side}-width`)) > 0) {
+        colors.push({ property: 'border-color', value: style.getPropertyValue(`border-${side}-color`) });
+      }
+    });
+    
+    if (style.boxShadow && style.boxShadow !== 'none') {
+      (style.boxShadow.match(/(?:rgba?|hsla?|oklch|oklab|lab|lch|color)\([^)]*\)/g) || [])
+        .forEach(value => colors.push({ property: 'box-shadow', value }));
+    }
+    
+    if (element instanceof SVGElement) {
+      ['fill', 'stroke'].forEach(property => {
+        const value = style.getPropertyValue(property);
+        if (value && value !== 'none' && !value.startsWith('url(')) {
+          colors.push({ property, value });
+        }
+      });
+    }
+    
+    return colors;
+  }
+  
+  // Greedy clustering: the most used color of each cluster becomes the swatch
+  groupSimilar(usages) {
+    const swatches = [];
+    
+    usages.sort((a, b) => b.count - a.count).forEach(usage => {
+      const lab = this.toOklab(usage.color);
+      const swatch = swatches.find(candidate =>
+        Math.abs(candidate.color.a - usage.color.a) <= 0.05 &&
+        this.distance(candidate.lab, lab) < this.mergeDistance
+      );
+      
+      if (swatch) {
+        swatch.count += usage.count;
+        swatch.variants.push(usage.value);
+        usage.properties.forEach(property => swatch.properties.add(property));
+        usage.elements.forEach(element => swatch.elements.add(element));
+        return;
+      }
+      
+      swatches.push({
+        value: usage.value,
+        color: usage.color,
+        lab,
+        count: usage.count,
+        variants: [usage.value],
+        properties: new Set(usage.properties),
+        elements: new Set(usage.elements)
+      });
+    });
+    
+    return swatches
+      .sort((a, b) => b.count - a.count)
+      .map(({ lab, ...swatch }) => ({
+        ...swatch,
+        properties: Array.from(swatch.properties),
+        elements: Array.from(swatch.elements)
+      }));
+  }
+  
+  toOklab({ r, g, b }) {
+    const linear = (channel) => {
+      const value = channel / 255;
+      return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    };
+    const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+    
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    
+    return {
+      L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+  }
+  
+  distance(first, second) {
+    return Math.hypot(first.L - second.L, first.a - second.a, first.b - second.b);
+  }
+  
+  formatColor(color) {
+    if (color.a >= 1) return this.contrastChecker.formatColor(color);
+    const alpha = Math.round(color.a * 1000) / 1000;
+    return `rgba(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)}, ${alpha})`;
+  }
+}
+
+class ScaleAnalyzer {
+  constructor(cssAnalyzer, styleCache, contrastChecker, elementSelector, errorHandler) {
+    this.cssAnalyzer = cssAnalyzer;
+    this.styleCache = styleCache;
+    this.contrastChecker = contrastChecker;
+    this.elementSelector = elementSelector;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.spacingProperties = [
+      'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+      'padding-top', 'padding-right', 'padding-bottom', 'padding-left'
+    ];
+    this.gridBases = [12, 10, 8, 6, 5, 4, 3, 2];
+    this.ratios = [
+      { ratio: 1.067, name: 'minor second' },
+      { ratio: 1.125, name: 'major second' },
+      { ratio: 1.2, name: 'minor third' },
+      { ratio: 1.25, name: 'major third' },
+      { ratio: 1.333, name: 'perfect fourth' },
+      { ratio: 1.414, name: 'augmented fourth' },
+      { ratio: 1.5, name: 'perfect fifth' },
+      { ratio: 1.618, name: 'golden ratio' }
+    ];
+    // Relative tolerance for modular steps; designers round scale values to whole pixels
+    this.ratioTolerance = 0.02;
+  }
+  
+  analyze(root = document.body) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      const combinations = new Map();
+      const fontSizes = new Map();
+      const spacing = new Map();
+      const elements = this.elementSelector.getInspectableElements(root);
+      
+      elements.forEach(element => {
+        const categorized = this.cssAnalyzer.categorizeStyles(this.styleCache.getComputedStyle(element));
+        const typography = categorized.typography || {};
+        
+        // Font settings are inherited everywhere, so only elements that draw text contribute
+        if (this.contrastChecker.hasOwnText(element) && typography['font-size']) {
+          const key = `${typography['font-size']}/${typography['line-height']} ${typography['font-weight']}`;
+          this.addUsage(combinations, key, element, {
+            fontSize: typography['font-size'],
+            lineHeight: typography['line-height'],
+            fontWeight: typography['font-weight']
+          });
+          this.addUsage(fontSizes, parseFloat(typography['font-size']), element, { property: 'font-size' });
+        }
+        
+        const boxModel = categorized.boxModel || {};
+        const flexGrid = categorized.flexGrid || {};
+        const spacingValues = this.spacingProperties.map(property => [property, boxModel[property]]);
+        String(flexGrid.gap || '').split(/\s+/).forEach(value => spacingValues.push(['gap', value]));
+        
+        spacingValues.forEach(([property, value]) => {
+          if (!value || !value.endsWith('px')) return;
+          const pixels = Math.abs(parseFloat(value));
+          if (pixels > 0) {
+            this.addUsage(spacing, pixels, element, { property });
+          }
+        });
+      });
+      
+      const typeValues = this.toSortedList(fontSizes);
+      const spacingValues = this.toSortedList(spacing);
+      const typeScale = this.inferScale(typeValues, true);
+      const spacingScale = this.inferScale(spacingValues, false);
+      
+      return {
+        elementCount: elements.length,
+        typography: {
+          combinations: Array.from(combinations.values())
+            .sort((a, b) => parseFloat(b.fontSize) - parseFloat(a.fontSize) || b.count - a.count),
+          values: typeValues,
+          scale: typeScale,
+          offScale: typeValues.filter(usage => !this.fitsScale(usage.value, typeScale))
+        },
+        spacing: {
+          values: spacingValues,
+          scale: spacingScale,
+          offScale: spacingValues.filter(usage => !this.fitsScale(usage.value, spacingScale))
+        }
+      };
+    }, 'SCALE_ANALYSIS_ERROR');
+    
+    return result.success ? result.data : null;
+  }
+  
+  addUsage(map, key, element, details) {
+    if (!map.has(key)) {
+      map.set(key, { value: key, ...details, count: 0, properties: new Set(), elements: [] });
+    }
+    const usage = map.get(key);
+    usage.count++;
+    if (details.property) usage.properties.add(details.property);
+    if (!usage.elements.includes(element)) usage.elements.push(element);
+  }
+  
+  toSortedList(map) {
+    return Array.from(map.values())
+      .map(usage => ({ ...usage, properties: Array.from(usage.properties) }))
+      .sort((a, b) => a.value - b.value);
+  }
+  
+  // Picks the candidate that explains the most usages beyond what chance alone would fit
+  inferScale(usages, includeRatios) {
+    if (usages.length === 0) return null;
+    
+    const total = usages.reduce((sum, usage) => sum + usage.count, 0);
+    const base = usages.reduce((best, usage) => usage.count > best.count ? usage : best).value;
+    const candidates = this.gridBases.map(step => ({ type: 'grid', step, chance: 1 / step }));
+    
+    if (includeRatios) {
+      this.ratios.forEach(({ ratio, name }) => candidates.push({
+        type: 'ratio',
+        ratio,
+        name,
+        base,
+        chance: Math.min(1, 2 * Math.max(this.ratioTolerance, 0.5 / base) / Math.log(ratio))
+      }));
+    }
+    
+    return candidates
+      .map(candidate => {
+        const fitting = usages
+          .filter(usage => this.fitsScale(usage.value, candidate))
+          .reduce((sum, usage) => sum + usage.count, 0);
+        const coverage = fitting / total;
+        const score = candidate.chance >= 1 ? 0 : (coverage - candidate.chance) / (1 - candidate.chance);
+        return { ...candidate, coverage, score };
+      })
+      .reduce((best, candidate) => candidate.score > best.score ? candidate : best);
+  }
+  
+  fitsScale(value, scale) {
+    if (!scale) return true;
+    
+    if (scale.type === 'grid') {
+      const remainder = value % scale.step;
+      return Math.min(remainder, scale.step - remainder) < 0.5;
+    }
+    
+    const steps = Math.round(Math.log(value / scale.base) / Math.log(scale.ratio));
+    const expected = scale.base * Math.pow(scale.ratio, steps);
+    return Math.abs(expected - value) <= Math.max(0.5, expected * this.ratioTolerance);
+  }
+  
+  describeScale(scale) {
+    if (!scale) return 'No values found';
+    const fit = `${Math.round(scale.coverage * 100)}% fit`;
+    if (scale.type === 'grid') return `${scale.step}px grid · ${fit}`;
+    return `${scale.ratio} ${scale.name} from ${scale.base}px · ${fit}`;
+  }
+}
+
+class AnimationInspector {
+  constructor(cascadeAnalyzer, errorHandler) {
+    this.cascadeAnalyzer = cascadeAnalyzer;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.animations = [];
+    this.namedEasings = {
+      ease: [0.25, 0.1, 0.25, 1],
+      'ease-in': [0.42, 0, 1, 1],
+      'ease-out': [0, 0, 0.58, 1],
+      'ease-in-out': [0.42, 0, 0.58, 1],
+      linear: [0, 0, 1, 1]
+    };
+  }
+  
+  // Keeps the live Animation objects so the popup controls can act on them by index
+  inspect(element) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      this.animations = element.getAnimations ? element.getAnimations() : [];
+      
+      return {
+        items: this.animations.map((animation, index) => this.describeAnimation(animation, index)),
+        keyframes: this.getKeyframesFor(element)
+      };
+    }, 'ANIMATION_INSPECT_ERROR', { element });
+    
+    return result.success ? result.data : { items: [], keyframes: [] };
+  }
+  
+  describeAnimation(animation, index) {
+    const timing = animation.effect ? animation.effect.getTiming() : {};
+    const computed = animation.effect ? animation.effect.getComputedTiming() : {};
+    let type = 'script';
+    let name = animation.id || 'Web Animation';
+    
+    if (window.CSSAnimation && animation instanceof CSSAnimation) {
+      type = 'animation';
+      name = animation.animationName;
+    } else if (window.CSSTransition && animation instanceof CSSTransition) {
+      type = 'transition';
+      name = animation.transitionProperty;
+    }
+    
+    return {
+      index,
+      type,
+      name,
+      playState: animation.playState,
+      easing: timing.easing || 'linear',
+      duration: Number(computed.duration) || 0,
+      delay: timing.delay || 0,
+      iterations: computed.iterations,
+      direction: timing.direction || 'normal',
+      fill: computed.fill || 'none',
+      easingPath: this.getEasingPath(timing.easing),
+      ...this.getProgress(index)
+    };
+  }
+  
+  // Scrubbing works within one iteration; infinite animations would otherwise have no end
+  getProgress(index) {
+    const animation = this.animations[index];
+    if (!animation || !animation.effect) return { currentTime: 0, scrubEnd: 0, progress: null };
+    
+    const computed = animation.effect.getComputedTiming();
+    const activeDuration = Number.isFinite(computed.activeDuration) ? computed.activeDuration : computed.duration;
+    
+    return {
+      currentTime: Number(animation.currentTime) || 0,
+      scrubEnd: (Number(computed.delay) || 0) + (Number(activeDuration) || 0),
+      progress: computed.progress
+    };
+  }
+  
+  togglePlayback(index) {
+    const result = this.safeWrapper.execute(() => {
+      const animation = this.animations[index];
+      if (!animation) return null;
+      
+      if (animation.playState === 'running') {
+        animation.pause();
+      } else {
+        animation.play();
+      }
+      return animation.playState;
+    }, 'ANIMATION_PLAYBACK_ERROR', { index });
+    
+    return result.success ? result.data : null;
+  }
+  
+  scrub(index, time) {
+    const result = this.safeWrapper.execute(() => {
+      const animation = this.animations[index];
+      if (!animation) return false;
+      
+      animation.pause();
+      animation.currentTime = time;
+      return true;
+    }, 'ANIMATION_SCRUB_ERROR', { index, time });
+    
+    return result.success ? result.data : false;
+  }
+  
+  replay(index) {
+    const result = this.safeWrapper.execute(() => {
+      const animation = this.animations[index];
+      if (!animation) return false;
+      
+      animation.currentTime = 0;
+      animation.play();
+      return true;
+    }, 'ANIMATION_REPLAY_ERROR', { index });
+    
+    return result.success ? result.data : false;
+  }
+  
+  // The last @keyframes with a given name wins, as in the cascade
+  getKeyframesFor(element) {
+    const names = window.getComputedStyle(element).animationName
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name && name !== 'none');
+    if (names.length === 0) return [];
+    
+    const byName = new Map();
+    this.cascadeAnalyzer.getRuleIndex(element.getRootNode()).keyframesRules.forEach(({ rule }) => {
+      if (names.includes(rule.name)) byName.set(rule.name, rule.cssText);
+    });
+    
+    return names.filter(name => byName.has(name)).map(name => byName.get(name));
+  }
+  
+  // Builds an SVG path for the timing function in a 0..1 box (y grows downwards)
+  getEasingPath(easing) {
+    const value = String(easing || 'linear').trim();
+    const points = this.namedEasings[value] ||
+      (/^cubic-bezier\(([^)]+)\)$/.exec(value) || [])[1]?.split(',').map(parseFloat);
+    
+    if (points && points.length === 4) {
+      const [x1, y1, x2, y2] = points;
+      const flip = (y) => Math.round((1 - y) * 1000) / 1000;
+      return `M0,1 C${x1},${flip(y1)} ${x2},${flip(y2)} 1,0`;
+    }
+    
+    const steps = /^steps\(\s*(\d+)\s*(?:,\s*([\w-]+))?\s*\)$/.exec(value) ||
+      (value === 'step-start' ? [null, '1', 'start'] : value === 'step-end' ? [null, '1', 'end'] : null);
+    if (steps) {
+      const count = parseInt(steps[1], 10);
+      const position = steps[2] || 'end';
+      const jumps = count + (position === 'jump-both' ? 1 : 0) - (position === 'jump-none' ? 1 : 0);
+      const offset = ['start', 'jump-start', 'jump-both'].includes(position) ? 1 : 0;
+      const level = (step) => 1 - (step + offset) / Math.max(1, jumps);
+      
+      let path = `M0,${level(0)}`;
+      for (let step = 1; step < count; step++) {
+        path += ` H${step / count} V${level(step)}`;
+      }
+      return `${path} H1 V0`;
+    }
+    
+    // linear() lists output values, optionally with input percentages
+    const linear = /^linear\((.+)\)$/.exec(value);
+    if (linear) {
+      const stops = linear[1].split(',').map(stop => stop.trim().split(/\s+/));
+      return stops.map(([output, input], index) => {
+        const x = input ? parseFloat(input) / 100 : index / Math.max(1, stops.length - 1);
+        return `${index === 0 ? 'M' : 'L'}${x},${1 - parseFloat(output)}`;
+      }).join(' ');
+    }
+    
+    return 'M0,1 L1,0';
+  }
+  
+  clear() {
+    this.animations = [];
+  }
+}
+
+class LocatorGenerator {
+  constructor(styleCache, errorHandler) {
+    this.styleCache = styleCache;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.maxTextLength = 80;
+    
+    this.labels = {
+      xpathAbsolute: 'XPath (absolute)',
+      xpathRelative: 'XPath (relative)',
+      playwright: 'Playwright',
+      cypress: 'Cypress',
+      testingLibrary: 'Testing Library'
+    };
+    
+    // Implicit ARIA roles for the tags the locator libraries can query by role
+    this.implicitRoles = {
+      article: 'article', aside: 'complementary', button: 'button', dialog: 'dialog', fieldset: 'group',
+      form: 'form', h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+      hr: 'separator', li: 'listitem', main: 'main', nav: 'navigation', ol: 'list', option: 'option',
+      progress: 'progressbar', table: 'table', td: 'cell', textarea: 'textbox', th: 'columnheader',
+      tr: 'row', ul: 'list'
+    };
+    this.inputRoles = {
+      button: 'button', checkbox: 'checkbox', email: 'textbox', image: 'button', number: 'spinbutton',
+      radio: 'radio', range: 'slider', reset: 'button', search: 'searchbox', submit: 'button',
+      tel: 'textbox', text: 'textbox', url: 'textbox'
+    };
+    // Roles whose accessible name comes from their text content
+    this.nameFromContentRoles = ['button', 'cell', 'checkbox', 'columnheader', 'heading', 'link', 'listitem',
+      'menuitem', 'option', 'radio', 'row', 'tab', 'treeitem'];
+  }
+  
+  // Each locator carries its live match count so the popup can warn about ambiguous ones
+  generate(element) {
+    const result = this.safeWrapper.execute(() => {
+      const inShadowTree = ShadowDOMHelper.isInShadowTree(element);
+      const xpathNote = 'XPath cannot reach into shadow DOM';
+      
+      return [
+        inShadowTree ? this.unavailable('xpathAbsolute', xpathNote) : this.withXPathCount('xpathAbsolute', this.getAbsoluteXPath(element)),
+        inShadowTree ? this.unavailable('xpathRelative', xpathNote) : this.withXPathCount('xpathRelative', this.getRelativeXPath(element)),
+        this.getPlaywrightLocator(element),
+        this.getCypressLocator(element),
+        inShadowTree
+          ? this.unavailable('testingLibrary', 'Testing Library queries do not pierce shadow DOM')
+          : this.getTestingLibraryQuery(element)
+      ];
+    }, 'LOCATOR_GENERATION_ERROR', { element });
+    
+    return result.success ? result.data : [];
+  }
+  
+  unavailable(type, note) {
+    return { type, label: this.labels[type], code: null, matchCount: 0, note };
+  }
+  
+  locator(type, code, matchCount) {
+    return { type, label: this.labels[type], code, matchCount, note: null };
+  }
+  
+  // XPath
+  
+  withXPathCount(type, xpath) {
+    return this.locator(type, xpath, this.countXPath(xpath));
+  }
+  
+  countXPath(xpath) {
+    try {
+      return document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength;
+    } catch (e) {
+      return 0;
+    }
+  }
+  
+  getAbsoluteXPath(element, stopAt = null) {
+    const steps = [];
+    for (let current = element; current && current !== stopAt && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+      steps.unshift(this.getXPathStep(current));
+    }
+    return `${stopAt ? '' : '/'}${steps.join('/')}`;
+  }
+  
+  getXPathStep(element) {
+    const isHTML = element.namespaceURI === 'http://www.w3.org/1999/xhtml';
+    const name = element.localName;
+    const nameTest = isHTML ? name : `*[local-name()=${this.quoteXPath(name)}]`;
+    const siblings = element.parentElement
+      ? Array.from(element.parentElement.children).filter(sibling => sibling.localName === name && sibling.namespaceURI === element.namespaceURI)
+      : [element];
+    return siblings.length > 1 ? `${nameTest}[${siblings.indexOf(element) + 1}]` : nameTest;
+  }
+  
+  // Anchors on the closest element (the inspected one first) that an attribute or its text identifies on its own
+  getRelativeXPath(element) {
+    for (let anchor = element; anchor && anchor !== document.documentElement; anchor = anchor.parentElement) {
+      const predicates = this.getXPathPredicates(anchor, anchor === element);
+      const tag = anchor.namespaceURI === 'http://www.w3.org/1999/xhtml' ? anchor.localName : '*';
+      const unique = predicates
+        .map(predicate => `//${tag}[${predicate}]`)
+        .find(xpath => this.countXPath(xpath) === 1);
+      
+      if (unique) {
+        return anchor === element ? unique : `${unique}/${this.getAbsoluteXPath(element, anchor)}`;
+      }
+    }
+    return this.getAbsoluteXPath(element);
+  }
+  
+  getXPathPredicates(element, allowText) {
+    const predicates = [];
+    ['data-testid', 'data-test', 'data-cy', 'id', 'name', 'aria-label'].forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value && (attribute !== 'id' || this.styleCache.selectorGenerator.isStableToken(value))) {
+        predicates.push(`@${attribute}=${this.quoteXPath(value)}`);
+      }
+    });
+    
+    const text = allowText ? this.getOwnText(element) : '';
+    if (text && text.length <= this.maxTextLength) {
+      predicates.push(`normalize-space()=${this.quoteXPath(text)}`);
+    }
+    return predicates;
+  }
+  
+  quoteXPath(value) {
+    if (!value.includes('"')) return `"${value}"`;
+    if (!value.includes("'")) return `'${value}'`;
+    return `concat(${value.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+  }
+  
+  // Playwright
+  
+  getPlaywrightLocator(element) {
+    const role = this.getRole(element);
+    const name = role ? this.getAccessibleName(element, role) : '';
+    const text = this.getOwnText(element);
+    const testId = element.getAttribute('data-testid');
+    const candidates = [];
+    
+    if (role && name && name.length <= this.maxTextLength) {
+      candidates.push({
+        code: `page.getByRole(${this.quoteJS(role)}, { name: ${this.quoteJS(name)}, exact: true })`,
+        count: () => this.countByRole(role, name, true)
+      });
+    }
+    if (text && text.length <= this.maxTextLength && this.getDirectText(element) === text) {
+      candidates.push({
+        code: `page.getByText(${this.quoteJS(text)}, { exact: true })`,
+        count: () => this.countByText(text, true)
+      });
+    }
+    if (testId) {
+      candidates.push({
+        code: `page.getByTestId(${this.quoteJS(testId)})`,
+        count: () => this.countDeep(`[data-testid="${CSS.escape(testId)}"]`)
+      });
+    }
+    
+    // Playwright's CSS engine pierces open shadow roots, so the >>> segments are simply chained
+    const selector = this.styleCache.getSelector(element);
+    candidates.push({
+      code: selector.split(' >>> ').map((segment, index) => `${index === 0 ? 'page' : ''}.locator(${this.quoteJS(segment)})`).join(''),
+      count: () => this.styleCache.getMatchCount(selector)
+    });
+    
+    return this.pickCandidate('playwright', candidates);
+  }
+  
+  // Cypress
+  
+  getCypressLocator(element) {
+    const testAttribute = ['data-cy', 'data-test', 'data-testid'].find(attribute => element.getAttribute(attribute));
+    if (testAttribute && !ShadowDOMHelper.isInShadowTree(element)) {
+      const selector = `[${testAttribute}="${CSS.escape(element.getAttribute(testAttribute))}"]`;
+      const count = this.styleCache.getMatchCount(selector);
+      if (count === 1) return this.locator('cypress', `cy.get(${this.quoteJS(selector)})`, count);
+    }
+    
+    const selector = this.styleCache.getSelector(element);
+    const [first, ...rest] = selector.split(' >>> ');
+    const code = `cy.get(${this.quoteJS(first)})${rest.map(segment => `.shadow().find(${this.quoteJS(segment)})`).join('')}`;
+    return this.locator('cypress', code, this.styleCache.getMatchCount(selector));
+  }
+  
+  // Testing Library, in the library's own recommended query order
+  
+  getTestingLibraryQuery(element) {
+    const role = this.getRole(element);
+    const name = role ? this.getAccessibleName(element, role) : '';
+    const label = this.getLabelText(element);
+    const placeholder = element.getAttribute('placeholder');
+    const text = this.getDirectText(element);
+    const alt = element.getAttribute('alt');
+    const title = element.getAttribute('title');
+    const testId = element.getAttribute('data-testid');
+    const candidates = [];
+    const byAttribute = (attribute, value) => () => document.querySelectorAll(`[${attribute}="${CSS.escape(value)}"]`).length;
+    
+    if (role && name && name.length <= this.maxTextLength) {
+      candidates.push({
+        code: `screen.getByRole(${this.quoteJS(role)}, { name: ${this.quoteJS(name)} })`,
+        count: () => this.countByRole(role, name, false)
+      });
+    }
+    if (label) {
+      candidates.push({
+        code: `screen.getByLabelText(${this.quoteJS(label)})`,
+        count: () => Array.from(document.querySelectorAll('input, select, textarea')).filter(field => this.getLabelText(field) === label).length
+      });
+    }
+    if (placeholder) candidates.push({ code: `screen.getByPlaceholderText(${this.quoteJS(placeholder)})`, count: byAttribute('placeholder', placeholder) });
+    if (text && text.length <= this.maxTextLength) {
+      candidates.push({ code: `screen.getByText(${this.quoteJS(text)})`, count: () => this.countByText(text, false) });
+    }
+    if (alt) candidates.push({ code: `screen.getByAltText(${this.quoteJS(alt)})`, count: byAttribute('alt', alt) });
+    if (title) candidates.push({ code: `screen.getByTitle(${this.quoteJS(title)})`, count: byAttribute('title', title) });
+    if (testId) candidates.push({ code: `screen.getByTestId(${this.quoteJS(testId)})`, count: byAttribute('data-testid', testId) });
+    
+    if (candidates.length === 0) {
+      return this.unavailable('testingLibrary', 'No role, label, text or test id to query by');
+    }
+    return this.pickCandidate('testingLibrary', candidates);
+  }
+  
+  // First candidate that matches exactly one element, else the first one so the popup can warn about it
+  pickCandidate(type, candidates) {
+    for (const candidate of candidates) {
+      const count = candidate.count();
+      if (count === 1) return this.locator(type, candidate.code, count);
+    }
+    return this.locator(type, candidates[0].code, candidates[0].count());
+  }
+  
+  // Roles and names
+  
+  getRole(element) {
+    const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+    if (explicit) return explicit;
+    
+    const tag = element.localName;
+    if (tag === 'a' || tag === 'area') return element.hasAttribute('href') ? 'link' : null;
+    if (tag === 'img') return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+    if (tag === 'select') return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    if (tag === 'input') {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      if (element.hasAttribute('list') && ['text', 'search', 'email', 'tel', 'url'].includes(type)) return 'combobox';
+      return this.inputRoles[type] || null;
+    }
+    if (tag === 'section') return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby') ? 'region' : null;
+    return this.implicitRoles[tag] || null;
+  }
+  
+  // A simplified accessible name computation covering the common sources
+  getAccessibleName(element, role) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = element.getRootNode();
+      const text = labelledBy.split(/\s+/)
+        .map(id => root.getElementById ? root.getElementById(id) : null)
+        .filter(Boolean)
+        .map(label => this.normalizeText(label.textContent))
+        .join(' ');
+      if (text) return text;
+    }
+    
+    const ariaLabel = this.normalizeText(element.getAttribute('aria-label') || '');
+    if (ariaLabel) return ariaLabel;
+    
+    const label = this.getLabelText(element);
+    if (label) return label;
+    
+    if (element.localName === 'img' || (element.localName === 'input' && element.type === 'image')) {
+      const alt = this.normalizeText(element.getAttribute('alt') || '');
+      if (alt) return alt;
+    }
+    if (element.localName === 'input' && ['button', 'submit', 'reset'].includes(element.type)) {
+      return this.normalizeText(element.value || '');
+    }
+    if (this.nameFromContentRoles.includes(role)) {
+      const text = this.normalizeText(element.textContent);
+      if (text) return text;
+    }
+    return this.normalizeText(element.getAttribute('title') || element.getAttribute('placeholder') || '');
+  }
+  
+  getLabelText(element) {
+    if (!element.labels || element.labels.length === 0) return '';
+    return Array.from(element.labels).map(label => this.normalizeText(label.textContent)).join(' ');
+  }
+  
+  // Hidden elements are excluded from role queries by both libraries
+  isHidden(element) {
+    if (element.closest('[hidden], [aria-hidden="true"]')) return true;
+    return typeof element.checkVisibility === 'function' && !element.checkVisibility({ visibilityProperty: true });
+  }
+  
+  countByRole(role, name, exact) {
+    const scope = exact ? ShadowDOMHelper.querySelectorAllDeep(document, '*') : Array.from(document.querySelectorAll('*'));
+    return scope.filter(candidate =>
+      !this.isScannerUI(candidate) &&
+      this.getRole(candidate) === role &&
+      this.getAccessibleName(candidate, role) === name &&
+      !this.isHidden(candidate)
+    ).length;
+  }
+  
+  // Playwright matches the innermost elements containing the text; Testing Library only an element's own text nodes
+  countByText(text, deep) {
+    if (!deep) {
+      return Array.from(document.querySelectorAll('body *'))
+        .filter(candidate => this.isTextCandidate(candidate) && this.getDirectText(candidate) === text).length;
+    }
+    return ShadowDOMHelper.querySelectorAllDeep(document.body, '*').filter(candidate =>
+      this.isTextCandidate(candidate) &&
+      this.normalizeText(candidate.textContent) === text &&
+      !Array.from(candidate.children).some(child => this.normalizeText(child.textContent) === text)
+    ).length;
+  }
+  
+  isTextCandidate(element) {
+    return !['SCRIPT', 'STYLE'].includes(element.tagName) && !this.isScannerUI(element);
+  }
+  
+  isScannerUI(element) {
+    return element.closest('.css-scanner-popup, [data-css-scanner]') !== null;
+  }
+  
+  countDeep(selector) {
+    return ShadowDOMHelper.querySelectorAllDeep(document, selector).length;
+  }
+  
+  getOwnText(element) {
+    return this.normalizeText(element.textContent);
+  }
+  
+  getDirectText(element) {
+    return this.normalizeText(Array.from(element.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .map(node => node.textContent)
+      .join(''));
+  }
+  
+  normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  quoteJS(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  }
+}
+
+class SubtreeExporter {
+  constructor(styleCache, defaultStyleBaseline, elementSelector, errorHandler) {
+    this.styleCache = styleCache;
+    this.defaultStyleBaseline = defaultStyleBaseline;
+    this.elementSelector = elementSelector;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.maxElements = 300;
+    this.skippedTags = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'LINK', 'META'];
+    // Inherited values repeated from the parent add nothing to the output. The nested export only collects
+    // the first few; the rest come into play when getNodeStyles reads every property for component extraction.
+    this.inheritedProperties = ['color', 'font-family', 'font-size', 'font-weight', 'letter-spacing', 'line-height',
+      'text-align', 'font-style', 'font-variant', 'font-variant-caps', 'font-variant-ligatures', 'font-variant-numeric',
+      'font-variant-east-asian', 'font-variant-alternates', 'font-variant-position', 'font-stretch', 'font-kerning',
+      'font-feature-settings', 'font-variation-settings', 'font-optical-sizing', 'font-size-adjust', 'font-synthesis-weight',
+      'font-synthesis-style', 'font-synthesis-small-caps', 'word-spacing', 'text-transform', 'text-indent', 'text-align-last',
+      'text-shadow', 'text-rendering', 'text-underline-position', 'text-decoration-skip-ink', 'text-emphasis-color',
+      'text-emphasis-position', 'text-emphasis-style', 'text-wrap', 'text-wrap-mode', 'text-wrap-style', 'white-space',
+      'white-space-collapse', 'word-break', 'overflow-wrap', 'line-break', 'hyphens', 'tab-size', 'direction',
+      'writing-mode', 'text-orientation', 'visibility', 'cursor', 'pointer-events', 'caret-color', 'quotes',
+      'list-style-type', 'list-style-position', 'list-style-image', 'border-collapse', 'border-spacing',
+      '-webkit-border-horizontal-spacing', '-webkit-border-vertical-spacing', 'caption-side', 'empty-cells',
+      'orphans', 'widows', 'image-rendering', 'color-scheme', 'paint-order', 'fill', 'fill-opacity', 'fill-rule',
+      'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap',
+      'stroke-linejoin', 'stroke-miterlimit', '-webkit-text-fill-color', '-webkit-text-stroke-color',
+      '-webkit-text-stroke-width'];
+    // Properties whose initial value is currentcolor, so they follow color when left out
+    this.currentColorProperties = ['border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+      'outline-color', 'text-decoration-color', 'text-emphasis-color', 'column-rule-color', 'caret-color',
+      '-webkit-text-fill-color', '-webkit-text-stroke-color'];
+  }
+  
+  // Descendants get selectors relative to their parent, so the tree nests as-is in SCSS or LESS
+  collect(root, options = {}) {
+    const { maxDepth = 3, includeHidden = false } = options;
+    
+    const result = this.safeWrapper.execute(() => {
+      let count = 0;
+      let truncated = false;
+      
+      const visit = (element, depth, parentStyles) => {
+        count++;
+        const { computed, styles } = this.getNodeStyles(element, parentStyles);
+        
+        const children = [];
+        if (depth < maxDepth) {
+          for (const child of Array.from(element.children)) {
+            if (!this.isExportable(child, includeHidden)) continue;
+            if (count >= this.maxElements) {
+              truncated = true;
+              break;
+            }
+            children.push(visit(child, depth + 1, computed));
+          }
+        }
+        
+        return { tag: element.tagName.toLowerCase(), segment: depth === 0 ? null : this.getSegment(element), styles, children };
+      };
+      
+      const tree = visit(root, 0, null);
+      // ">>>" is not valid SCSS or LESS, so shadow roots are exported with their scoped selector and named in a comment
+      const rootNode = root.getRootNode();
+      const shadowHost = rootNode instanceof ShadowRoot ? this.styleCache.getSelector(rootNode.host) : null;
+      tree.segment = shadowHost ? this.styleCache.generateScopedSelector(root, rootNode) : this.styleCache.getSelector(root);
+      return { tree, elementCount: count, truncated, maxDepth, shadowHost };
+    }, 'SUBTREE_COLLECT_ERROR', { options });
+    
+    return result.success ? result.data : null;
+  }
+  
+  // Inherited values are kept when they differ from the parent, or when the tag's own default would replace
+  // the inherited value. With full, every computed property is diffed instead of the hover cache's subset.
+  getNodeStyles(element, parentStyles = null, pseudoElement = null, options = {}) {
+    const { full = false } = options;
+    const computed = full
+      ? this.styleCache.getFullComputedStyle(element, pseudoElement)
+      : this.styleCache.getComputedStyle(element, pseudoElement);
+    const baseline = this.defaultStyleBaseline.getBaseline(element, pseudoElement, { full });
+    const styles = this.defaultStyleBaseline.filterNonDefault(computed, baseline);
+    
+    // A value equal to the parent's still matters where the tag sets its own default (an h1 at font-weight 400).
+    // Whether it does is read from the probe against its blank parent, since the probe's raw values are the
+    // frame's black Times text and would make every inherited font and color look set.
+    if (parentStyles) {
+      const parentBaseline = this.defaultStyleBaseline.getParentBaseline({ full });
+      this.inheritedProperties.forEach(prop => {
+        const tagDefault = baseline ? baseline[prop] : null;
+        const tagOverrides = tagDefault && parentBaseline && tagDefault !== parentBaseline[prop];
+        if (computed[prop] && (computed[prop] !== parentStyles[prop] || (tagOverrides && computed[prop] !== tagDefault))) {
+          styles[prop] = computed[prop];
+        } else {
+          delete styles[prop];
+        }
+      });
+    }
+    
+    if (full) {
+      this.dropDerivedProperties(styles, computed);
+    }
+    return { computed, styles };
+  }
+  
+  // Logical and -webkit- aliases repeat their physical properties; origins and currentcolor resolve from other values
+  dropDerivedProperties(styles, computed) {
+    const isNone = (prop) => !computed[prop] || computed[prop] === 'none';
+    
+    Object.keys(styles).forEach(prop => {
+      const unprefixed = prop.replace(/^-webkit-/, '');
+      const derived = /(^|-)(block|inline)(-|$)/.test(prop) ||
+        /^border-(start|end)-(start|end)-radius$/.test(prop) ||
+        (unprefixed !== prop && unprefixed in computed) ||
+        (this.currentColorProperties.includes(prop) && styles[prop] === computed.color) ||
+        (prop === 'transform-origin' && ['transform', 'rotate', 'scale', 'translate'].every(isNone)) ||
+        (prop === 'perspective-origin' && isNone('perspective'));
+      if (derived) delete styles[prop];
+    });
+  }
+  
+  getSegment(element) {
+    const generator = this.styleCache.selectorGenerator;
+    return `> ${generator.getSiblingSegment(element, generator.getCandidates(element))}`;
+  }
+  
+  isExportable(element, includeHidden) {
+    if (this.skippedTags.includes(element.tagName)) return false;
+    if (element.closest('.css-scanner-popup, [data-css-scanner]')) return false;
+    return includeHidden || this.elementSelector.isVisible(element);
+  }
+}
+
+class DesignTokenExporter {
+  constructor(locatorGenerator, contrastChecker, cssOptimizer, errorHandler) {
+    this.locatorGenerator = locatorGenerator;
+    this.contrastChecker = contrastChecker;
+    this.cssOptimizer = cssOptimizer;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.baseTokens = null;
+    this.tokenIndex = new Map();
+    // Roles too generic to name a component after
+    this.genericRoles = ['generic', 'none', 'presentation', 'group', 'paragraph'];
+    // Sub-values of composite tokens, which can reference tokens of these types
+    this.compositeParts = {
+      typography: { fontFamily: 'fontFamily', fontSize: 'dimension', fontWeight: 'fontWeight', lineHeight: 'number', letterSpacing: 'dimension' },
+      shadow: { color: 'color', offsetX: 'dimension', offsetY: 'dimension', blur: 'dimension', spread: 'dimension' }
+    };
+    this.fontWeightNames = { thin: 100, hairline: 100, 'extra-light': 200, light: 300, normal: 400, regular: 400,
+      medium: 500, 'semi-bold': 600, bold: 700, 'extra-bold': 800, black: 900 };
+  }
+  
+  // The uploaded file is indexed by type and normalized value, so equal values become references
+  setBaseTokens(tokens) {
+    const result = this.safeWrapper.execute(() => {
+      this.baseTokens = tokens && typeof tokens === 'object' && !Array.isArray(tokens) ? tokens : null;
+      this.tokenIndex = new Map();
+      if (!this.baseTokens) return 0;
+      
+      const tokenList = this.flattenTokens(this.baseTokens);
+      const byPath = new Map(tokenList.map(token => [token.path, token]));
+      tokenList.forEach(token => {
+        const value = this.resolveAliases(token.value, byPath, new Set([token.path]));
+        const key = value === undefined ? null : this.getIndexKey(token.type, value);
+        // Literal tokens win over aliases that point at the same value
+        if (key && (!this.tokenIndex.has(key) || (this.tokenIndex.get(key).isAlias && !token.isAlias))) {
+          this.tokenIndex.set(key, token);
+        }
+      });
+      return this.tokenIndex.size;
+    }, 'DESIGN_TOKENS_LOAD_ERROR');
+    
+    return result.success ? result.data : 0;
+  }
+  
+  // Tokens are objects with $value; $type is inherited from the closest group that declares one
+  flattenTokens(group, path = [], inheritedType = null, tokens = []) {
+    const groupType = group.$type || inheritedType;
+    Object.entries(group).forEach(([key, node]) => {
+      if (key.startsWith('$') || !node || typeof node !== 'object') return;
+      
+      const nodePath = [...path, key];
+      if ('$value' in node) {
+        const type = node.$type || groupType || this.inferType(node.$value);
+        tokens.push({ path: nodePath.join('.'), type, value: node.$value, isAlias: this.isAlias(node.$value) });
+      } else {
+        this.flattenTokens(node, nodePath, groupType, tokens);
+      }
+    });
+    return tokens;
+  }
+  
+  inferType(value) {
+    if (typeof value !== 'string') return null;
+    if (/^#[\da-f]{3,8}$/i.test(value) || /^(rgb|hsl)a?\(/i.test(value)) return 'color';
+    if (/^-?[\d.]+(px|rem|em)$/.test(value)) return 'dimension';
+    return null;
+  }
+  
+  isAlias(value) {
+    return typeof value === 'string' && /^\{[^{}]+\}$/.test(value);
+  }
+  
+  resolveAliases(value, byPath, seen) {
+    if (this.isAlias(value)) {
+      const path = value.slice(1, -1);
+      const target = byPath.get(path);
+      if (!target || seen.has(path)) return undefined;
+      return this.resolveAliases(target.value, byPath, new Set([...seen, path]));
+    }
+    if (value && typeof value === 'object') {
+      const resolved = Array.isArray(value) ? [] : {};
+      for (const [key, part] of Object.entries(value)) {
+        resolved[key] = this.resolveAliases(part, byPath, seen);
+        if (resolved[key] === undefined) return undefined;
+      }
+      return resolved;
+    }
+    return value;
+  }
+  
+  getIndexKey(type, value) {
+    const normalized = this.normalizeValue(type, value);
+    return type && normalized !== null ? `${type}|${normalized}` : null;
+  }
+  
+  // Equal values in different notations (rgb() vs hex, rem vs px) share one key
+  normalizeValue(type, value) {
+    switch (type) {
+      case 'color': {
+        const color = typeof value === 'string' ? this.contrastChecker.parseColor(value) : null;
+        return color ? this.formatColor(color) : null;
+      }
+      case 'dimension': {
+        const match = typeof value === 'string' ? /^(-?[\d.]+)(px|rem|em)?$/.exec(value.trim()) : null;
+        if (match) return String(parseFloat(match[1]) * (match[2] && match[2] !== 'px' ? 16 : 1));
+        if (value && typeof value === 'object' && 'value' in value) return this.normalizeValue(type, `${value.value}${value.unit || 'px'}`);
+        return null;
+      }
+      // "Inter, sans-serif" and ["Inter", "sans-serif"] are the same stack
+      case 'fontFamily':
+        return [].concat(value)
+          .flatMap(family => this.cssOptimizer.splitTopLevel(String(family), /,/))
+          .map(family => family.trim().replace(/^(['"])(.*)\1$/, '$2').toLowerCase())
+          .join(',');
+      case 'fontWeight':
+        return String(this.fontWeightNames[String(value).toLowerCase()] || parseFloat(value));
+      case 'number':
+        return String(parseFloat(value));
+      case 'shadow':
+        return [].concat(value).map(layer => Object.entries(this.compositeParts.shadow)
+          .map(([key, partType]) => this.normalizeValue(partType, layer[key] || (partType === 'color' ? '#000000' : '0px')))
+          .concat(layer.inset ? 'inset' : [])
+          .join(' ')).join(',');
+      case 'typography':
+        return Object.entries(this.compositeParts.typography)
+          .map(([key, partType]) => value[key] === undefined ? '' : this.normalizeValue(partType, value[key]))
+          .join('|');
+      default:
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+  }
+  
+  // Zero lengths are left literal; a reference to a "none" spacing token says nothing useful
+  findToken(type, value) {
+    const key = this.getIndexKey(type, value);
+    if (!key || key === 'dimension|0') return null;
+    return this.tokenIndex.get(key) || null;
+  }
+  
+  // A composite that matches no token as a whole can still reference tokens for its parts
+  referenceParts(type, value, stats) {
+    const partTypes = this.compositeParts[type];
+    if (!partTypes) return value;
+    
+    const replace = (composite) => Object.fromEntries(Object.entries(composite).map(([key, part]) => {
+      const existing = partTypes[key] ? this.findToken(partTypes[key], part) : null;
+      if (existing) stats.reusedCount++;
+      return [key, existing ? `{${existing.path}}` : part];
+    }));
+    return Array.isArray(value) ? value.map(replace) : replace(value);
+  }
+  
+  formatColor({ r, g, b, a = 1 }) {
+    const hex = this.contrastChecker.formatColor({ r, g, b });
+    return a < 1 ? `${hex}${Math.round(a * 255).toString(16).padStart(2, '0')}` : hex;
+  }
+  
+  // Builds the element's token group and, with an uploaded file, merges it in with references to matching tokens
+  generate(element) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      const style = window.getComputedStyle(element);
+      const stats = { tokenCount: 0, reusedCount: 0 };
+      const token = (type, value) => {
+        stats.tokenCount++;
+        const existing = this.findToken(type, value);
+        if (existing) stats.reusedCount++;
+        return { $type: type, $value: existing ? `{${existing.path}}` : this.referenceParts(type, value, stats) };
+      };
+      
+      const group = {
+        $description: `Extracted from ${this.locatorGenerator.styleCache.getSelector(element)} on ${location.host || location.href}`
+      };
+      const sections = {
+        color: this.collectColors(style, token),
+        typography: this.collectTypography(style, token),
+        spacing: this.collectSpacing(style, token),
+        radius: this.collectRadius(style, token),
+        shadow: this.collectShadow(style, token)
+      };
+      Object.entries(sections).forEach(([name, section]) => {
+        if (section && Object.keys(section).length > 0) group[name] = section;
+      });
+      
+      const tokensDocument = this.baseTokens ? JSON.parse(JSON.stringify(this.baseTokens)) : {};
+      let name = this.getTokenName(element);
+      for (let suffix = 2; name in tokensDocument; suffix++) {
+        name = `${this.getTokenName(element)}-${suffix}`;
+      }
+      tokensDocument[name] = group;
+      
+      return { document: tokensDocument, name, merged: Boolean(this.baseTokens), ...stats };
+    }, 'DESIGN_TOKENS_GENERATE_ERROR', { element });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  }
+  
+  // Named after the role (heading levels included), falling back to the element's own selector segment
+  getTokenName(element) {
+    const role = this.locatorGenerator.getRole(element);
+    if (role && !this.genericRoles.includes(role)) {
+      const level = role === 'heading' ? (element.getAttribute('aria-level') || element.localName.replace(/^h/, '')) : '';
+      return /^\d$/.test(level) ? `${role}-${level}` : role;
+    }
+    
+    const selector = this.locatorGenerator.styleCache.getSelector(element).split(/\s*(?:>>>|>|\s)\s*/).pop();
+    const name = selector
+      .replace(/\[data-[\w-]+=["']?([^"'\]]+)["']?\]/g, '-$1')
+      .replace(/:nth-of-type\((\d+)\)/g, '-$1')
+      .replace(/\\(.)/g, '$1')
+      .replace(/[^\w-]+/g, '-')
+      .replace(/([a-z])([A-Z])/g, '$1-$2')
+      .replace(/^-+|-+$/g, '')
+      .replace(/-{2,}/g, '-')
+      .toLowerCase();
+    return name || element.localName;
+  }
+  
+  collectColors(style, token) {
+    const colors = {};
+    const add = (name, value) => {
+      const color = this.contrastChecker.parseColor(value);
+      if (color && color.a > 0) colors[name] = token('color', this.formatColor(color));
+    };
+    
+    add('text', style.color);
+    add('background', style.backgroundColor);
+    const hasBorder = ['Top', 'Right', 'Bottom', 'Left']
+      .some(side => parseFloat(style[`border${side}Width`]) > 0 && style[`border${side}Style`] !== 'none');
+    if (hasBorder) add('border', style.borderTopColor);
+    return colors;
+  }
+  
+  // Line height is written as a ratio of the font size, the unitless form the format expects
+  collectTypography(style, token) {
+    const fontSize = parseFloat(style.fontSize);
+    if (!fontSize) return {};
+    const lineHeight = style.lineHeight === 'normal' ? 1.2 : Math.round(parseFloat(style.lineHeight) / fontSize * 1000) / 1000;
+    const letterSpacing = style.letterSpacing === 'normal' ? '0px' : style.letterSpacing;
+    const families = this.cssOptimizer.splitTopLevel(style.fontFamily, /,/)
+      .map(family => family.replace(/^(['"])(.*)\1$/, '$2'))
+      .filter(Boolean);
+    const weight = this.fontWeightNames[style.fontWeight] || parseFloat(style.fontWeight) || 400;
+    
+    return {
+      font: token('typography', {
+        fontFamily: families,
+        fontSize: `${fontSize}px`,
+        fontWeight: weight,
+        lineHeight,
+        letterSpacing
+      })
+    };
+  }
+  
+  // Equal sides collapse to one token, then to block/inline pairs
+  collectSpacing(style, token) {
+    const spacing = {};
+    ['padding', 'margin'].forEach(box => {
+      const [top, right, bottom, left] = ['Top', 'Right', 'Bottom', 'Left'].map(side => style[`${box}${side}`]);
+      const sides = { top, right, bottom, left };
+      if (Object.values(sides).every(value => !parseFloat(value))) return;
+      
+      if (top === right && right === bottom && bottom === left) {
+        spacing[box] = token('dimension', top);
+      } else if (top === bottom && left === right) {
+        if (parseFloat(top)) spacing[`${box}-block`] = token('dimension', top);
+        if (parseFloat(left)) spacing[`${box}-inline`] = token('dimension', left);
+      } else {
+        Object.entries(sides)
+          .filter(([, value]) => parseFloat(value))
+          .forEach(([side, value]) => { spacing[`${box}-${side}`] = token('dimension', value); });
+      }
+    });
+    
+    const rowGap = parseFloat(style.rowGap) ? style.rowGap : null;
+    const columnGap = parseFloat(style.columnGap) ? style.columnGap : null;
+    if (rowGap && rowGap === columnGap) {
+      spacing.gap = token('dimension', rowGap);
+    } else {
+      if (rowGap) spacing['row-gap'] = token('dimension', rowGap);
+      if (columnGap) spacing['column-gap'] = token('dimension', columnGap);
+    }
+    return spacing;
+  }
+  
+  // Elliptical corners ("8px 4px") have no dimension token form and are skipped
+  collectRadius(style, token) {
+    const corners = {
+      'top-left': style.borderTopLeftRadius,
+      'top-right': style.borderTopRightRadius,
+      'bottom-right': style.borderBottomRightRadius,
+      'bottom-left': style.borderBottomLeftRadius
+    };
+    const values = Object.values(corners);
+    if (values.every(value => !parseFloat(value))) return {};
+    if (values.every(value => value === values[0] && /^[\d.]+px$/.test(value))) {
+      return { default: token('dimension', values[0]) };
+    }
+    
+    return Object.fromEntries(Object.entries(corners)
+      .filter(([, value]) => /^[\d.]+px$/.test(value) && parseFloat(value))
+      .map(([corner, value]) => [corner, token('dimension', value)]));
+  }
+  
+  collectShadow(style, token) {
+    if (!style.boxShadow || style.boxShadow === 'none') return {};
+    
+    const layers = this.cssOptimizer.splitTopLevel(style.boxShadow, /,/).map(layer => {
+      const tokens = this.cssOptimizer.splitTopLevel(layer);
+      const isLength = (value) => /^-?[\d.]+(px)?$/.test(value);
+      const lengths = tokens.filter(isLength).map(value => `${parseFloat(value)}px`);
+      const color = tokens.find(value => !isLength(value) && value !== 'inset');
+      const parsed = this.contrastChecker.parseColor(color || 'rgb(0, 0, 0)');
+      const [offsetX = '0px', offsetY = '0px', blur = '0px', spread = '0px'] = lengths;
+      return {
+        color: parsed ? this.formatColor(parsed) : color,
+        offsetX,
+        offsetY,
+        blur,
+        spread,
+        ...(tokens.includes('inset') ? { inset: true } : {})
+      };
+    });
+    
+    return { default: token('shadow', layers.length === 1 ? layers[0] : layers) };
+  }
+}
+
+class ComponentExtractor {
+  constructor(subtreeExporter, fontFaceResolver, cssOptimizer, errorHandler) {
+    this.subtreeExporter = subtreeExporter;
+    this.fontFaceResolver = fontFaceResolver;
+    this.cssOptimizer = cssOptimizer;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.maxElements = 500;
+    this.maxAssetBytes = 2 * 1024 * 1024;
+    this.removedTags = ['SCRIPT', 'NOSCRIPT', 'TEMPLATE', 'STYLE', 'LINK', 'META'];
+    this.urlAttributes = ['src', 'href', 'poster', 'action', 'data', 'xlink:href'];
+    this.assetAttributes = ['src', 'poster', 'data'];
+    this.urlPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+  }
+  
+  // Clones the subtree with one scoped class per distinct style set, so the file renders the same on its own
+  async extract(root, options = {}) {
+    const { inlineAssets = false } = options;
+    
+    const result = await this.safeWrapper.executeAsync(async () => {
+      const scope = `c${this.hashString(`${location.href}|${this.subtreeExporter.styleCache.getSelector(root)}`)}`;
+      const rules = new Map();
+      const fontFamilies = new Set();
+      let count = 0;
+      let truncated = false;
+      
+      const visit = (element, clone, parentStyles) => {
+        count++;
+        const { computed, styles } = this.subtreeExporter.getNodeStyles(element, parentStyles, null, { full: true });
+        const pseudoStyles = ['::before', '::after']
+          .filter(pseudoElement => this.hasGeneratedContent(element, pseudoElement))
+          .map(pseudoElement => [pseudoElement, this.subtreeExporter.getNodeStyles(element, computed, pseudoElement, { full: true }).styles]);
+        this.fontFaceResolver.parseFamilyList(computed['font-family']).forEach(family => fontFamilies.add(family));
+        
+        this.cleanClone(element, clone);
+        const declarations = this.absolutizeStyles(styles);
+        const key = JSON.stringify([declarations, pseudoStyles]);
+        if (Object.keys(declarations).length > 0 || pseudoStyles.length > 0) {
+          if (!rules.has(key)) {
+            rules.set(key, { className: `${scope}-${rules.size + 1}`, styles: declarations, pseudoStyles });
+          }
+          clone.setAttribute('class', rules.get(key).className);
+        }
+        
+        const pairs = Array.from(element.children).map((child, index) => [child, clone.children[index]]);
+        for (const [child, childClone] of pairs) {
+          if (this.removedTags.includes(child.tagName) || child.closest('.css-scanner-popup, [data-css-scanner]')) {
+            childClone.remove();
+          } else if (count >= this.maxElements) {
+            truncated = true;
+            childClone.remove();
+          } else {
+            visit(child, childClone, computed);
+          }
+        }
+      };
+      
+      const clone = root.cloneNode(true);
+      visit(root, clone, null);
+      
+      const fontFaces = [...new Set(Array.from(fontFamilies)
+        .flatMap(family => this.fontFaceResolver.getFontFaceRules(family).map(rule => rule.cssText)))];
+      const css = [...fontFaces, ...Array.from(rules.values()).flatMap(rule => this.generateRuleText(rule))].join('\n\n');
+      let html = this.generateDocument(root, clone, css, { count, truncated });
+      
+      let assets = { inlined: 0, failed: 0 };
+      if (inlineAssets) {
+        ({ html, assets } = await this.inlineAssets(html));
+      }
+      
+      return { html, elementCount: count, truncated, assets };
+    }, 'COMPONENT_EXTRACT_ERROR', { options });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  }
+  
+  hasGeneratedContent(element, pseudoElement) {
+    const content = window.getComputedStyle(element, pseudoElement).content;
+    return Boolean(content) && content !== 'none' && content !== 'normal';
+  }
+  
+  // Page classes, inline styles, handlers and scanner attributes mean nothing outside the page
+  cleanClone(element, clone) {
+    Array.from(clone.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      if (name === 'class' || name === 'style' || name.startsWith('on') || name.startsWith('data-css-scanner')) {
+        clone.removeAttribute(attribute.name);
+      }
+    });
+    
+    this.urlAttributes
+      .filter(name => clone.hasAttribute(name))
+      .forEach(name => clone.setAttribute(name, this.absolutizeUrl(clone.getAttribute(name), element.baseURI)));
+    
+    if (clone.hasAttribute('srcset')) {
+      const srcset = clone.getAttribute('srcset').split(',').map(candidate => {
+        const [url, ...descriptors] = candidate.trim().split(/\s+/);
+        return [this.absolutizeUrl(url, element.baseURI), ...descriptors].join(' ');
+      });
+      clone.setAttribute('srcset', srcset.join(', '));
+    }
+    
+    // Live form state is not reflected in the cloned markup
+    if (element instanceof HTMLInputElement && !['file', 'password'].includes(element.type)) {
+      if (element.type === 'checkbox' || element.type === 'radio') {
+        clone.toggleAttribute('checked', element.checked);
+      } else {
+        clone.setAttribute('value', element.value);
+      }
+    } else if (element instanceof HTMLTextAreaElement) {
+      clone.textContent = element.value;
+    } else if (element instanceof HTMLOptionElement) {
+      clone.toggleAttribute('selected', element.selected);
+    }
+  }
+  
+  // In-page anchors keep working in the standalone file, so they stay relative
+  absolutizeUrl(url, base) {
+    if (!url || url.startsWith('#') || /^(data|javascript|mailto|tel):/i.test(url)) return url;
+    try {
+      return new URL(url, base || location.href).href;
+    } catch (e) {
+      return url;
+    }
+  }
+  
+  absolutizeStyles(styles) {
+    return Object.fromEntries(Object.entries(styles).map(([prop, value]) => [
+      prop,
+      value.replace(this.urlPattern, (match, quote, url) => `url("${this.absolutizeUrl(url, location.href)}")`)
+    ]));
+  }
+  
+  generateRuleText({ className, styles, pseudoStyles }) {
+    const block = (selector, declarations) => {
+      const lines = this.cssOptimizer.optimize(declarations).map(([prop, value]) => `  ${prop}: ${value};`);
+      return lines.length > 0 ? [`${selector} {\n${lines.join('\n')}\n}`] : [];
+    };
+    
+    return [
+      ...block(`.${className}`, styles),
+      ...pseudoStyles.flatMap(([pseudoElement, declarations]) => block(`.${className}${pseudoElement}`, this.absolutizeStyles(declarations)))
+    ];
+  }
+  
+  generateDocument(root, clone, css, { count, truncated }) {
+    const source = `${location.href} (${this.subtreeExporter.styleCache.getSelector(root)})`.replace(/--/g, '- -');
+    const note = truncated ? ` Truncated after ${count} elements.` : '';
+    const title = `&lt;${root.tagName.toLowerCase()}&gt; component`;
+    
+    return [
+      '<!DOCTYPE html>',
+      `<html lang="${document.documentElement.lang || 'en'}">`,
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${title}</title>`,
+      `<!-- Extracted from ${source}.${note} -->`,
+      '<style>',
+      // The page's own body margin is not part of the component, so the browser default is reset
+      'body { margin: 0; }',
+      '',
+      css.replace(/<\/style/gi, '<\\/style'),
+      '</style>',
+      '</head>',
+      '<body>',
+      clone.outerHTML,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+  
+  // Assets the page origin may not read (CORS) keep their absolute URL
+  async inlineAssets(html) {
+    const urls = new Set();
+    for (const match of html.matchAll(this.urlPattern)) {
+      urls.add(match[2]);
+    }
+    const attributePattern = new RegExp(`\\s(?:${this.assetAttributes.join('|')})="([^"]+)"`, 'g');
+    for (const match of html.matchAll(attributePattern)) {
+      urls.add(match[1].replace(/&amp;/g, '&'));
+    }
+    for (const match of html.matchAll(/\ssrcset="([^"]+)"/g)) {
+      match[1].split(',').forEach(candidate => urls.add(candidate.trim().split(/\s+/)[0].replace(/&amp;/g, '&')));
+    }
+    
+    const remote = Array.from(urls).filter(url => /^https?:/i.test(url));
+    const dataUris = new Map();
+    for (const url of remote) {
+      const dataUri = await this.fetchAsDataUri(url);
+      if (dataUri) dataUris.set(url, dataUri);
+    }
+    
+    // Longest first, so a URL that prefixes another cannot break it
+    let inlined = html;
+    Array.from(dataUris.keys()).sort((a, b) => b.length - a.length).forEach(url => {
+      const dataUri = dataUris.get(url);
+      inlined = inlined.split(url).join(dataUri).split(url.replace(/&/g, '&amp;')).join(dataUri);
+    });
+    
+    return { html: inlined, assets: { inlined: dataUris.size, failed: remote.length - dataUris.size } };
+  }
+  
+  async fetchAsDataUri(url) {
+    const result = await this.safeWrapper.executeAsync(async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const blob = await response.blob();
+      if (blob.size > this.maxAssetBytes) {
+        throw new Error('Asset too large to inline');
+      }
+      
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    }, 'ASSET_INLINE_ERROR', { url });
+    
+    return result.success ? result.data : null;
+  }
+  
+  hashString(value) {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+      hash = ((hash << 5) - hash + value.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36).slice(0, 5);
+  }
+}
+
+class UnitConverter {
+  constructor(cssCategories, errorHandler) {
+    this.cssCategories = cssCategories;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.units = ['px', 'rem', 'em', '%', 'vw', 'vh'];
+    this.preferences = {};
+    
+    // Percentages resolve against the containing block's width or height, depending on the property
+    this.percentBases = {
+      width: 'width', 'min-width': 'width', 'max-width': 'width', left: 'width', right: 'width',
+      margin: 'width', 'margin-top': 'width', 'margin-right': 'width', 'margin-bottom': 'width', 'margin-left': 'width',
+      padding: 'width', 'padding-top': 'width', 'padding-right': 'width', 'padding-bottom': 'width', 'padding-left': 'width',
+      'text-indent': 'width',
+      height: 'height', 'min-height': 'height', 'max-height': 'height', top: 'height', bottom: 'height',
+      'font-size': 'parentFontSize',
+      'line-height': 'fontSize'
+    };
+  }
+  
+  getUnit(category) {
+    return this.preferences[category] || 'px';
+  }
+  
+  // 'all' sets every property group at once
+  setUnit(category, unit) {
+    if (!this.units.includes(unit)) return;
+    
+    if (category === 'all') {
+      Object.keys(this.cssCategories).forEach(key => {
+        this.preferences[key] = unit;
+      });
+    } else {
+      this.preferences[category] = unit;
+    }
+  }
+  
+  // The unit shared by every group, or null when groups differ
+  getCommonUnit() {
+    const units = new Set(Object.keys(this.cssCategories).map(category => this.getUnit(category)));
+    return units.size === 1 ? [...units][0] : null;
+  }
+  
+  // Computed styles hold every property, so ones outside the popup's lists are grouped by name
+  getCategory(prop) {
+    const listed = Object.keys(this.cssCategories).find(category => this.cssCategories[category].includes(prop));
+    if (listed) return listed;
+    
+    if (/^(border|outline)/.test(prop)) return 'border';
+    if (/^background/.test(prop)) return 'background';
+    if (/^(font|text|line-height|letter-spacing|word-spacing)/.test(prop)) return 'typography';
+    if (/^(flex|grid|gap|row-gap|column-gap)/.test(prop)) return 'flexGrid';
+    if (/^(margin|padding|width|height|min-|max-)/.test(prop)) return 'boxModel';
+    if (/^(top|right|bottom|left|inset)/.test(prop)) return 'layout';
+    return 'effects';
+  }
+  
+  // Everything a length of this element needs to be expressed in another unit
+  getContext(element) {
+    const result = this.safeWrapper.execute(() => {
+      const style = getComputedStyle(element);
+      const parent = ShadowDOMHelper.getComposedParent(element);
+      const rootFontSize = parseFloat(getComputedStyle(element.ownerDocument.documentElement).fontSize) || 16;
+      const viewport = { width: window.innerWidth, height: window.innerHeight };
+      
+      return {
+        rootFontSize,
+        fontSize: parseFloat(style.fontSize) || rootFontSize,
+        parentFontSize: parent instanceof Element ? parseFloat(getComputedStyle(parent).fontSize) || rootFontSize : rootFontSize,
+        containingBlock: this.getContainingBlockSize(element, style, viewport),
+        viewport
+      };
+    }, 'UNIT_CONTEXT_ERROR', { element });
+    
+    return result.success ? result.data : null;
+  }
+  
+  getContainingBlockSize(element, style, viewport) {
+    if (style.position === 'fixed') return viewport;
+    
+    if (style.position === 'absolute') {
+      let current = ShadowDOMHelper.getComposedParent(element);
+      while (current instanceof Element && current !== element.ownerDocument.documentElement) {
+        const currentStyle = getComputedStyle(current);
+        if (currentStyle.position !== 'static' || currentStyle.transform !== 'none') {
+          return { width: current.clientWidth, height: current.clientHeight };
+        }
+        current = ShadowDOMHelper.getComposedParent(current);
+      }
+      return viewport;
+    }
+    
+    const parent = ShadowDOMHelper.getComposedParent(element);
+    if (!(parent instanceof Element)) return viewport;
+    
+    const parentStyle = getComputedStyle(parent);
+    return {
+      width: parent.clientWidth - (parseFloat(parentStyle.paddingLeft) || 0) - (parseFloat(parentStyle.paddingRight) || 0),
+      height: parent.clientHeight - (parseFloat(parentStyle.paddingTop) || 0) - (parseFloat(parentStyle.paddingBottom) || 0)
+    };
+  }
+  
+  // How many px one unit is worth for this property, or null when the unit doesn't apply to it
+  getBasis(prop, unit, context) {
+    switch (unit) {
+      case 'rem':
+        return context.rootFontSize;
+      case 'em':
+        // font-size em is relative to the parent; everywhere else it's the element's own font size
+        return prop === 'font-size' ? context.parentFontSize : context.fontSize;
+      case 'vw':
+        return context.viewport.width / 100;
+      case 'vh':
+        return context.viewport.height / 100;
+      case '%': {
+        const base = this.percentBases[prop];
+        if (!base) return null;
+        if (base === 'width' || base === 'height') return context.containingBlock[base] / 100;
+        return context[base] / 100;
+      }
+      default:
+        return null;
+    }
+  }
+  
+  convertValue(prop, value, unit, context) {
+    if (unit === 'px' || !context || typeof value !== 'string' || !value.includes('px')) return value;
+    
+    const basis = this.getBasis(prop, unit, context);
+    if (!basis || !isFinite(basis)) return value;
+    
+    return value.replace(/(^|[\s,(/])(-?\d*\.?\d+)px(?![\w-])/g, (match, prefix, number) => {
+      const px = parseFloat(number);
+      if (px === 0) return `${prefix}0`;
+      return `${prefix}${parseFloat((px / basis).toFixed(4))}${unit}`;
+    });
+  }
+  
+  // Converts each property to the unit picked for its group
+  convertStyles(styles, context) {
+    if (!context) return styles;
+    
+    const result = this.safeWrapper.execute(() => {
+      const converted = {};
+      Object.entries(styles).forEach(([prop, value]) => {
+        converted[prop] = this.convertValue(prop, value, this.getUnit(this.getCategory(prop)), context);
+      });
+      return converted;
+    }, 'UNIT_CONVERSION_ERROR', { context });
+    
+    return result.success ? result.data : styles;
+  }
+}
+
+class TailwindConverter {
+  constructor(contrastChecker, paletteExtractor, errorHandler) {
+    this.contrastChecker = contrastChecker;
+    this.paletteExtractor = paletteExtractor;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    // Values within this many px of a scale step use the step's utility
+    this.snapTolerance = 0.5;
+    this.colorSnapDistance = 0.02;
+    this.defaultTheme = this.createDefaultTheme();
+    this.setTheme(null);
+  }
+  
+  // Tailwind v3 defaults, limited to the scales the converter maps
+  createDefaultTheme() {
+    const shades = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+    const palette = {
+      slate: 'f8fafc f1f5f9 e2e8f0 cbd5e1 94a3b8 64748b 475569 334155 1e293b 0f172a 020617',
+      gray: 'f9fafb f3f4f6 e5e7eb d1d5db 9ca3af 6b7280 4b5563 374151 1f2937 111827 030712',
+      zinc: 'fafafa f4f4f5 e4e4e7 d4d4d8 a1a1aa 71717a 52525b 3f3f46 27272a 18181b 09090b',
+      neutral: 'fafafa f5f5f5 e5e5e5 d4d4d4 a3a3a3 737373 525252 404040 262626 171717 0a0a0a',
+      stone: 'fafaf9 f5f5f4 e7e5e4 d6d3d1 a8a29e 78716c 57534e 44403c 292524 1c1917 0c0a09',
+      red: 'fef2f2 fee2e2 fecaca fca5a5 f87171 ef4444 dc2626 b91c1c 991b1b 7f1d1d 450a0a',
+      orange: 'fff7ed ffedd5 fed7aa fdba74 fb923c f97316 ea580c c2410c 9a3412 7c2d12 431407',
+      amber: 'fffbeb fef3c7 fde68a fcd34d fbbf24 f59e0b d97706 b45309 92400e 78350f 451a03',
+      yellow: 'fefce8 fef9c3 fef08a fde047 facc15 eab308 ca8a04 a16207 854d0e 713f12 422006',
+      lime: 'f7fee7 ecfccb d9f99d bef264 a3e635 84cc16 65a30d 4d7c0f 3f6212 365314 1a2e05',
+      green: 'f0fdf4 dcfce7 bbf7d0 86efac 4ade80 22c55e 16a34a 15803d 166534 14532d 052e16',
+      emerald: 'ecfdf5 d1fae5 a7f3d0 6ee7b7 34d399 10b981 059669 047857 065f46 064e3b 022c22',
+      teal: 'f0fdfa ccfbf1 99f6e4 5eead4 2dd4bf 14b8a6 0d9488 0f766e 115e59 134e4a 042f2e',
+      cyan: 'ecfeff cffafe a5f3fc 67e8f9 22d3ee 06b6d4 0891b2 0e7490 155e75 164e63 083344',
+      sky: 'f0f9ff e0f2fe bae6fd 7dd3fc 38bdf8 0ea5e9 0284c7 0369a1 075985 0c4a6e 082f49',
+      blue: 'eff6ff dbeafe bfdbfe 93c5fd 60a5fa 3b82f6 2563eb 1d4ed8 1e40af 1e3a8a 172554',
+      indigo: 'eef2ff e0e7ff c7d2fe a5b4fc 818cf8 6366f1 4f46e5 4338ca 3730a3 312e81 1e1b4b',
+      violet: 'f5f3ff ede9fe ddd6fe c4b5fd a78bfa 8b5cf6 7c3aed 6d28d9 5b21b6 4c1d95 2e1065',
+      purple: 'faf5ff f3e8ff e9d5ff d8b4fe c084fc a855f7 9333ea 7e22ce 6b21a8 581c87 3b0764',
+      fuchsia: 'fdf4ff fae8ff f5d0fe f0abfc e879f9 d946ef c026d3 a21caf 86198f 701a75 4a044e',
+      pink: 'fdf2f8 fce7f3 fbcfe8 f9a8d4 f472b6 ec4899 db2777 be185d 9d174d 831843 500724',
+      rose: 'fff1f2 ffe4e6 fecdd3 fda4af fb7185 f43f5e e11d48 be123c 9f1239 881337 4c0519'
+    };
+    const colors = { black: '#000000', white: '#ffffff' };
+    Object.entries(palette).forEach(([name, hexes]) => {
+      colors[name] = {};
+      hexes.split(' ').forEach((hex, index) => {
+        colors[name][shades[index]] = `#${hex}`;
+      });
+    });
+    
+    const spacing = { px: '1px', 0: '0px' };
+    [0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 16, 20, 24, 28, 32, 36, 40, 44, 48, 52, 56, 60, 64, 72, 80, 96]
+      .forEach(step => {
+        spacing[step] = `${step / 4}rem`;
+      });
+    
+    return {
+      colors,
+      spacing,
+      fontSize: {
+        xs: ['0.75rem', '1rem'], sm: ['0.875rem', '1.25rem'], base: ['1rem', '1.5rem'], lg: ['1.125rem', '1.75rem'],
+        xl: ['1.25rem', '1.75rem'], '2xl': ['1.5rem', '2rem'], '3xl': ['1.875rem', '2.25rem'], '4xl': ['2.25rem', '2.5rem'],
+        '5xl': ['3rem', '1'], '6xl': ['3.75rem', '1'], '7xl': ['4.5rem', '1'], '8xl': ['6rem', '1'], '9xl': ['8rem', '1']
+      },
+      fontWeight: {
+        thin: '100', extralight: '200', light: '300', normal: '400', medium: '500',
+        semibold: '600', bold: '700', extrabold: '800', black: '900'
+      },
+      lineHeight: {
+        none: '1', tight: '1.25', snug: '1.375', normal: '1.5', relaxed: '1.625', loose: '2',
+        3: '.75rem', 4: '1rem', 5: '1.25rem', 6: '1.5rem', 7: '1.75rem', 8: '2rem', 9: '2.25rem', 10: '2.5rem'
+      },
+      letterSpacing: {
+        tighter: '-0.05em', tight: '-0.025em', normal: '0em', wide: '0.025em', wider: '0.05em', widest: '0.1em'
+      },
+      borderRadius: {
+        none: '0px', sm: '0.125rem', DEFAULT: '0.25rem', md: '0.375rem', lg: '0.5rem', xl: '0.75rem',
+        '2xl': '1rem', '3xl': '1.5rem', full: '9999px'
+      },
+      borderWidth: { DEFAULT: '1px', 0: '0px', 2: '2px', 4: '4px', 8: '8px' },
+      maxWidth: {
+        xs: '20rem', sm: '24rem', md: '28rem', lg: '32rem', xl: '36rem', '2xl': '42rem', '3xl': '48rem',
+        '4xl': '56rem', '5xl': '64rem', '6xl': '72rem', '7xl': '80rem'
+      },
+      opacity: Object.fromEntries([0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 100]
+        .map(step => [step, String(step / 100)])),
+      zIndex: { 0: '0', 10: '10', 20: '20', 30: '30', 40: '40', 50: '50', auto: 'auto' }
+    };
+  }
+  
+  // Accepts a whole tailwind.config object or just its theme; keys under extend are merged into the defaults
+  setTheme(config) {
+    const result = this.safeWrapper.execute(() => {
+      const theme = config && config.theme ? config.theme : (config || {});
+      const { extend = {}, ...overrides } = theme;
+      const merged = { ...this.defaultTheme, ...overrides };
+      Object.entries(extend).forEach(([key, value]) => {
+        merged[key] = { ...(merged[key] || {}), ...value };
+      });
+      
+      this.theme = this.compileTheme(merged);
+      return true;
+    }, 'TAILWIND_THEME_ERROR', { config });
+    
+    if (!result.success) {
+      this.theme = this.compileTheme(this.defaultTheme);
+    }
+    return result.success;
+  }
+  
+  // Resolves every scale to px (or plain numbers) once, so matching is a simple nearest search
+  compileTheme(theme) {
+    const lengths = (scale) => Object.entries(scale || {})
+      .map(([key, value]) => ({ key, value: this.toPx(Array.isArray(value) ? value[0] : value) }))
+      .filter(entry => entry.value !== null);
+    
+    return {
+      spacing: lengths(theme.spacing),
+      maxWidth: lengths(theme.maxWidth),
+      borderRadius: lengths(theme.borderRadius),
+      borderWidth: lengths(theme.borderWidth),
+      letterSpacing: Object.entries(theme.letterSpacing || {}).map(([key, value]) => ({ key, value: parseFloat(value) }))
+        .filter(entry => !isNaN(entry.value)),
+      fontSize: Object.entries(theme.fontSize || {}).map(([key, value]) => {
+        const [size, options] = Array.isArray(value) ? value : [value];
+        const lineHeight = options && typeof options === 'object' ? options.lineHeight : options;
+        return { key, value: this.toPx(size), lineHeight: lineHeight !== undefined ? String(lineHeight) : null };
+      }).filter(entry => entry.value !== null),
+      fontWeight: Object.entries(theme.fontWeight || {}).map(([key, value]) => ({ key, value: String(value) })),
+      lineHeight: Object.entries(theme.lineHeight || {}).map(([key, value]) => ({ key, value: String(value) })),
+      opacity: Object.entries(theme.opacity || {}).map(([key, value]) => ({ key, value: parseFloat(value) })),
+      zIndex: Object.entries(theme.zIndex || {}).map(([key, value]) => ({ key, value: String(value) })),
+      colors: this.flattenColors(theme.colors || {})
+    };
+  }
+  
+  // { blue: { 500: '#3b82f6', DEFAULT: ... } } becomes blue-500 and blue
+  flattenColors(colors, prefix = '') {
+    const entries = [];
+    Object.entries(colors).forEach(([key, value]) => {
+      const name = key === 'DEFAULT' ? prefix : (prefix ? `${prefix}-${key}` : key);
+      if (value && typeof value === 'object') {
+        entries.push(...this.flattenColors(value, name));
+        return;
+      }
+      
+      const color = this.parseColor(String(value));
+      if (color && name) {
+        entries.push({ key: name, color, lab: this.paletteExtractor.toOklab(color) });
+      }
+    });
+    return entries;
+  }
+  
+  toPx(value) {
+    const text = String(value).trim();
+    const match = /^(-?[\d.]+)(px|rem|em)?$/.exec(text);
+    if (!match) return null;
+    const number = parseFloat(match[1]);
+    return match[2] === 'rem' || match[2] === 'em' ? number * 16 : number;
+  }
+  
+  parseColor(value) {
+    const hex = /^#([\da-f]{3}|[\da-f]{6})$/i.exec(value.trim());
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: 1
+      };
+    }
+    return this.contrastChecker.parseColor(value);
+  }
+  
+  // Returns the utility classes plus the declarations that had no utility equivalent
+  convert(styles) {
+    const result = this.safeWrapper.execute(() => {
+      const classes = [];
+      const unmapped = [];
+      const handled = new Set();
+      const value = (prop) => {
+        handled.add(prop);
+        return styles[prop];
+      };
+      const add = (...names) => names.filter(Boolean).forEach(name => classes.push(name));
+      const skip = (prop, reason = null) => {
+        handled.add(prop);
+        if (reason) unmapped.push({ property: prop, value: styles[prop], reason });
+      };
+      
+      this.convertLayout(styles, value, add, skip);
+      this.convertBoxModel(styles, value, add);
+      this.convertBorder(styles, value, add, skip);
+      this.convertBackground(styles, value, add, skip);
+      this.convertTypography(styles, value, add, skip);
+      this.convertFlexGrid(styles, value, add, skip);
+      this.convertEffects(styles, value, add, skip);
+      
+      Object.keys(styles)
+        .filter(prop => !handled.has(prop) && styles[prop])
+        .forEach(prop => unmapped.push({ property: prop, value: styles[prop], reason: 'no utility' }));
+      
+      return { classes: [...new Set(classes)], unmapped };
+    }, 'TAILWIND_CONVERSION_ERROR', { styles });
+    
+    return result.success ? result.data : { classes: [], unmapped: [] };
+  }
+  
+  convertLayout(styles, value, add, skip) {
+    const displays = {
+      block: 'block', 'inline-block': 'inline-block', inline: 'inline', flex: 'flex', 'inline-flex': 'inline-flex',
+      grid: 'grid', 'inline-grid': 'inline-grid', none: 'hidden', table: 'table', contents: 'contents',
+      'flow-root': 'flow-root', 'list-item': 'list-item'
+    };
+    if (styles.display) {
+      if (displays[styles.display]) add(displays[value('display')]);
+      else skip('display', 'no utility');
+    }
+    
+    if (styles.position) add(value('position'));
+    
+    ['top', 'right', 'bottom', 'left'].forEach(side => {
+      if (!styles[side]) return;
+      add(value(side) === 'auto' ? `${side}-auto` : this.spacingClass(side, styles[side]));
+    });
+    
+    const zIndex = value('z-index');
+    if (zIndex) {
+      const match = this.theme.zIndex.find(entry => entry.value === zIndex);
+      add(match ? `z-${match.key}` : `z-[${zIndex}]`);
+    }
+    
+    if (styles.float) add(`float-${value('float')}`);
+    if (styles.clear) add(`clear-${value('clear')}`);
+  }
+  
+  convertBoxModel(styles, value, add) {
+    const sizes = { width: 'w', height: 'h', 'min-width': 'min-w', 'min-height': 'min-h', 'max-width': 'max-w', 'max-height': 'max-h' };
+    Object.entries(sizes).forEach(([prop, prefix]) => {
+      const size = styles[prop];
+      if (!size) return;
+      value(prop);
+      
+      if (size === 'auto' || size === 'none') {
+        add(`${prefix}-${size}`);
+      } else if (prop === 'max-width' && this.nearest(this.theme.maxWidth, this.toPx(size))) {
+        add(`max-w-${this.nearest(this.theme.maxWidth, this.toPx(size)).key}`);
+      } else {
+        add(this.spacingClass(prefix, size));
+      }
+    });
+    
+    [['margin', 'm'], ['padding', 'p']].forEach(([prop, prefix]) => {
+      const sides = this.getSides(styles, prop, value);
+      if (sides) add(...this.sideClasses(prefix, sides, (sidePrefix, side) => this.spacingClass(sidePrefix, side)));
+    });
+  }
+  
+  convertBorder(styles, value, add, skip) {
+    const widths = this.getSides(styles, 'border-width', value) || ['0px', '0px', '0px', '0px'];
+    ['border', 'border-top', 'border-right', 'border-bottom', 'border-left'].forEach(prop => styles[prop] && skip(prop));
+    
+    const hasBorder = widths.some(width => parseFloat(width) > 0);
+    if (hasBorder) {
+      add(...this.sideClasses('border', widths, (name, width) => {
+        const match = this.nearest(this.theme.borderWidth, this.toPx(width));
+        if (!match) return `${name}-[${width}]`;
+        return match.key === 'DEFAULT' ? name : `${name}-${match.key}`;
+      }, '-'));
+    }
+    
+    const style = value('border-style');
+    if (hasBorder && style && style !== 'solid') {
+      add(style.split(' ')[0] === 'none' ? null : `border-${style.split(' ')[0]}`);
+    }
+    
+    const color = value('border-color');
+    if (hasBorder && color) add(this.colorClass('border', color.split(/\s(?![^(]*\))/)[0]));
+    
+    const radius = value('border-radius');
+    if (radius && parseFloat(radius) !== 0) {
+      const parts = radius.split(' ');
+      if (parts.length === 1) {
+        const match = this.nearest(this.theme.borderRadius, this.toPx(radius));
+        const full = this.toPx(radius) >= 9999;
+        add(full ? 'rounded-full' : match ? (match.key === 'DEFAULT' ? 'rounded' : `rounded-${match.key}`) : `rounded-[${radius}]`);
+      } else {
+        add(`rounded-[${parts.join('_')}]`);
+      }
+    }
+  }
+  
+  convertBackground(styles, value, add, skip) {
+    if (styles.background) skip('background');
+    
+    const color = value('background-color');
+    if (color) add(this.colorClass('bg', color));
+    
+    const image = value('background-image');
+    if (image && image !== 'none') {
+      if (/^url\([^)]*\)$/.test(image)) add(`bg-[${image.replace(/\s/g, '_').replace(/"/g, "'")}]`);
+      else skip('background-image', 'gradients have no direct utility');
+    }
+    
+    const size = value('background-size');
+    if (size && size !== 'auto') {
+      add(size === 'cover' || size === 'contain' ? `bg-${size}` : `bg-[length:${size.replace(/\s/g, '_')}]`);
+    }
+  }
+  
+  convertTypography(styles, value, add, skip) {
+    const family = value('font-family');
+    if (family) {
+      const first = family.split(',')[0].trim().replace(/["']/g, '');
+      const generic = { 'ui-sans-serif': 'sans', 'system-ui': 'sans', 'sans-serif': 'sans', 'ui-serif': 'serif', serif: 'serif', 'ui-monospace': 'mono', monospace: 'mono' };
+      add(generic[first] ? `font-${generic[first]}` : `font-['${first.replace(/\s/g, '_')}']`);
+    }
+    
+    const fontSize = value('font-size');
+    const fontSizePx = fontSize ? this.toPx(fontSize) : null;
+    const sizeMatch = this.nearest(this.theme.fontSize, fontSizePx);
+    if (fontSize) add(sizeMatch ? `text-${sizeMatch.key}` : `text-[${fontSize}]`);
+    
+    const lineHeight = value('line-height');
+    if (lineHeight && lineHeight !== 'normal') {
+      add(this.lineHeightClass(lineHeight, fontSizePx, sizeMatch));
+    }
+    
+    const weight = value('font-weight');
+    if (weight) {
+      const match = this.theme.fontWeight.find(entry => entry.value === weight);
+      add(match ? `font-${match.key}` : `font-[${weight}]`);
+    }
+    
+    const color = value('color');
+    if (color) add(this.colorClass('text', color));
+    
+    const align = value('text-align');
+    if (align) {
+      if (['left', 'center', 'right', 'justify', 'start', 'end'].includes(align)) add(`text-${align}`);
+      else skip('text-align', 'no utility');
+    }
+    
+    // Computed styles carry text-decoration-line; the shorthand only arrives from authored values
+    const decorationLine = value('text-decoration-line');
+    const decoration = value('text-decoration');
+    const lines = decorationLine || (decoration ? decoration.split(' ')[0] : null);
+    if (lines) {
+      const lineMap = { underline: 'underline', 'line-through': 'line-through', overline: 'overline', none: 'no-underline' };
+      add(...lines.split(' ').map(line => lineMap[line]));
+    }
+    
+    const letterSpacing = value('letter-spacing');
+    if (letterSpacing && letterSpacing !== 'normal') {
+      const em = fontSizePx ? this.toPx(letterSpacing) / fontSizePx : null;
+      const match = em === null ? null : this.theme.letterSpacing.find(entry => Math.abs(entry.value - em) < 0.003);
+      add(match ? `tracking-${match.key}` : `tracking-[${letterSpacing}]`);
+    }
+    
+    const content = value('content');
+    if (content && content !== 'none' && content !== 'normal') {
+      add(`content-[${content.replace(/\s/g, '_')}]`);
+    }
+  }
+  
+  lineHeightClass(lineHeight, fontSizePx, sizeMatch) {
+    const px = this.toPx(lineHeight);
+    if (px === null) return `leading-[${lineHeight}]`;
+    
+    // The text-* utility already sets its paired line height
+    if (sizeMatch && sizeMatch.lineHeight) {
+      const paired = this.toPx(sizeMatch.lineHeight);
+      const pairedPx = /[a-z]/.test(sizeMatch.lineHeight) ? paired : paired * fontSizePx;
+      if (Math.abs(pairedPx - px) <= this.snapTolerance) return null;
+    }
+    
+    const match = this.theme.lineHeight.find(entry => {
+      const value = this.toPx(entry.value);
+      if (value === null) return false;
+      const entryPx = /[a-z]/.test(entry.value) ? value : value * fontSizePx;
+      return Math.abs(entryPx - px) <= this.snapTolerance;
+    });
+    return match ? `leading-${match.key}` : `leading-[${lineHeight}]`;
+  }
+  
+  convertFlexGrid(styles, value, add, skip) {
+    const direction = value('flex-direction');
+    if (direction) add({ row: 'flex-row', 'row-reverse': 'flex-row-reverse', column: 'flex-col', 'column-reverse': 'flex-col-reverse' }[direction]);
+    
+    const justify = value('justify-content');
+    const justifyMap = {
+      'flex-start': 'justify-start', start: 'justify-start', center: 'justify-center', 'flex-end': 'justify-end',
+      end: 'justify-end', 'space-between': 'justify-between', 'space-around': 'justify-around',
+      'space-evenly': 'justify-evenly', stretch: 'justify-stretch', normal: 'justify-normal'
+    };
+    if (justify) add(justifyMap[justify] || `justify-[${justify.replace(/\s/g, '_')}]`);
+    
+    const align = value('align-items');
+    const alignMap = {
+      'flex-start': 'items-start', start: 'items-start', center: 'items-center', 'flex-end': 'items-end',
+      end: 'items-end', baseline: 'items-baseline', stretch: 'items-stretch'
+    };
+    if (align && align !== 'normal') add(alignMap[align] || `items-[${align.replace(/\s/g, '_')}]`);
+    
+    const flex = value('flex');
+    if (flex) {
+      const flexMap = { '1 1 0%': 'flex-1', '1 1 0px': 'flex-1', '1 1 auto': 'flex-auto', '0 1 auto': 'flex-initial', '0 0 auto': 'flex-none' };
+      add(flexMap[flex] || `flex-[${flex.replace(/\s/g, '_')}]`);
+    }
+    
+    const rowGap = styles['row-gap'] || (styles.gap || '').split(' ')[0];
+    const columnGap = styles['column-gap'] || (styles.gap || '').split(' ').pop();
+    ['gap', 'row-gap', 'column-gap'].forEach(prop => value(prop));
+    if (rowGap && columnGap && rowGap !== 'normal') {
+      if (rowGap === columnGap) add(this.spacingClass('gap', rowGap));
+      else add(this.spacingClass('gap-y', rowGap), columnGap !== 'normal' ? this.spacingClass('gap-x', columnGap) : null);
+    }
+    
+    if (styles.grid) skip('grid');
+    [['grid-template-columns', 'grid-cols'], ['grid-template-rows', 'grid-rows']].forEach(([prop, prefix]) => {
+      const template = value(prop);
+      if (!template || template === 'none') return;
+      
+      const count = this.countFractionTracks(template);
+      add(count && count <= 12 ? `${prefix}-${count}` : `${prefix}-[${template.replace(/,\s+/g, ',').replace(/\s+/g, '_')}]`);
+    });
+  }
+  
+  // grid-cols-n means repeat(n, minmax(0, 1fr)); resolved px tracks only look equal at the current width
+  countFractionTracks(template) {
+    const fraction = /^(1fr|minmax\(0(px)?,\s*1fr\))$/;
+    const repeat = /^repeat\((\d+),\s*(.+)\)$/.exec(template);
+    if (repeat) return fraction.test(repeat[2].trim()) ? Number(repeat[1]) : null;
+    
+    const tracks = template.match(/minmax\([^)]*\)|\S+/g) || [];
+    return tracks.length > 0 && tracks.every(track => fraction.test(track)) ? tracks.length : null;
+  }
+  
+  convertEffects(styles, value, add, skip) {
+    const opacity = value('opacity');
+    if (opacity && opacity !== '1') {
+      const match = this.theme.opacity.find(entry => Math.abs(entry.value - parseFloat(opacity)) < 0.005);
+      add(match ? `opacity-${match.key}` : `opacity-[${opacity}]`);
+    }
+    
+    const shadow = value('box-shadow');
+    if (shadow && shadow !== 'none') add(`shadow-[${shadow.replace(/,\s+(?![^(]*\))/g, ',').replace(/\s+(?![^(]*\))/g, '_').replace(/\s+/g, '')}]`);
+    
+    // Computed transforms are matrices and transitions/animations are lists; utilities can't express them faithfully
+    ['transform', 'transition', 'animation', 'filter'].forEach(prop => {
+      if (styles[prop] && styles[prop] !== 'none') skip(prop, 'no utility for the computed value');
+      else if (styles[prop]) skip(prop);
+    });
+  }
+  
+  // Four side values from the longhands, or from the shorthand when they are missing
+  getSides(styles, prop, value) {
+    const longhands = prop === 'border-width'
+      ? ['top', 'right', 'bottom', 'left'].map(side => `border-${side}-width`)
+      : ['top', 'right', 'bottom', 'left'].map(side => `${prop}-${side}`);
+    const shorthand = value(prop);
+    const fromLonghands = longhands.map(longhand => value(longhand));
+    if (fromLonghands.every(Boolean)) return fromLonghands;
+    if (!shorthand) return null;
+    
+    const parts = shorthand.split(/\s+/);
+    const [top, right = top, bottom = top, left = right] = parts;
+    return [top, right, bottom, left];
+  }
+  
+  // Collapses four sides into the shortest utilities (all, x/y, then single sides); zero sides are left out
+  sideClasses(prefix, [top, right, bottom, left], toClass, separator = '') {
+    const isZero = (side) => parseFloat(side) === 0;
+    const named = (suffix) => `${prefix}${separator}${suffix}`;
+    if (top === right && top === bottom && top === left) return isZero(top) ? [] : [toClass(prefix, top)];
+    if (top === bottom && left === right) {
+      return [isZero(left) ? null : toClass(named('x'), left), isZero(top) ? null : toClass(named('y'), top)];
+    }
+    return [['t', top], ['r', right], ['b', bottom], ['l', left]]
+      .filter(([, side]) => !isZero(side))
+      .map(([suffix, side]) => toClass(named(suffix), side));
+  }
+  
+  spacingClass(prefix, length) {
+    if (length === 'auto') return `${prefix}-auto`;
+    const px = this.toPx(length);
+    if (px === null) return `${prefix}-[${length.replace(/\s/g, '_')}]`;
+    
+    const match = this.nearest(this.theme.spacing, Math.abs(px));
+    if (!match) return `${prefix}-[${this.formatPx(px)}]`;
+    return px < 0 ? `-${prefix}-${match.key}` : `${prefix}-${match.key}`;
+  }
+  
+  nearest(scale, px) {
+    if (px === null || px === undefined || isNaN(px)) return null;
+    let best = null;
+    scale.forEach(entry => {
+      const difference = Math.abs(entry.value - px);
+      if (difference <= this.snapTolerance && (!best || difference < best.difference)) {
+        best = { ...entry, difference };
+      }
+    });
+    return best;
+  }
+  
+  // Perceptually close theme colors win; translucent ones get an opacity modifier when it is a whole percent
+  colorClass(prefix, value) {
+    const color = this.parseColor(value);
+    if (!color) return `${prefix}-[${value.replace(/\s/g, '')}]`;
+    if (color.a === 0) return `${prefix}-transparent`;
+    
+    const lab = this.paletteExtractor.toOklab(color);
+    let best = null;
+    this.theme.colors.forEach(entry => {
+      const distance = this.paletteExtractor.distance(entry.lab, lab);
+      if (distance <= this.colorSnapDistance && (!best || distance < best.distance)) {
+        best = { key: entry.key, distance };
+      }
+    });
+    
+    const alpha = Math.round(color.a * 100);
+    if (best && alpha >= 100) return `${prefix}-${best.key}`;
+    if (best) return `${prefix}-${best.key}/${alpha % 5 === 0 ? alpha : `[${Math.round(color.a * 1000) / 1000}]`}`;
+    return `${prefix}-[${value.replace(/\s/g, '')}]`;
+  }
+  
+  formatPx(px) {
+    return `${Math.round(px * 100) / 100}px`;
+  }
+}
+
+class CopyQueue {
+  constructor(errorHandler) {
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.storageKey = 'copyQueue';
+    this.collectingKey = 'copyQueueCollecting';
+    this.items = [];
+    this.collecting = false;
+    
+    this.callbacks = {
+      onChange: null
+    };
+  }
+  
+  setCallbacks(callbacks) {
+    const result = this.safeWrapper.execute(() => {
+      this.callbacks = { ...this.callbacks, ...callbacks };
+    }, 'COPY_QUEUE_CALLBACK_SET_ERROR', { callbacks });
+    
+    return result.success;
+  }
+  
+  getStorage() {
+    return chrome.storage && chrome.storage.session ? chrome.storage.session : null;
+  }
+  
+  // Session storage is shared by every tab and frame, so the queue follows the user across pages
+  load() {
+    this.safeWrapper.execute(() => {
+      const storage = this.getStorage();
+      if (!storage) return;
+      
+      storage.get([this.storageKey, this.collectingKey], (stored) => {
+        if (chrome.runtime.lastError || !stored) return;
+        this.items = Array.isArray(stored[this.storageKey]) ? stored[this.storageKey] : [];
+        this.collecting = Boolean(stored[this.collectingKey]);
+        this.notifyChange();
+      });
+      
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'session') return;
+        if (changes[this.storageKey]) {
+          this.items = changes[this.storageKey].newValue || [];
+        }
+        if (changes[this.collectingKey]) {
+          this.collecting = Boolean(changes[this.collectingKey].newValue);
+        }
+        if (changes[this.storageKey] || changes[this.collectingKey]) {
+          this.notifyChange();
+        }
+      });
+    }, 'COPY_QUEUE_LOAD_ERROR');
+  }
+  
+  notifyChange() {
+    if (this.callbacks.onChange) this.callbacks.onChange(this.getState());
+  }
+  
+  getState() {
+    return { collecting: this.collecting, count: this.items.length };
+  }
+  
+  getItems() {
+    return this.items;
+  }
+  
+  async setCollecting(enabled) {
+    this.collecting = Boolean(enabled);
+    await this.persist({ [this.collectingKey]: this.collecting });
+    return this.collecting;
+  }
+  
+  async add(rule) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    this.items = [...this.items, { id, addedAt: Date.now(), ...rule }];
+    await this.persist({ [this.storageKey]: this.items });
+    return this.items.length;
+  }
+  
+  async remove(id) {
+    this.items = this.items.filter(item => item.id !== id);
+    await this.persist({ [this.storageKey]: this.items });
+  }
+  
+  async move(id, offset) {
+    const index = this.items.findIndex(item => item.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.items.length) return;
+    
+    const items = [...this.items];
+    [items[index], items[target]] = [items[target], items[index]];
+    this.items = items;
+    await this.persist({ [this.storageKey]: this.items });
+  }
+  
+  async clear() {
+    this.items = [];
+    await this.persist({ [this.storageKey]: this.items });
+  }
+  
+  // Changes also apply locally, so the queue keeps working if storage is unavailable
+  async persist(values) {
+    const result = await this.safeWrapper.executeAsync(async () => {
+      const storage = this.getStorage();
+      if (storage) await storage.set(values);
+    }, 'COPY_QUEUE_SAVE_ERROR', { keys: Object.keys(values) });
+    
+    this.notifyChange();
+    return result.success;
+  }
+}
+
+class CSSOptimizer {
+  constructor(errorHandler) {
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    
+    const sides = (prefix, suffix = '') => ['top', 'right', 'bottom', 'left'].map(side => `${prefix}${side}${suffix}`);
+    // Side longhands merge first, so border can then be built from border-width, -style and -color
+    this.boxShorthands = {
+      margin: sides('margin-'),
+      padding: sides('padding-'),
+      inset: sides(''),
+      'border-width': sides('border-', '-width'),
+      'border-style': sides('border-', '-style'),
+      'border-color': sides('border-', '-color'),
+      'border-radius': ['border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius']
+    };
+    this.borderLonghands = ['border-width', 'border-style', 'border-color'];
+    this.borderStyles = ['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset'];
+    this.flexLonghands = ['flex-grow', 'flex-shrink', 'flex-basis'];
+    this.fontLonghands = ['font-style', 'font-variant', 'font-weight', 'font-stretch', 'font-size', 'line-height', 'font-family'];
+    // Reset by font without being part of its syntax
+    this.fontResetDefaults = { 'font-kerning': 'auto', 'font-feature-settings': 'normal', 'font-variation-settings': 'normal',
+      'font-optical-sizing': 'auto', 'font-size-adjust': 'none' };
+    this.fontStretchKeywords = ['normal', 'ultra-condensed', 'extra-condensed', 'condensed', 'semi-condensed',
+      'semi-expanded', 'expanded', 'extra-expanded', 'ultra-expanded'];
+    this.backgroundLonghands = ['background-color', 'background-image', 'background-position', 'background-size',
+      'background-repeat', 'background-attachment', 'background-origin', 'background-clip'];
+    
+    // Positioning, box model, typography, visual; a trailing * matches any property with that prefix
+    this.groups = [
+      ['position', 'inset', 'top', 'right', 'bottom', 'left', 'z-index', 'float', 'clear'],
+      ['display', 'flex', 'flex-*', 'grid', 'grid-*', 'place-*', 'justify-*', 'align-*', 'order', 'gap', 'row-gap',
+        'column-gap', 'box-sizing', 'width', 'min-width', 'max-width', 'height', 'min-height', 'max-height',
+        'aspect-ratio', 'margin', 'margin-*', 'padding', 'padding-*', 'border', 'border-width', 'border-style',
+        'border-color', 'border-top*', 'border-right*', 'border-bottom*', 'border-left*', 'overflow', 'overflow-*'],
+      ['font', 'font-*', 'line-height', 'letter-spacing', 'word-spacing', 'color', 'text-*', 'white-space',
+        'word-break', 'overflow-wrap', 'vertical-align', 'list-style', 'list-style-*'],
+      ['background', 'background-*', 'border-radius', 'border-*-radius', 'box-shadow', 'outline', 'outline-*',
+        'opacity', 'visibility', 'filter', 'backdrop-filter', 'mix-blend-mode', 'cursor', 'content', 'transform',
+        'transform-*', 'transition', 'transition-*', 'animation', 'animation-*']
+    ];
+  }
+  
+  // Returns ordered [property, value] pairs; a shorthand only replaces longhands it reproduces exactly.
+  // computedStyles is the element's unfiltered style, needed for shorthands that reset what styles leaves out.
+  optimize(styles, computedStyles = null) {
+    const result = this.safeWrapper.execute(() => {
+      const declarations = new Map(Object.entries(styles || {})
+        .map(([prop, value]) => [prop, String(value || '').trim()])
+        .filter(([, value]) => value));
+      
+      Object.entries(this.boxShorthands).forEach(([shorthand, longhands]) => this.mergeBox(declarations, shorthand, longhands));
+      this.mergeGap(declarations);
+      this.mergeBorder(declarations);
+      this.mergeFlex(declarations);
+      this.mergeFont(declarations, computedStyles);
+      this.mergeBackground(declarations);
+      
+      return this.sortDeclarations(Array.from(declarations.entries()));
+    }, 'CSS_OPTIMIZE_ERROR', { styles, computedStyles });
+    
+    return result.success ? result.data : Object.entries(styles || {});
+  }
+  
+  // A var() written on the shorthand is the authored intent, so its resolved longhands are dropped instead
+  hasAuthoredShorthand(declarations, shorthand, values) {
+    const existing = declarations.get(shorthand);
+    return Boolean(existing) && existing.includes('var(') && !values.some(value => value && value.includes('var('));
+  }
+  
+  replaceLonghands(declarations, shorthand, longhands, value) {
+    longhands.forEach(prop => declarations.delete(prop));
+    declarations.set(shorthand, value);
+  }
+  
+  dropCovered(declarations, longhands, expanded) {
+    if (!expanded) return;
+    longhands.forEach((prop, index) => {
+      if (declarations.get(prop) === expanded[index]) declarations.delete(prop);
+    });
+  }
+  
+  // Longhands whose value appears verbatim in a shorthand that could not be parsed
+  dropContained(declarations, shorthand, longhands) {
+    const tokens = this.splitTopLevel(declarations.get(shorthand), /[\s/]/);
+    longhands.forEach(prop => {
+      const value = declarations.get(prop);
+      if (!value) return;
+      const parts = this.splitTopLevel(value, /[\s/]/);
+      const start = tokens.indexOf(parts[0]);
+      if (start !== -1 && parts.every((part, index) => tokens[start + index] === part)) {
+        declarations.delete(prop);
+      }
+    });
+  }
+  
+  mergeBox(declarations, shorthand, longhands) {
+    const values = longhands.map(prop => declarations.get(prop));
+    const present = values.filter(Boolean);
+    if (present.length === 0) return;
+    
+    if (this.hasAuthoredShorthand(declarations, shorthand, values)) {
+      longhands.forEach(prop => declarations.delete(prop));
+      return;
+    }
+    // Elliptical radii ("10px 5px") cannot be written in the one-slash-free shorthand form
+    if (present.length === 4 && values.every(value => this.splitTopLevel(value).length === 1)) {
+      this.replaceLonghands(declarations, shorthand, longhands, this.collapseBox(values).join(' '));
+      return;
+    }
+    if (declarations.has(shorthand)) {
+      this.dropCovered(declarations, longhands, this.expandBox(declarations.get(shorthand)));
+    }
+  }
+  
+  collapseBox([top, right, bottom, left]) {
+    if (left !== right) return [top, right, bottom, left];
+    if (bottom !== top) return [top, right, bottom];
+    if (right !== top) return [top, right];
+    return [top];
+  }
+  
+  expandBox(value) {
+    const tokens = this.splitTopLevel(value);
+    if (tokens.length === 0 || tokens.length > 4 || tokens.includes('/') || value.includes('var(')) return null;
+    const [top, right = top, bottom = top, left = right] = tokens;
+    return [top, right, bottom, left];
+  }
+  
+  mergeGap(declarations) {
+    const longhands = ['row-gap', 'column-gap'];
+    const values = longhands.map(prop => declarations.get(prop));
+    if (!values.some(Boolean)) return;
+    
+    if (this.hasAuthoredShorthand(declarations, 'gap', values)) {
+      longhands.forEach(prop => declarations.delete(prop));
+    } else if (values.every(value => value && this.splitTopLevel(value).length === 1)) {
+      this.replaceLonghands(declarations, 'gap', longhands, values[0] === values[1] ? values[0] : values.join(' '));
+    } else if (declarations.has('gap')) {
+      const tokens = this.splitTopLevel(declarations.get('gap'));
+      if (tokens.length <= 2) this.dropCovered(declarations, longhands, [tokens[0], tokens[1] || tokens[0]]);
+    }
+  }
+  
+  // Only uniform borders merge; per-side differences were left in the box shorthands above
+  mergeBorder(declarations) {
+    const values = this.borderLonghands.map(prop => declarations.get(prop));
+    if (!values.some(Boolean)) return;
+    
+    if (this.hasAuthoredShorthand(declarations, 'border', values)) {
+      this.borderLonghands.forEach(prop => declarations.delete(prop));
+    } else if (values.every(value => value && this.splitTopLevel(value).length === 1)) {
+      this.replaceLonghands(declarations, 'border', this.borderLonghands, values.join(' '));
+    } else if (declarations.has('border')) {
+      this.dropCovered(declarations, this.borderLonghands, this.expandBorder(declarations.get('border')));
+    }
+  }
+  
+  expandBorder(value) {
+    if (value.includes('var(')) return null;
+    const parts = { width: 'medium', style: 'none', color: 'currentcolor' };
+    for (const token of this.splitTopLevel(value)) {
+      if (this.borderStyles.includes(token)) parts.style = token;
+      else if (/^(thin|medium|thick|-?[\d.]+[a-z]*|calc\(.*\))$/i.test(token)) parts.width = token;
+      else parts.color = token;
+    }
+    return [parts.width, parts.style, parts.color];
+  }
+  
+  mergeFlex(declarations) {
+    const values = this.flexLonghands.map(prop => declarations.get(prop));
+    if (!values.some(Boolean)) return;
+    
+    if (this.hasAuthoredShorthand(declarations, 'flex', values)) {
+      this.flexLonghands.forEach(prop => declarations.delete(prop));
+    } else if (values.every(Boolean)) {
+      this.replaceLonghands(declarations, 'flex', this.flexLonghands, values.join(' '));
+    } else if (declarations.has('flex')) {
+      const tokens = this.splitTopLevel(declarations.get('flex'));
+      if (tokens.length === 3) this.dropCovered(declarations, this.flexLonghands, tokens);
+    }
+  }
+  
+  // font resets every sub-property it leaves out, and default-filtered styles drop values such as an h1's bold,
+  // so it is only written when the unfiltered style gives every longhand; otherwise the longhands stay
+  mergeFont(declarations, computedStyles) {
+    const declared = this.fontLonghands.map(prop => declarations.get(prop));
+    if (!declared.some(Boolean)) return;
+    
+    if (this.hasAuthoredShorthand(declarations, 'font', declared)) {
+      this.fontLonghands.forEach(prop => declarations.delete(prop));
+      return;
+    }
+    
+    const known = (prop) => declarations.get(prop) || (computedStyles ? computedStyles[prop] : null) || null;
+    const parts = Object.fromEntries(this.fontLonghands.map(prop => [prop, known(prop)]));
+    const stretch = parts['font-stretch'] === '100%' ? 'normal' : parts['font-stretch'];
+    const mergeable = Boolean(computedStyles) &&
+      Object.values(parts).every(value => value && !value.includes('var(')) &&
+      ['normal', 'small-caps'].includes(parts['font-variant']) &&
+      this.fontStretchKeywords.includes(stretch) &&
+      Object.entries(this.fontResetDefaults).every(([prop, initial]) => !known(prop) || known(prop) === initial);
+    
+    if (mergeable) {
+      const prefix = [parts['font-style'], parts['font-variant'], parts['font-weight'], stretch]
+        .filter(value => value !== 'normal');
+      const size = parts['line-height'] !== 'normal'
+        ? `${parts['font-size']}/${parts['line-height']}`
+        : parts['font-size'];
+      this.replaceLonghands(declarations, 'font', [...this.fontLonghands, ...Object.keys(this.fontResetDefaults)],
+        [...prefix, size, parts['font-family']].join(' '));
+    } else if (declarations.has('font')) {
+      this.dropContained(declarations, 'font', this.fontLonghands);
+    }
+  }
+  
+  // Single-layer backgrounds only; comma-separated layers are left as they are
+  mergeBackground(declarations) {
+    const longhands = this.backgroundLonghands.filter(prop => declarations.has(prop));
+    const existing = declarations.get('background');
+    if (!existing && longhands.length < 2) return;
+    
+    const layer = existing ? this.parseBackground(existing) : {};
+    const mergeable = layer && longhands.every(prop => {
+      const value = declarations.get(prop);
+      return !value.includes('var(') && this.splitTopLevel(value, /,/).length === 1 && value !== 'text';
+    });
+    
+    if (!mergeable) {
+      if (existing && this.hasAuthoredShorthand(declarations, 'background', longhands.map(prop => declarations.get(prop)))) {
+        longhands.forEach(prop => declarations.delete(prop));
+      } else if (existing) {
+        this.dropContained(declarations, 'background', longhands);
+      }
+      return;
+    }
+    
+    longhands.forEach(prop => {
+      layer[prop.replace('background-', '')] = declarations.get(prop);
+    });
+    this.replaceLonghands(declarations, 'background', longhands, this.buildBackground(layer));
+  }
+  
+  // Reads a single background layer, including the fully expanded form browsers serialize
+  parseBackground(value) {
+    if (value.includes('var(') || this.splitTopLevel(value, /,/).length > 1) return null;
+    
+    const layer = {};
+    const positionPattern = /^(left|right|top|bottom|center|-?[\d.]+[a-z%]*|calc\(.*\))$/i;
+    const tokens = this.splitTopLevel(value);
+    const boxes = [];
+    const positions = [];
+    const sizes = [];
+    const repeats = [];
+    let afterSlash = false;
+    
+    for (const token of tokens) {
+      if (token === '/') {
+        afterSlash = true;
+      } else if (afterSlash && (positionPattern.test(token) || ['auto', 'cover', 'contain'].includes(token))) {
+        sizes.push(token);
+        continue;
+      } else if (/^(none|url\(.*\)|[\w-]*gradient\(.*\)|image-set\(.*\))$/i.test(token)) {
+        layer.image = token;
+      } else if (['repeat', 'repeat-x', 'repeat-y', 'no-repeat', 'space', 'round'].includes(token)) {
+        repeats.push(token);
+      } else if (['scroll', 'fixed', 'local'].includes(token)) {
+        layer.attachment = token;
+      } else if (['border-box', 'padding-box', 'content-box'].includes(token)) {
+        boxes.push(token);
+      } else if (positionPattern.test(token)) {
+        positions.push(token);
+      } else if (!layer.color) {
+        layer.color = token;
+      } else {
+        return null;
+      }
+      afterSlash = afterSlash && token === '/';
+    }
+    
+    if (positions.length > 0) layer.position = positions.join(' ');
+    if (sizes.length > 0) layer.size = sizes.join(' ');
+    if (repeats.length > 0) layer.repeat = repeats.join(' ');
+    if (boxes.length > 0) {
+      layer.origin = boxes[0];
+      layer.clip = boxes[1] || boxes[0];
+    }
+    return layer;
+  }
+  
+  // Parts at their initial value are left out
+  buildBackground(layer) {
+    const parts = [];
+    if (layer.image && layer.image !== 'none') parts.push(layer.image);
+    
+    const position = layer.position && !['0% 0%', '0px 0px', 'left top'].includes(layer.position) ? layer.position : null;
+    const size = layer.size && !['auto', 'auto auto'].includes(layer.size) ? layer.size : null;
+    if (size) parts.push(`${position || '0% 0%'} / ${size}`);
+    else if (position) parts.push(position);
+    
+    if (layer.repeat && !['repeat', 'repeat repeat'].includes(layer.repeat)) parts.push(layer.repeat);
+    if (layer.attachment && layer.attachment !== 'scroll') parts.push(layer.attachment);
+    
+    const origin = layer.origin || 'padding-box';
+    const clip = layer.clip || 'border-box';
+    if (origin !== 'padding-box' || clip !== 'border-box') {
+      parts.push(origin === clip ? origin : `${origin} ${clip}`);
+    }
+    
+    if (layer.color && !['transparent', 'rgba(0, 0, 0, 0)'].includes(layer.color)) parts.push(layer.color);
+    return parts.length > 0 ? parts.join(' ') : 'none';
+  }
+  
+  // Custom properties first, then the groups above, then everything else alphabetically.
+  // When several patterns match, the most specific wins (border-top-left-radius is a radius, not a border-top*).
+  sortDeclarations(entries) {
+    const rank = (prop) => {
+      if (prop.startsWith('--')) return [-1, 0];
+      for (let group = 0; group < this.groups.length; group++) {
+        const exact = this.groups[group].indexOf(prop);
+        if (exact !== -1) return [group, exact];
+      }
+      let best = null;
+      this.groups.forEach((patterns, group) => patterns.forEach((pattern, index) => {
+        const specificity = pattern.replace('*', '').length;
+        if (this.matchesPattern(prop, pattern) && (!best || specificity > best.specificity)) {
+          best = { rank: [group, index], specificity };
+        }
+      }));
+      return best ? best.rank : [this.groups.length, 0];
+    };
+    
+    return entries
+      .map(entry => ({ entry, rank: rank(entry[0]) }))
+      .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.entry[0].localeCompare(b.entry[0]))
+      .map(({ entry }) => entry);
+  }
+  
+  matchesPattern(prop, pattern) {
+    if (!pattern.includes('*')) return prop === pattern;
+    const [head, tail] = pattern.split('*');
+    return prop.startsWith(head) && prop.endsWith(tail) && prop.length > head.length + tail.length;
+  }
+  
+  // Minified values drop the spaces around commas and slashes, but never inside strings
+  minifyValue(value) {
+    return this.splitQuoted(value)
+      .map((part, index) => index % 2 === 1 ? part : part.replace(/\s*([,/])\s*/g, '$1').replace(/\s+/g, ' '))
+      .join('');
+  }
+  
+  splitQuoted(value) {
+    return String(value).split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/);
+  }
+  
+  // Splits on the separator outside parentheses and quotes; "/" stays its own token when splitting on spaces
+  splitTopLevel(value, separator = /\s/) {
+    const tokens = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+    
+    const flush = () => {
+      if (current.trim()) tokens.push(current.trim());
+      current = '';
+    };
+    
+    for (const char of String(value || '')) {
+      if (quote) {
+        current += char;
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+        current += char;
+      } else if (char === '(') {
+        depth++;
+        current += char;
+      } else if (char === ')') {
+        depth = Math.max(0, depth - 1);
+        current += char;
+      } else if (depth === 0 && separator.test(char)) {
+        flush();
+      } else if (depth === 0 && char === '/' && separator.test(' ')) {
+        flush();
+        tokens.push('/');
+      } else {
+        current += char;
+      }
+    }
+    flush();
+    return tokens;
+  }
+}
+
+class ClipboardManager {
+  constructor(errorHandler, defaultStyleBaseline = null, unitConverter = null, tailwindConverter = null, cssOptimizer = null, copyQueue = null) {
+    this.errorHandler = errorHandler;
+    this.defaultStyleBaseline = defaultStyleBaseline;
+    this.unitConverter = unitConverter;
+    this.tailwindConverter = tailwindConverter;
+    this.cssOptimizer = cssOptimizer;
+    this.copyQueue = copyQueue;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.outputMode = 'pretty';
+    // Copy types that produce a CSS rule; in collect mode these go to the queue instead of the clipboard
+    this.queueableTypes = ['all', 'computed', 'authored', 'inline'];
+    
+    this.copyTypeNames = {
+      selector: 'Selector',
+      all: 'All CSS',
+      authored: 'CSS with var()',
+      fontFace: '@font-face',
+      paletteCSS: 'Palette CSS variables',
+      paletteJSON: 'Palette JSON',
+      xpathAbsolute: 'Absolute XPath',
+      xpathRelative: 'Relative XPath',
+      playwright: 'Playwright locator',
+      cypress: 'Cypress command',
+      testingLibrary: 'Testing Library query',
+      tailwind: 'Tailwind classes',
+      scss: 'Nested SCSS',
+      less: 'Nested LESS',
+      react: 'React style object',
+      styled: 'styled-components / Emotion',
+      vanillaExtract: 'Vanilla Extract style',
+      component: 'Component HTML',
+      tokens: 'Design tokens',
+      queue: 'Queued stylesheet',
+      computed: 'Computed styles',
+      inline: 'Inline styles'
+    };
+    
+    // Mirrors React's unitless list; every other numeric value gets "px" appended by React and Vanilla Extract
+    this.unitlessProperties = new Set(['animation-iteration-count', 'aspect-ratio', 'border-image-outset',
+      'border-image-slice', 'border-image-width', 'box-flex', 'box-flex-group', 'box-ordinal-group', 'column-count',
+      'columns', 'flex', 'flex-grow', 'flex-positive', 'flex-shrink', 'flex-negative', 'flex-order', 'font-weight',
+      'grid-area', 'grid-row', 'grid-row-end', 'grid-row-span', 'grid-row-start', 'grid-column', 'grid-column-end',
+      'grid-column-span', 'grid-column-start', 'line-clamp', 'line-height', 'opacity', 'order', 'orphans', 'scale',
+      'tab-size', 'widows', 'z-index', 'zoom', 'fill-opacity', 'flood-opacity', 'stop-opacity', 'stroke-dasharray',
+      'stroke-dashoffset', 'stroke-miterlimit', 'stroke-opacity', 'stroke-width']);
+  }
+  
+  async copyToClipboard(elementData, type) {
+    const result = await this.safeWrapper.executeAsync(async () => {
+      if (!elementData) {
+        throw new Error('No data available.');
+      }
+
+      let textToCopy = '';
+      let typeName = this.copyTypeNames[type] || 'Content';
+      const selector = elementData.element?.selector || '';
+      
+      switch (type) {
+        case 'selector':
+          // Inside a shadow tree only the selector scoped to its root is valid CSS; the host path is shown in the popup
+          textToCopy = elementData.element?.shadowHosts?.length > 0
+            ? elementData.element.scopedSelector
+            : elementData.element?.fullSelector || selector;
+          break;
+          
+        case 'all':
+        case 'computed':
+          textToCopy = this.generateAllCSSText(elementData, selector);
+          break;
+          
+        case 'authored':
+          textToCopy = this.generateAllCSSText(elementData, selector, { valueForm: 'authored' });
+          break;
+          
+        case 'inline':
+          textToCopy = this.generateInlineCSSText(elementData, selector);
+          break;
+          
+        case 'fontFace':
+          textToCopy = this.generateFontFaceText(elementData);
+          break;
+          
+        case 'xpathAbsolute':
+        case 'xpathRelative':
+        case 'playwright':
+        case 'cypress':
+        case 'testingLibrary':
+          textToCopy = this.getLocatorText(elementData, type);
+          break;
+          
+        case 'scss':
+        case 'less':
+          textToCopy = this.generateNestedStylesheet(elementData.subtree, type);
+          break;
+          
+        case 'component':
+          textToCopy = this.getComponentHTML(elementData);
+          typeName += this.describeComponentAssets(elementData.component);
+          break;
+          
+        case 'tokens':
+          textToCopy = this.generateTokensJSON(elementData);
+          typeName += this.describeTokenReuse(elementData.tokens);
+          break;
+          
+        case 'react':
+        case 'styled':
+        case 'vanillaExtract':
+          textToCopy = this.generateCSSInJS(elementData, type);
+          break;
+          
+        case 'tailwind': {
+          const conversion = this.generateTailwindClasses(elementData);
+          textToCopy = conversion.classes.join(' ');
+          if (conversion.unmapped.length > 0) {
+            typeName += ` (no utility for ${conversion.unmapped.map(entry => entry.property).join(', ')})`;
+          }
+          break;
+        }
+          
+        default:
+          throw new Error('Unknown copy type.');
+      }
+
+      if (!this.isValidCopyText(textToCopy, selector)) {
+        throw new Error('No CSS content to copy.');
+      }
+
+      const success = await this.performCopy(textToCopy);
+      if (!success) {
+        throw new Error('Copy failed.');
+      }
+      
+      return typeName;
+    }, 'CLIPBOARD_WRITE_FAILED', { elementData, type });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    return result.data;
+  }
+  
+  generateAllCSSText(elementData, selector, options = {}) {
+    const result = this.safeWrapper.execute(() => {
+      const styles = this.getExportStyles(elementData);
+      return this.appendKeyframes(
+        this.generateCSSText(this.applyValueForm(styles, elementData, options.valueForm), selector, elementData.unitContext, elementData.computed),
+        elementData
+      );
+    }, 'CSS_TEXT_GENERATION_ERROR', { elementData, selector, options });
+    
+    return result.success ? result.data : '';
+  }
+  
+  // The declarations every export starts from: non-default computed styles, or the categorized ones when absent
+  getExportStyles(elementData) {
+    const computedStyles = elementData.computed || {};
+    if (Object.keys(computedStyles).length > 0) {
+      return this.filterDefaultValues(computedStyles, elementData);
+    }
+    
+    const allStyles = {};
+    Object.values(elementData.categorized || {}).forEach(categoryStyles => {
+      if (categoryStyles && typeof categoryStyles === 'object') {
+        Object.assign(allStyles, categoryStyles);
+      }
+    });
+    return allStyles;
+  }
+  
+  // Sibling groups share a rule for their common declarations; values repeated anywhere become variables
+  generateNestedStylesheet(subtree, syntax = 'scss') {
+    if (!subtree || !subtree.tree) {
+      throw new Error('No subtree to export.');
+    }
+    
+    const prefix = syntax === 'less' ? '@' : '$';
+    const tree = this.orderTreeStyles(this.factorSiblingStyles(subtree.tree));
+    const variables = this.collectVariables(tree, prefix);
+    const replaceValue = (value) => value
+      .replace(/rgba?\([^)]*\)|#[\da-fA-F]{3,8}\b/g, match => variables.get(match) || match)
+      .replace(/(^|[\s,(])(\d*\.?\d+px)(?![\w-])/g, (match, lead, length) => `${lead}${variables.get(length) || length}`);
+    
+    const renderNode = (node, indent) => {
+      const pad = '  '.repeat(indent);
+      const declarations = Object.entries(node.styles)
+        .map(([prop, value]) => `${pad}  ${prop}: ${replaceValue(value)};`);
+      const children = node.children
+        .filter(child => Object.keys(child.styles).length > 0 || child.children.length > 0)
+        .map(child => renderNode(child, indent + 1));
+      const body = [declarations.join('\n'), ...children].filter(Boolean).join('\n\n');
+      return `${pad}${node.segment} {\n${body}\n${pad}}`;
+    };
+    
+    const header = [
+      `// ${subtree.elementCount} element${subtree.elementCount === 1 ? '' : 's'}, ${subtree.maxDepth} level${subtree.maxDepth === 1 ? '' : 's'} deep${subtree.truncated ? ' (truncated)' : ''}`,
+      ...(subtree.shadowHost ? [`// Inside the shadow root of ${subtree.shadowHost}; these rules belong in its shadow stylesheet`] : []),
+      ...Array.from(variables.entries()).map(([value, name]) => `${name}: ${value};`)
+    ];
+    return `${header.join('\n')}\n\n${renderNode(tree, 0)}`;
+  }
+  
+  // Declarations every same-tag sibling shares move into one "> tag" rule ahead of them
+  factorSiblingStyles(node) {
+    const children = node.children.map(child => this.factorSiblingStyles(child));
+    const groups = new Map();
+    children.forEach(child => {
+      if (!groups.has(child.tag)) groups.set(child.tag, []);
+      groups.get(child.tag).push(child);
+    });
+    
+    const shared = [];
+    groups.forEach((members, tag) => {
+      if (members.length < 2) return;
+      
+      const common = Object.entries(members[0].styles)
+        .filter(([prop, value]) => members.every(member => member.styles[prop] === value));
+      if (common.length === 0) return;
+      
+      common.forEach(([prop]) => members.forEach(member => delete member.styles[prop]));
+      shared.push({ tag, segment: `> ${tag}`, styles: Object.fromEntries(common), children: [] });
+    });
+    
+    return { ...node, children: [...shared, ...children] };
+  }
+  
+  // Merged before variables are counted, so a value repeated only across longhands is not extracted
+  orderTreeStyles(node) {
+    return {
+      ...node,
+      styles: Object.fromEntries(this.getOrderedDeclarations(node.styles)),
+      children: node.children.map(child => this.orderTreeStyles(child))
+    };
+  }
+  
+  // Colors and px sizes used more than once, most frequent first
+  collectVariables(tree, prefix) {
+    const colors = new Map();
+    const sizes = new Map();
+    const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const visit = (node) => {
+      Object.values(node.styles).forEach(value => {
+        (value.match(/rgba?\([^)]*\)|#[\da-fA-F]{3,8}\b/g) || []).forEach(color => count(colors, color));
+        (value.match(/(?:^|[\s,(])\d*\.?\d+px(?![\w-])/g) || [])
+          .map(length => length.replace(/^[\s,(]/, ''))
+          .filter(length => parseFloat(length) !== 0)
+          .forEach(length => count(sizes, length));
+      });
+      node.children.forEach(visit);
+    };
+    visit(tree);
+    
+    const variables = new Map();
+    const repeated = (map) => Array.from(map.entries()).filter(([, uses]) => uses > 1).sort((a, b) => b[1] - a[1]);
+    repeated(colors).forEach(([color], index) => variables.set(color, `${prefix}color-${index + 1}`));
+    repeated(sizes)
+      .sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]))
+      .forEach(([length]) => variables.set(length, `${prefix}size-${length.replace('px', '').replace('.', '-')}`));
+    return variables;
+  }
+  
+  // 'react' is a JSX style attribute, 'styled' a tagged template on the element's tag, 'vanillaExtract' a style() call
+  generateCSSInJS(elementData, format) {
+    const styles = this.getExportStyles(elementData);
+    const converted = this.unitConverter && elementData.unitContext
+      ? this.unitConverter.convertStyles(styles, elementData.unitContext)
+      : styles;
+    const entries = this.getOrderedDeclarations(converted, this.convertComputedStyles(elementData))
+      .map(([prop, value]) => [prop, String(value).trim()]);
+    if (entries.length === 0) {
+      throw new Error('No CSS content to copy.');
+    }
+    
+    const tag = elementData.element?.tagName || 'div';
+    const name = this.toCamelCase(tag.replace(/[^\w-]/g, ''));
+    
+    if (format === 'styled') {
+      // A template literal keeps CSS syntax; only backticks, backslashes and ${ need escaping
+      const escape = (value) => value.replace(/[\\`]/g, '\\$&').replace(/\$\{/g, '\\${');
+      const target = /^[a-z][a-z0-9]*$/.test(tag) ? `styled.${tag}` : `styled(${this.toJSString(tag)})`;
+      const lines = entries.map(([prop, value]) => `  ${prop}: ${escape(value)};`);
+      return `const Styled${name.charAt(0).toUpperCase()}${name.slice(1)} = ${target}\`\n${lines.join('\n')}\n\`;`;
+    }
+    
+    // Vanilla Extract only accepts custom properties under "vars"
+    const customProperties = format === 'vanillaExtract' ? entries.filter(([prop]) => prop.startsWith('--')) : [];
+    const lines = entries
+      .filter(([prop]) => !customProperties.some(([custom]) => custom === prop))
+      .map(([prop, value]) => `  ${this.toJSPropertyName(prop)}: ${this.toJSValue(prop, value)},`);
+    
+    if (format === 'vanillaExtract') {
+      if (customProperties.length > 0) {
+        const vars = customProperties.map(([prop, value]) => `    ${this.toJSString(prop)}: ${this.toJSString(value)},`);
+        lines.push(`  vars: {\n${vars.join('\n')}\n  },`);
+      }
+      return `export const ${name}Style = style({\n${lines.join('\n')}\n});`;
+    }
+    
+    return `style={{\n${lines.join('\n')}\n}}`;
+  }
+  
+  // -webkit-x becomes WebkitX, but -ms-x becomes msX, as React expects
+  toJSPropertyName(prop) {
+    if (prop.startsWith('--')) return this.toJSString(prop);
+    return this.toCamelCase(prop.replace(/^-ms-/, 'ms-'));
+  }
+  
+  toCamelCase(name) {
+    return name.replace(/-+([a-z0-9])/gi, (match, char) => char.toUpperCase());
+  }
+  
+  // Plain numbers stay numbers where React leaves them unitless, and px lengths drop their unit elsewhere
+  toJSValue(prop, value) {
+    const trimmed = value.trim();
+    const unprefixed = prop.replace(/^-(webkit|moz|ms|o)-/, '');
+    
+    if (!prop.startsWith('--')) {
+      if (/^-?\d*\.?\d+$/.test(trimmed) && (this.unitlessProperties.has(unprefixed) || parseFloat(trimmed) === 0)) {
+        return String(parseFloat(trimmed));
+      }
+      if (/^-?\d*\.?\d+px$/.test(trimmed) && !this.unitlessProperties.has(unprefixed)) {
+        return String(parseFloat(trimmed));
+      }
+    }
+    
+    return this.toJSString(trimmed);
+  }
+  
+  toJSString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  }
+  
+  getComponentHTML(elementData) {
+    if (!elementData.component || !elementData.component.html) {
+      throw new Error('No component to export.');
+    }
+    return elementData.component.html;
+  }
+  
+  describeComponentAssets(component) {
+    const { inlined, failed } = component.assets;
+    if (inlined === 0 && failed === 0) return '';
+    return ` (${inlined} asset${inlined === 1 ? '' : 's'} inlined${failed > 0 ? `, ${failed} kept as URLs` : ''})`;
+  }
+  
+  // Saves through a temporary object URL, so no downloads permission is needed
+  downloadFile(elementData, type) {
+    let content;
+    let fileName;
+    let mimeType;
+    let details = '';
+    
+    switch (type) {
+      case 'component':
+        content = this.getComponentHTML(elementData);
+        fileName = `${elementData.element?.tagName || 'element'}-component.html`;
+        mimeType = 'text/html';
+        details = this.describeComponentAssets(elementData.component);
+        break;
+        
+      case 'tokens':
+        content = this.generateTokensJSON(elementData);
+        fileName = `${elementData.tokens.name}.tokens.json`;
+        mimeType = 'application/json';
+        details = this.describeTokenReuse(elementData.tokens);
+        break;
+        
+      default:
+        throw new Error('Unknown download type.');
+    }
+    
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    
+    return `${fileName}${details}`;
+  }
+  
+  generateTokensJSON(elementData) {
+    if (!elementData.tokens || elementData.tokens.tokenCount === 0) {
+      throw new Error('No design tokens found.');
+    }
+    return JSON.stringify(elementData.tokens.document, null, 2);
+  }
+  
+  describeTokenReuse(tokens) {
+    if (!tokens.merged) return '';
+    return ` (merged, ${tokens.reusedCount} reference${tokens.reusedCount === 1 ? '' : 's'} to existing tokens)`;
+  }
+  
+  generateTailwindClasses(elementData) {
+    if (!this.tailwindConverter) {
+      throw new Error('Tailwind conversion is not available.');
+    }
+    
+    const conversion = this.tailwindConverter.convert(this.getExportStyles(elementData));
+    if (conversion.classes.length === 0) {
+      throw new Error('No styles map to Tailwind utilities.');
+    }
+    return conversion;
+  }
+  
+  // The element's animation-name is useless without the @keyframes it refers to
+  appendKeyframes(cssText, elementData) {
+    const keyframes = elementData.animations ? elementData.animations.keyframes : [];
+    return keyframes.length > 0 ? [cssText, ...keyframes].join('\n\n') : cssText;
+  }
+  
+  // Browser defaults for the tag are left out unless the popup is in "show everything" mode
+  filterDefaultValues(styles, elementData) {
+    if (!this.defaultStyleBaseline || elementData.showAllProperties || !elementData.defaults) {
+      return styles;
+    }
+    return this.defaultStyleBaseline.filterNonDefault(styles, elementData.defaults);
+  }
+  
+  // 'authored' swaps resolved values for the var() expressions that produced them
+  applyValueForm(styles, elementData, valueForm = 'resolved') {
+    const result = this.safeWrapper.execute(() => {
+      if (valueForm !== 'authored') return styles;
+      
+      const references = elementData.customProperties?.references || [];
+      const authoredStyles = { ...styles };
+      
+      references
+        .filter(reference => !reference.property.startsWith('--'))
+        .forEach(reference => {
+          authoredStyles[reference.property] = reference.authored;
+        });
+      
+      return authoredStyles;
+    }, 'VALUE_FORM_ERROR', { valueForm });
+    
+    return result.success ? result.data : styles;
+  }
+  
+  generateInlineCSSText(elementData, selector) {
+    const result = this.safeWrapper.execute(() => {
+      const inlineStyles = elementData.inline || {};
+      
+      if (Object.keys(inlineStyles).length === 0) {
+        throw new Error('No inline styles found.');
+      }
+      
+      return this.generateCSSText(inlineStyles, selector, elementData.unitContext);
+    }, 'INLINE_CSS_GENERATION_ERROR', { elementData, selector });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    return result.data;
+  }
+  
+  // With a unit context, px lengths are rewritten in the unit picked for each property group
+  generateCSSText(styles, selector = null, unitContext = null, computedStyles = null) {
+    const result = this.safeWrapper.execute(() => {
+      if (!styles || typeof styles !== 'object' || Object.keys(styles).length === 0) {
+        return '';
+      }
+
+      const convert = (values) => this.unitConverter && unitContext && values
+        ? this.unitConverter.convertStyles(values, unitContext)
+        : values;
+      const entries = this.getOrderedDeclarations(convert(styles), convert(computedStyles));
+
+      if (entries.length === 0) {
+        return '';
+      }
+      
+      if (this.outputMode === 'minified' && this.cssOptimizer) {
+        const declarations = entries.map(([prop, value]) => `${prop}:${this.cssOptimizer.minifyValue(value)}`);
+        return `${selector || ''}{${declarations.join(';')}}`;
+      }
+
+      const cssLines = entries.map(([prop, value]) => `  ${prop}: ${value};`);
+      return selector ? 
+        `${selector} {\n${cssLines.join('\n')}\n}` : 
+        `{\n${cssLines.join('\n')}\n}`;
+    }, 'CSS_TEXT_FORMAT_ERROR', { styles, selector });
+    
+    return result.success ? result.data : '';
+  }
+  
+  shouldQueue(type) {
+    return Boolean(this.copyQueue && this.copyQueue.collecting && this.queueableTypes.includes(type));
+  }
+  
+  // Stores declarations rather than text, so the combined stylesheet can merge and dedupe them
+  async queueCopy(elementData, type) {
+    const result = await this.safeWrapper.executeAsync(async () => {
+      if (!elementData || !elementData.element) {
+        throw new Error('No data available.');
+      }
+      
+      const styles = type === 'inline'
+        ? elementData.inline || {}
+        : this.applyValueForm(this.getExportStyles(elementData), elementData, type === 'authored' ? 'authored' : 'resolved');
+      const converted = this.unitConverter && elementData.unitContext
+        ? this.unitConverter.convertStyles(styles, elementData.unitContext)
+        : styles;
+      if (Object.keys(converted).length === 0) {
+        throw new Error('No CSS content to queue.');
+      }
+      
+      return this.copyQueue.add({
+        selector: elementData.element.selector,
+        styles: converted,
+        keyframes: type === 'inline' ? [] : (elementData.animations ? elementData.animations.keyframes : []),
+        source: location.href
+      });
+    }, 'COPY_QUEUE_ADD_ERROR', { type });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  }
+  
+  async copyQueueToClipboard() {
+    const result = await this.safeWrapper.executeAsync(async () => {
+      const text = this.generateQueueStylesheet(this.copyQueue ? this.copyQueue.getItems() : []);
+      if (!text) {
+        throw new Error('The copy queue is empty.');
+      }
+      
+      const success = await this.performCopy(text);
+      if (!success) {
+        throw new Error('Copy failed.');
+      }
+      return this.copyTypeNames.queue;
+    }, 'CLIPBOARD_WRITE_FAILED', { type: 'queue' });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  }
+  
+  // Rules for the same selector on the same page merge, later values winning; the same selector queued
+  // from another page is a different element and stays a separate rule. A declaration is moved into a
+  // shared selector-list rule only when every queued rule setting that property agrees on its value and
+  // none of them sets a related longhand or shorthand, so hoisting it cannot change the cascade.
+  generateQueueStylesheet(items) {
+    const rules = new Map();
+    items.forEach(item => {
+      const key = `${item.source || ''}\u0000${item.selector}`;
+      const rule = rules.get(key) || { selector: item.selector, source: item.source, styles: {} };
+      rules.set(key, { ...rule, styles: { ...rule.styles, ...item.styles } });
+    });
+    rules.forEach(rule => {
+      rule.styles = Object.fromEntries(this.getOrderedDeclarations(rule.styles));
+    });
+    
+    const familyOf = (prop) => {
+      const name = prop.replace(/^-(webkit|moz|ms|o)-/, '');
+      if (['top', 'right', 'bottom', 'left', 'inset'].includes(name)) return 'inset';
+      if (name.endsWith('gap')) return 'gap';
+      return name.split('-')[0];
+    };
+    const usage = new Map();
+    rules.forEach((rule, key) => {
+      Object.entries(rule.styles).forEach(([prop, value]) => {
+        if (!usage.has(prop)) usage.set(prop, { values: new Set(), keys: [] });
+        usage.get(prop).values.add(value);
+        usage.get(prop).keys.push(key);
+      });
+    });
+    
+    // Rules that share a selector with another page's rule say where they came from and are never hoisted
+    const conflicts = this.findQueueConflicts(items);
+    const minified = this.outputMode === 'minified';
+    const shared = new Map();
+    usage.forEach(({ values, keys }, prop) => {
+      if (prop.startsWith('--') || values.size !== 1 || keys.length < 2) return;
+      if (keys.some(key => conflicts.has(rules.get(key).selector))) return;
+      const isolated = keys.every(key =>
+        Object.keys(rules.get(key).styles).every(other => other === prop || familyOf(other) !== familyOf(prop))
+      );
+      if (!isolated) return;
+      
+      const selector = [...new Set(keys.map(key => rules.get(key).selector))].join(minified ? ',' : ', ');
+      shared.set(selector, { ...(shared.get(selector) || {}), [prop]: [...values][0] });
+      keys.forEach(key => delete rules.get(key).styles[prop]);
+    });
+    
+    const ruleText = ({ selector, source, styles }) => {
+      const text = this.generateCSSText(styles, selector);
+      return text && conflicts.has(selector) && !minified ? `/* ${String(source).replace(/\*\//g, '*\\/')} */\n${text}` : text;
+    };
+    
+    const keyframes = [...new Set(items.flatMap(item => item.keyframes || []))];
+    const blocks = [
+      ...Array.from(shared.entries()).map(([selector, styles]) => this.generateCSSText(styles, selector)),
+      ...Array.from(rules.values()).map(ruleText),
+      ...keyframes
+    ].filter(Boolean);
+    return blocks.join(minified ? '\n' : '\n\n');
+  }
+  
+  // Selectors queued from more than one page
+  findQueueConflicts(items) {
+    const sources = new Map();
+    items.forEach(item => {
+      if (!sources.has(item.selector)) sources.set(item.selector, new Set());
+      sources.get(item.selector).add(item.source || '');
+    });
+    return new Set(Array.from(sources.entries()).filter(([, pages]) => pages.size > 1).map(([selector]) => selector));
+  }
+  
+  // Shorthands merged and grouped when an optimizer is available, alphabetical otherwise.
+  // Without the element's unfiltered computedStyles, font is never merged.
+  getOrderedDeclarations(styles, computedStyles = null) {
+    const entries = Object.entries(styles || {}).filter(([, value]) => value);
+    if (this.cssOptimizer) {
+      return this.cssOptimizer.optimize(Object.fromEntries(entries), computedStyles);
+    }
+    return entries.sort(([a], [b]) => a.localeCompare(b));
+  }
+  
+  convertComputedStyles(elementData) {
+    if (!elementData.computed) return null;
+    return this.unitConverter && elementData.unitContext
+      ? this.unitConverter.convertStyles(elementData.computed, elementData.unitContext)
+      : elementData.computed;
+  }
+  
+  setOutputMode(mode) {
+    this.outputMode = mode === 'minified' ? 'minified' : 'pretty';
+  }
+  
+  getLocatorText(elementData, type) {
+    const locator = (elementData.locators || []).find(candidate => candidate.type === type);
+    if (!locator || !locator.code) {
+      throw new Error(locator && locator.note ? locator.note : 'No locator available.');
+    }
+    return locator.code;
+  }
+  
+  generateFontFaceText(elementData) {
+    const rules = elementData.fontFace ? elementData.fontFace.rules : [];
+    if (rules.length === 0) {
+      throw new Error('The rendered font has no @font-face rule.');
+    }
+    return rules.join('\n\n');
+  }
+  
+  async copyPalette(palette, format) {
+    const result = await this.safeWrapper.executeAsync(async () => {
+      if (!palette || palette.swatches.length === 0) {
+        throw new Error('No palette to copy.');
+      }
+      
+      const text = format === 'json' ? this.generatePaletteJSON(palette) : this.generatePaletteCSS(palette);
+      const success = await this.performCopy(text);
+      if (!success) {
+        throw new Error('Copy failed.');
+      }
+      
+      return this.copyTypeNames[format === 'json' ? 'paletteJSON' : 'paletteCSS'];
+    }, 'CLIPBOARD_WRITE_FAILED', { format });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    return result.data;
+  }
+  
+  generatePaletteCSS(palette) {
+    const lines = palette.swatches.map((swatch, index) =>
+      `  --color-${index + 1}: ${swatch.value}; /* ${swatch.count} use${swatch.count === 1 ? '' : 's'}: ${swatch.properties.join(', ')} */`
+    );
+    return `:root {\n${lines.join('\n')}\n}`;
+  }
+  
+  generatePaletteJSON(palette) {
+    return JSON.stringify({
+      colors: palette.swatches.map((swatch, index) => ({
+        name: `color-${index + 1}`,
+        value: swatch.value,
+        count: swatch.count,
+        properties: swatch.properties,
+        variants: swatch.variants
+      }))
+    }, null, 2);
+  }
+  
+  isValidCopyText(textToCopy, selector) {
+    const result = this.safeWrapper.execute(() => {
+      return textToCopy && 
+             textToCopy.trim() !== '' && 
+             textToCopy !== '{}' && 
+             textToCopy !== `${selector} {\n\n}`;
+    }, 'COPY_TEXT_VALIDATION_ERROR', { textToCopy, selector });
+    
+    return result.success ? result.data : false;
+  }
+  
+  async performCopy(text) {
+    const result = await this.safeWrapper.executeAsync(async () => {
+      // Try modern Clipboard API first
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        try {
+          await navigator.clipboard.writeText(text);
+          return true;
+        } catch (err) {
+          console.log('Clipboard API failed, trying fallback:', err);
+        }
+      }
+      
+      // Fallback: execCommand method
+      const textArea = document.createElement('textarea');
+      textArea.value = text;
+      
+      Object.assign(textArea.style, {
+        position: 'fixed',
+        left: '-999999px',
+        top: '-999999px',
+        opacity: '0',
+        pointerEvents: 'none',
+        width: '1px',
+        height: '1px'
+      });
+      
+      document.body.appendChild(textArea);
+      textArea.select();
+      textArea.setSelectionRange(0, 99999);
+      
+      const success = document.execCommand('copy');
+      document.body.removeChild(textArea);
+      
+      return success;
+    }, 'CLIPBOARD_ACCESS_DENIED', { text });
+    
+    return result.success ? result.data : false;
+  }
+}
+
+class BoxModelOverlay {
+  constructor(errorHandler) {
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.container = null;
+    this.layers = {};
+    this.target = null;
+    this.updateFrame = null;
+    this.boundUpdate = this.scheduleUpdate.bind(this);
+  }
+  
+  createContainer() {
+    this.container = document.createElement('div');
+    this.container.className = 'css-scanner-overlay';
+    this.container.setAttribute('data-css-scanner', 'overlay');
+    
+    ['margin', 'border', 'padding', 'content'].forEach(layer => {
+      const el = document.createElement('div');
+      el.className = `css-scanner-overlay-${layer}`;
+      this.container.appendChild(el);
+      this.layers[layer] = el;
+    });
+    
+    this.layers.sides = document.createElement('div');
+    this.container.appendChild(this.layers.sides);
+    
+    this.layers.label = document.createElement('div');
+    this.layers.label.className = 'css-scanner-overlay-label';
+    this.container.appendChild(this.layers.label);
+  }
+  
+  show(element) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (!element || !element.getBoundingClientRect) return false;
+      
+      if (!this.container) this.createContainer();
+      if (!this.container.isConnected) {
+        document.documentElement.appendChild(this.container);
+        window.addEventListener('scroll', this.boundUpdate, { passive: true, capture: true });
+        window.addEventListener('resize', this.boundUpdate, { passive: true });
+      }
+      
+      this.target = element;
+      this.update();
+      return true;
+    }, 'OVERLAY_SHOW_ERROR', { element });
+    
+    return result.success ? result.data : false;
+  }
+  
+  hide() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      window.removeEventListener('scroll', this.boundUpdate, { passive: true, capture: true });
+      window.removeEventListener('resize', this.boundUpdate, { passive: true });
+      if (this.updateFrame) {
+        cancelAnimationFrame(this.updateFrame);
+        this.updateFrame = null;
+      }
+      if (this.container && this.container.parentNode) {
+        this.container.parentNode.removeChild(this.container);
+      }
+      this.target = null;
+    }, 'OVERLAY_HIDE_ERROR');
+    
+    return result.success;
+  }
+  
+  scheduleUpdate() {
+    if (this.updateFrame) return;
+    this.updateFrame = requestAnimationFrame(() => {
+      this.updateFrame = null;
+      this.update();
+    });
+  }
+  
+  // Draws each box as a ring whose border widths are the box-model edges, so layers never overlap
+  update() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (!this.target || !this.container) return;
+      
+      if (!this.target.isConnected) {
+        this.hide();
+        return;
+      }
+      
+      const metrics = this.getBoxMetrics(this.target);
+      const rect = this.target.getBoundingClientRect();
+      const origin = { x: window.scrollX, y: window.scrollY };
+      const { margin, border, padding } = metrics;
+      const positive = (edges) => ({
+        top: Math.max(0, edges.top),
+        right: Math.max(0, edges.right),
+        bottom: Math.max(0, edges.bottom),
+        left: Math.max(0, edges.left)
+      });
+      
+      const borderBox = {
+        left: rect.left + origin.x,
+        top: rect.top + origin.y,
+        width: rect.width,
+        height: rect.height
+      };
+      const marginBox = this.expandBox(borderBox, positive(margin));
+      const paddingBox = this.expandBox(borderBox, this.negateEdges(border));
+      const contentBox = this.expandBox(paddingBox, this.negateEdges(padding));
+      
+      this.placeLayer(this.layers.margin, marginBox, positive(margin));
+      this.placeLayer(this.layers.border, borderBox, border);
+      this.placeLayer(this.layers.padding, paddingBox, padding);
+      this.placeLayer(this.layers.content, contentBox, null);
+      
+      this.layers.sides.innerHTML = '';
+      this.addSideLabels(marginBox, margin);
+      this.addSideLabels(paddingBox, padding);
+      
+      this.updateLabel(borderBox, marginBox);
+    }, 'OVERLAY_UPDATE_ERROR');
+    
+    return result.success;
+  }
+  
+  getBoxMetrics(element) {
+    const style = window.getComputedStyle(element);
+    const edges = (prefix, suffix = '') => ({
+      top: parseFloat(style.getPropertyValue(`${prefix}-top${suffix}`)) || 0,
+      right: parseFloat(style.getPropertyValue(`${prefix}-right${suffix}`)) || 0,
+      bottom: parseFloat(style.getPropertyValue(`${prefix}-bottom${suffix}`)) || 0,
+      left: parseFloat(style.getPropertyValue(`${prefix}-left${suffix}`)) || 0
+    });
+    
+    const margin = edges('margin');
+    const border = edges('border', '-width');
+    const padding = edges('padding');
+    const rect = element.getBoundingClientRect();
+    const outerWidth = element.offsetWidth ?? rect.width;
+    const outerHeight = element.offsetHeight ?? rect.height;
+    
+    return {
+      margin,
+      border,
+      padding,
+      content: {
+        width: Math.max(0, outerWidth - border.left - border.right - padding.left - padding.right),
+        height: Math.max(0, outerHeight - border.top - border.bottom - padding.top - padding.bottom)
+      },
+      boxSizing: style.boxSizing
+    };
+  }
+  
+  expandBox(box, edges) {
+    return {
+      left: box.left - edges.left,
+      top: box.top - edges.top,
+      width: Math.max(0, box.width + edges.left + edges.right),
+      height: Math.max(0, box.height + edges.top + edges.bottom)
+    };
+  }
+  
+  negateEdges(edges) {
+    return { top: -edges.top, right: -edges.right, bottom: -edges.bottom, left: -edges.left };
+  }
+  
+  placeLayer(layer, box, ring) {
+    const style = layer.style;
+    style.setProperty('left', `${box.left}px`, 'important');
+    style.setProperty('top', `${box.top}px`, 'important');
+    style.setProperty('width', `${box.width}px`, 'important');
+    style.setProperty('height', `${box.height}px`, 'important');
+    
+    if (ring) {
+      style.setProperty('border-width', `${ring.top}px ${ring.right}px ${ring.bottom}px ${ring.left}px`, 'important');
+    }
+  }
+  
+  addSideLabels(box, edges) {
+    const positions = {
+      top: { left: box.left + box.width / 2, top: box.top + edges.top / 2 },
+      bottom: { left: box.left + box.width / 2, top: box.top + box.height - edges.bottom / 2 },
+      left: { left: box.left + edges.left / 2, top: box.top + box.height / 2 },
+      right: { left: box.left + box.width - edges.right / 2, top: box.top + box.height / 2 }
+    };
+    
+    Object.entries(positions).forEach(([side, position]) => {
+      if (!edges[side]) return;
+      
+      const label = document.createElement('div');
+      label.className = 'css-scanner-overlay-side';
+      label.textContent = this.formatPixels(edges[side]);
+      label.style.setProperty('left', `${position.left}px`, 'important');
+      label.style.setProperty('top', `${position.top}px`, 'important');
+      this.layers.sides.appendChild(label);
+    });
+  }
+  
+  updateLabel(borderBox, marginBox) {
+    const label = this.layers.label;
+    const target = this.target;
+    let name = target.localName;
+    if (target.id) {
+      name += `#${target.id}`;
+    } else if (typeof target.className === 'string' && target.className.trim()) {
+      name += `.${target.className.trim().split(/\s+/)[0]}`;
+    }
+    
+    label.textContent = `${name}  ${this.formatPixels(borderBox.width)} × ${this.formatPixels(borderBox.height)}`;
+    
+    // Prefer above the margin box; fall back to below it when it would leave the viewport
+    const labelHeight = 22;
+    const above = marginBox.top - labelHeight - 4;
+    const top = above - window.scrollY >= 0 ? above : marginBox.top + marginBox.height + 4;
+    label.style.setProperty('left', `${Math.max(window.scrollX, borderBox.left)}px`, 'important');
+    label.style.setProperty('top', `${top}px`, 'important');
+  }
+  
+  formatPixels(value) {
+    return `${Math.round(value * 100) / 100}`;
+  }
+}
+
+class LayoutOverlay {
+  constructor(errorHandler) {
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.hoverTarget = null;
+    this.pinnedTargets = new Set();
+    this.containers = new Map();
+    this.updateFrame = null;
+    this.boundUpdate = this.scheduleUpdate.bind(this);
+    this.listening = false;
+  }
+  
+  getLayoutType(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+    const display = window.getComputedStyle(element).display;
+    if (display.includes('grid')) return 'grid';
+    if (display.includes('flex')) return 'flex';
+    return null;
+  }
+  
+  show(element) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      this.hide();
+      if (!this.getLayoutType(element)) return false;
+      
+      this.hoverTarget = element;
+      this.render();
+      return true;
+    }, 'LAYOUT_OVERLAY_SHOW_ERROR', { element });
+    
+    return result.success ? result.data : false;
+  }
+  
+  hide() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      const target = this.hoverTarget;
+      this.hoverTarget = null;
+      if (target && !this.pinnedTargets.has(target)) {
+        this.removeContainer(target);
+      }
+      this.updateListeners();
+    }, 'LAYOUT_OVERLAY_HIDE_ERROR');
+    
+    return result.success;
+  }
+  
+  // Pinned overlays stay on the page after the popup closes
+  togglePinned(element) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (this.pinnedTargets.has(element)) {
+        this.pinnedTargets.delete(element);
+        if (element !== this.hoverTarget) this.removeContainer(element);
+      } else if (this.getLayoutType(element)) {
+        this.pinnedTargets.add(element);
+      }
+      this.render();
+      return this.pinnedTargets.has(element);
+    }, 'LAYOUT_OVERLAY_PIN_ERROR', { element });
+    
+    return result.success ? result.data : false;
+  }
+  
+  isPinned(element) {
+    return this.pinnedTargets.has(element);
+  }
+  
+  clearPinned() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      this.pinnedTargets.forEach(target => {
+        if (target !== this.hoverTarget) this.removeContainer(target);
+      });
+      this.pinnedTargets.clear();
+      this.updateListeners();
+    }, 'LAYOUT_OVERLAY_CLEAR_ERROR');
+    
+    return result.success;
+  }
+  
+  getTargets() {
+    const targets = new Set(this.pinnedTargets);
+    if (this.hoverTarget) targets.add(this.hoverTarget);
+    return [...targets];
+  }
+  
+  updateListeners() {
+    const active = this.getTargets().length > 0;
+    if (active && !this.listening) {
+      window.addEventListener('scroll', this.boundUpdate, { passive: true, capture: true });
+      window.addEventListener('resize', this.boundUpdate, { passive: true });
+    } else if (!active && this.listening) {
+      window.removeEventListener('scroll', this.boundUpdate, { passive: true, capture: true });
+      window.removeEventListener('resize', this.boundUpdate, { passive: true });
+    }
+    this.listening = active;
+  }
+  
+  scheduleUpdate() {
+    if (this.updateFrame) return;
+    this.updateFrame = requestAnimationFrame(() => {
+      this.updateFrame = null;
+      this.render();
+    });
+  }
+  
+  removeContainer(target) {
+    const container = this.containers.get(target);
+    if (container && container.parentNode) {
+      container.parentNode.removeChild(container);
+    }
+    this.containers.delete(target);
+  }
+  
+  render() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      this.getTargets().forEach(target => {
+        if (!target.isConnected) {
+          this.pinnedTargets.delete(target);
+          if (target === this.hoverTarget) this.hoverTarget = null;
+          this.removeContainer(target);
+          return;
+        }
+        
+        let container = this.containers.get(target);
+        if (!container) {
+          container = document.createElement('div');
+          container.className = 'css-scanner-layout-overlay';
+          container.setAttribute('data-css-scanner', 'layout-overlay');
+          this.containers.set(target, container);
+        }
+        if (!container.isConnected) {
+          document.documentElement.appendChild(container);
+        }
+        
+        container.innerHTML = '';
+        const box = this.getContentBox(target);
+        
+        if (this.getLayoutType(target) === 'grid') {
+          this.drawGrid(container, target, box);
+        } else {
+          this.drawFlex(container, target, box);
+        }
+      });
+      
+      this.updateListeners();
+    }, 'LAYOUT_OVERLAY_RENDER_ERROR');
+    
+    return result.success;
+  }
+  
+  getContentBox(element) {
+    const style = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    const edge = (side) => (parseFloat(style.getPropertyValue(`border-${side}-width`)) || 0)
+      + (parseFloat(style.getPropertyValue(`padding-${side}`)) || 0);
+    
+    return {
+      left: rect.left + window.scrollX + edge('left'),
+      top: rect.top + window.scrollY + edge('top'),
+      width: Math.max(0, rect.width - edge('left') - edge('right')),
+      height: Math.max(0, rect.height - edge('top') - edge('bottom'))
+    };
+  }
+  
+  // =============================================
+  // Grid
+  // =============================================
+  
+  drawGrid(container, element, box) {
+    const style = window.getComputedStyle(element);
+    const columns = this.parseTrackList(style.gridTemplateColumns);
+    const rows = this.parseTrackList(style.gridTemplateRows);
+    const columnGap = parseFloat(style.columnGap) || 0;
+    const rowGap = parseFloat(style.rowGap) || 0;
+    
+    const columnTracks = this.layoutTracks(columns.sizes, columnGap, box.left, box.width, style.justifyContent);
+    const rowTracks = this.layoutTracks(rows.sizes, rowGap, box.top, box.height, style.alignContent);
+    if (columnTracks.tracks.length === 0 || rowTracks.tracks.length === 0) return;
+    
+    const gridLeft = columnTracks.tracks[0].start;
+    const gridRight = columnTracks.end;
+    const gridTop = rowTracks.tracks[0].start;
+    const gridBottom = rowTracks.end;
+    
+    this.addRect(container, 'css-scanner-layout-frame', {
+      left: gridLeft, top: gridTop, width: gridRight - gridLeft, height: gridBottom - gridTop
+    });
+    
+    columnTracks.gaps.forEach(gap => this.addRect(container, 'css-scanner-layout-gap', {
+      left: gap.start, top: gridTop, width: gap.size, height: gridBottom - gridTop
+    }));
+    rowTracks.gaps.forEach(gap => this.addRect(container, 'css-scanner-layout-gap', {
+      left: gridLeft, top: gap.start, width: gridRight - gridLeft, height: gap.size
+    }));
+    
+    this.drawGridLines(container, columnTracks, columns.lineNames, 'column', { start: gridTop, end: gridBottom });
+    this.drawGridLines(container, rowTracks, rows.lineNames, 'row', { start: gridLeft, end: gridRight });
+    this.drawGridAreas(container, style.gridTemplateAreas, columnTracks.tracks, rowTracks.tracks);
+  }
+  
+  drawGridLines(container, layout, lineNames, axis, span) {
+    const { tracks } = layout;
+    const lineCount = tracks.length + 1;
+    
+    tracks.forEach(track => {
+      [track.start, track.start + track.size].forEach(position => {
+        this.addRect(container, 'css-scanner-layout-line', axis === 'column'
+          ? { left: position, top: span.start, width: 0, height: span.end - span.start }
+          : { left: span.start, top: position, width: span.end - span.start, height: 0 });
+      });
+      
+      const center = track.start + track.size / 2;
+      const sizeText = `${Math.round(track.size * 100) / 100}px`;
+      if (axis === 'column') {
+        this.addLabel(container, sizeText, center, span.start + 8, 'css-scanner-layout-size');
+      } else {
+        this.addLabel(container, sizeText, span.start + 24, center, 'css-scanner-layout-size');
+      }
+    });
+    
+    for (let line = 0; line < lineCount; line++) {
+      const position = line < tracks.length ? tracks[line].start : layout.end;
+      const names = lineNames[line] && lineNames[line].length > 0 ? ` [${lineNames[line].join(' ')}]` : '';
+      const text = `${line + 1} / ${line - lineCount}${names}`;
+      
+      if (axis === 'column') {
+        this.addLabel(container, text, position, span.start - 10, 'css-scanner-layout-number');
+      } else {
+        this.addLabel(container, text, span.start - 6, position, 'css-scanner-layout-number css-scanner-layout-number-row');
+      }
+    }
+  }
+  
+  drawGridAreas(container, templateAreas, columnTracks, rowTracks) {
+    if (!templateAreas || templateAreas === 'none') return;
+    
+    const rows = [...templateAreas.matchAll(/"([^"]*)"/g)].map(match => match[1].trim().split(/\s+/));
+    const areas = new Map();
+    
+    rows.forEach((cells, rowIndex) => {
+      cells.forEach((name, columnIndex) => {
+        if (/^\.+$/.test(name)) return;
+        const area = areas.get(name) || { rowStart: rowIndex, rowEnd: rowIndex, columnStart: columnIndex, columnEnd: columnIndex };
+        area.rowStart = Math.min(area.rowStart, rowIndex);
+        area.rowEnd = Math.max(area.rowEnd, rowIndex);
+        area.columnStart = Math.min(area.columnStart, columnIndex);
+        area.columnEnd = Math.max(area.columnEnd, columnIndex);
+        areas.set(name, area);
+      });
+    });
+    
+    areas.forEach((area, name) => {
+      const startColumn = columnTracks[area.columnStart];
+      const endColumn = columnTracks[area.columnEnd];
+      const startRow = rowTracks[area.rowStart];
+      const endRow = rowTracks[area.rowEnd];
+      if (!startColumn || !endColumn || !startRow || !endRow) return;
+      
+      const box = {
+        left: startColumn.start,
+        top: startRow.start,
+        width: endColumn.start + endColumn.size - startColumn.start,
+        height: endRow.start + endRow.size - startRow.start
+      };
+      this.addRect(container, 'css-scanner-layout-area', box);
+      this.addLabel(container, name, box.left + box.width / 2, box.top + box.height / 2, 'css-scanner-layout-area-name');
+    });
+  }
+  
+  // Resolved grid-template-* values are px track sizes, optionally interleaved with [line names]
+  parseTrackList(value) {
+    const sizes = [];
+    const lineNames = [[]];
+    if (!value || value === 'none') return { sizes, lineNames };
+    
+    const tokens = value.match(/\[[^\]]*\]|[^\s[\]]+/g) || [];
+    tokens.forEach(token => {
+      if (token.startsWith('[')) {
+        lineNames[sizes.length].push(...token.slice(1, -1).trim().split(/\s+/).filter(Boolean));
+      } else {
+        const size = parseFloat(token);
+        if (!Number.isNaN(size)) {
+          sizes.push(size);
+          lineNames.push([]);
+        }
+      }
+    });
+    
+    return { sizes, lineNames };
+  }
+  
+  layoutTracks(sizes, gap, start, available, distribution) {
+    const count = sizes.length;
+    const used = sizes.reduce((sum, size) => sum + size, 0) + gap * Math.max(0, count - 1);
+    const free = Math.max(0, available - used);
+    let offset = 0;
+    let extraGap = 0;
+    
+    switch (distribution) {
+      case 'center':
+        offset = free / 2;
+        break;
+      case 'end':
+      case 'flex-end':
+        offset = free;
+        break;
+      case 'space-between':
+        extraGap = count > 1 ? free / (count - 1) : 0;
+        break;
+      case 'space-around':
+        extraGap = free / Math.max(1, count);
+        offset = extraGap / 2;
+        break;
+      case 'space-evenly':
+        extraGap = free / (count + 1);
+        offset = extraGap;
+        break;
+    }
+    
+    let position = start + offset;
+    const tracks = sizes.map(size => {
+      const track = { start: position, size };
+      position += size + gap + extraGap;
+      return track;
+    });
+    
+    const gaps = tracks.slice(0, -1).map((track, index) => ({
+      start: track.start + track.size,
+      size: tracks[index + 1].start - track.start - track.size
+    })).filter(g => g.size > 0);
+    
+    const last = tracks[tracks.length - 1];
+    return { tracks, gaps, end: last ? last.start + last.size : start };
+  }
+  
+  // =============================================
+  // Flexbox
+  // =============================================
+  
+  drawFlex(container, element, box) {
+    const style = window.getComputedStyle(element);
+    const isRow = style.flexDirection.startsWith('row');
+    
+    this.addRect(container, 'css-scanner-layout-frame', box);
+    
+    const items = Array.from(element.children)
+      .map(child => ({ child, style: window.getComputedStyle(child) }))
+      .filter(({ style: s }) => s.display !== 'none' && s.position !== 'absolute' && s.position !== 'fixed')
+      .map(({ child, style: s }) => {
+        const rect = child.getBoundingClientRect();
+        const itemBox = {
+          left: rect.left + window.scrollX,
+          top: rect.top + window.scrollY,
+          width: rect.width,
+          height: rect.height
+        };
+        const marginStart = parseFloat(isRow ? s.marginLeft : s.marginTop) || 0;
+        const marginEnd = parseFloat(isRow ? s.marginRight : s.marginBottom) || 0;
+        const mainStart = isRow ? itemBox.left : itemBox.top;
+        const mainSize = isRow ? itemBox.width : itemBox.height;
+        return {
+          box: itemBox,
+          mainStart: mainStart - Math.max(0, marginStart),
+          mainEnd: mainStart + mainSize + Math.max(0, marginEnd),
+          crossStart: isRow ? itemBox.top : itemBox.left,
+          crossEnd: isRow ? itemBox.top + itemBox.height : itemBox.left + itemBox.width
+        };
+      });
+    
+    items.forEach(item => this.addRect(container, 'css-scanner-layout-item', item.box));
+    
+    this.groupFlexLines(items).forEach(line => {
+      const crossStart = Math.min(...line.map(item => item.crossStart));
+      const crossEnd = Math.max(...line.map(item => item.crossEnd));
+      const mainStart = isRow ? box.left : box.top;
+      const mainEnd = mainStart + (isRow ? box.width : box.height);
+      
+      let cursor = mainStart;
+      const freeSpaces = [];
+      [...line].sort((a, b) => a.mainStart - b.mainStart).forEach(item => {
+        if (item.mainStart > cursor) freeSpaces.push({ start: cursor, end: item.mainStart });
+        cursor = Math.max(cursor, item.mainEnd);
+      });
+      if (mainEnd > cursor) freeSpaces.push({ start: cursor, end: mainEnd });
+      
+      freeSpaces.filter(space => space.end - space.start >= 1).forEach(space => {
+        const freeBox = isRow
+          ? { left: space.start, top: crossStart, width: space.end - space.start, height: crossEnd - crossStart }
+          : { left: crossStart, top: space.start, width: crossEnd - crossStart, height: space.end - space.start };
+        this.addRect(container, 'css-scanner-layout-free', freeBox);
+        if (space.end - space.start >= 16) {
+          this.addLabel(container, `${Math.round(space.end - space.start)}px`,
+            freeBox.left + freeBox.width / 2, freeBox.top + freeBox.height / 2, 'css-scanner-layout-size');
+        }
+      });
+    });
+  }
+  
+  // Items on the same flex line overlap on the cross axis
+  groupFlexLines(items) {
+    const lines = [];
+    [...items].sort((a, b) => a.crossStart - b.crossStart).forEach(item => {
+      const line = lines.find(l => item.crossStart < l.crossEnd && item.crossEnd > l.crossStart);
+      if (line) {
+        line.items.push(item);
+        line.crossEnd = Math.max(line.crossEnd, item.crossEnd);
+      } else {
+        lines.push({ items: [item], crossStart: item.crossStart, crossEnd: item.crossEnd });
+      }
+    });
+    return lines.map(line => line.items);
+  }
+  
+  // =============================================
+  // Drawing helpers
+  // =============================================
+  
+  addRect(container, className, box) {
+    const el = document.createElement('div');
+    el.className = className;
+    el.style.setProperty('left', `${box.left}px`, 'important');
+    el.style.setProperty('top', `${box.top}px`, 'important');
+    el.style.setProperty('width', `${Math.max(0, box.width)}px`, 'important');
+    el.style.setProperty('height', `${Math.max(0, box.height)}px`, 'important');
+    container.appendChild(el);
+    return el;
+  }
+  
+  addLabel(container, text, x, y, className) {
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    el.style.setProperty('left', `${x}px`, 'important');
+    el.style.setProperty('top', `${y}px`, 'important');
+    container.appendChild(el);
+    return el;
+  }
+}
+
+class MatchHighlighter {
+  constructor(errorHandler) {
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.container = null;
+    this.targets = [];
+    this.options = {};
+    this.maxHighlights = 500;
+    this.updateFrame = null;
+    this.boundUpdate = this.scheduleUpdate.bind(this);
+  }
+  
+  // Outlines every element at once; options.color tints the boxes, options.showIndex adds numbered badges
+  show(elements, options = {}) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      this.hide();
+      
+      this.targets = Array.from(elements || []).slice(0, this.maxHighlights);
+      this.options = options;
+      if (this.targets.length === 0) return 0;
+      
+      this.container = document.createElement('div');
+      this.container.className = 'css-scanner-overlay';
+      this.container.setAttribute('data-css-scanner', 'matches');
+      document.documentElement.appendChild(this.container);
+      
+      window.addEventListener('scroll', this.boundUpdate, { passive: true, capture: true });
+      window.addEventListener('resize', this.boundUpdate, { passive: true });
+      
+      this.update();
+      return this.targets.length;
+    }, 'MATCH_HIGHLIGHT_ERROR', { options });
+    
+    return result.success ? result.data : 0;
+  }
+  
+  hide() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      window.removeEventListener('scroll', this.boundUpdate, { passive: true, capture: true });
+      window.removeEventListener('resize', this.boundUpdate, { passive: true });
+      if (this.updateFrame) {
+        cancelAnimationFrame(this.updateFrame);
+        this.updateFrame = null;
+      }
+      if (this.container && this.container.parentNode) {
+        this.container.parentNode.removeChild(this.container);
+      }
+      this.container = null;
+      this.targets = [];
+    }, 'MATCH_HIGHLIGHT_HIDE_ERROR');
+    
+    return result.success;
+  }
+  
+  isActive() {
+    return this.targets.length > 0;
+  }
+  
+  scheduleUpdate() {
+    if (this.updateFrame) return;
+    this.updateFrame = requestAnimationFrame(() => {
+      this.updateFrame = null;
+      this.update();
+    });
+  }
+  
+  update() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (!this.container) return;
+      
+      const fragment = document.createDocumentFragment();
+      const { color, showIndex, activeIndex } = this.options;
+      
+      this.targets.forEach((element, index) => {
+        if (!element.isConnected) return;
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) return;
+        
+        const box = document.createElement('div');
+        box.className = `css-scanner-match-box${index === activeIndex ? ' active' : ''}`;
+        Object.assign(box.style, {
+          left: `${rect.left + window.scrollX}px`,
+          top: `${rect.top + window.scrollY}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+        if (color) box.style.setProperty('--css-scanner-match-color', color);
+        
+        if (showIndex) {
+          const badge = document.createElement('span');
+          badge.className = 'css-scanner-match-index';
+          badge.textContent = String(index + 1);
+          box.appendChild(badge);
+        }
+        
+        fragment.appendChild(box);
+      });
+      
+      this.container.replaceChildren(fragment);
+    }, 'MATCH_HIGHLIGHT_UPDATE_ERROR');
+    
+    return result.success;
+  }
+}
+
+class ElementSelector {
+  constructor(errorHandler, boxModelOverlay, layoutOverlay, matchHighlighter = null) {
+    this.highlightedElement = null;
+    this.highlightedMatches = [];
+    this.lastHoverElement = null;
+    this.boxModelOverlay = boxModelOverlay;
+    this.layoutOverlay = layoutOverlay;
+    this.matchHighlighter = matchHighlighter;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+  }
+  
+  highlightElement(element) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (!element || !element.getBoundingClientRect) return false;
+      
+      this.removeHighlight();
+      this.boxModelOverlay.show(element);
+      this.layoutOverlay.show(element);
+      this.highlightedElement = element;
+      this.lastHoverElement = element;
+      return true;
+    }, 'ELEMENT_HIGHLIGHT_ERROR', { element });
+    
+    return result.success ? result.data : false;
+  }
+  
+  removeHighlight() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (this.highlightedElement) {
+        this.boxModelOverlay.hide();
+        this.layoutOverlay.hide();
+        this.highlightedElement = null;
+      }
+    }, 'HIGHLIGHT_REMOVAL_ERROR');
+    
+    return result.success;
+  }
+  
+  // Many elements at once, next to the single hovered highlight; see MatchHighlighter.show for options
+  highlightMatches(elements, options = {}) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (!this.matchHighlighter) return 0;
+      
+      this.highlightedMatches = Array.from(elements || []);
+      return this.matchHighlighter.show(this.highlightedMatches, options);
+    }, 'MATCH_HIGHLIGHTS_ERROR', { options });
+    
+    return result.success ? result.data : 0;
+  }
+  
+  clearMatches() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (this.matchHighlighter) {
+        this.matchHighlighter.hide();
+      }
+      this.highlightedMatches = [];
+    }, 'MATCH_HIGHLIGHTS_CLEAR_ERROR');
+    
+    return result.success;
+  }
+  
+  isPopupElement(element) {
+    const result = this.safeWrapper.execute(() => {
+      return element && element.closest && element.closest('.css-scanner-popup') !== null;
+    }, 'POPUP_ELEMENT_CHECK_ERROR', { element });
+    
+    return result.success ? result.data : false;
+  }
+  
+  // Page-wide scans skip the scanner's own UI and anything the user cannot see
+  getInspectableElements(root = document.body) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      return ShadowDOMHelper.querySelectorAllDeep(root, '*').filter(element =>
+        !element.closest('.css-scanner-popup, [data-css-scanner]') && this.isVisible(element)
+      );
+    }, 'INSPECTABLE_ELEMENTS_ERROR');
+    
+    return result.success ? result.data : [];
+  }
+  
+  isVisible(element) {
+    if (element.checkVisibility) {
+      return element.checkVisibility({ visibilityProperty: true, opacityProperty: true });
+    }
+    return element.getClientRects().length > 0 && window.getComputedStyle(element).visibility !== 'hidden';
+  }
+  
+  isSameElement(element) {
+    const result = this.safeWrapper.execute(() => {
+      return this.lastHoverElement === element;
+    }, 'ELEMENT_COMPARISON_ERROR', { element });
+    
+    return result.success ? result.data : false;
+  }
+  
+  reset() {
+    const result = this.safeWrapper.execute(() => {
+      this.removeHighlight();
+      this.lastHoverElement = null;
+    }, 'ELEMENT_SELECTOR_RESET_ERROR');
+    
+    return result.success;
+  }
+  
+  getHighlightedElement() {
+    return this.highlightedElement;
+  }
+}
+
+class SelectorPlayground {
+  constructor(cascadeAnalyzer, elementSelector, errorHandler) {
+    this.cascadeAnalyzer = cascadeAnalyzer;
+    this.elementSelector = elementSelector;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.selector = '';
+    this.matches = [];
+    this.activeIndex = -1;
+    this.error = null;
+  }
+  
+  // Selectors may use >>> to reach into shadow roots, like the ones the scanner generates
+  search(selector) {
+    const result = this.safeWrapper.execute(() => {
+      this.selector = selector.trim();
+      this.matches = [];
+      this.activeIndex = -1;
+      this.error = null;
+      
+      if (this.selector) {
+        try {
+          this.matches = ShadowDOMHelper.querySelectorAllPiercing(this.selector)
+            .filter(element => !element.closest('.css-scanner-popup, [data-css-scanner]'));
+          this.activeIndex = this.matches.length > 0 ? 0 : -1;
+        } catch (e) {
+          this.error = 'Invalid selector';
+        }
+      }
+      
+      this.highlight();
+      return this.getState();
+    }, 'SELECTOR_PLAYGROUND_SEARCH_ERROR', { selector });
+    
+    return result.success ? result.data : this.getState();
+  }
+  
+  // Steps wrap around at either end
+  step(delta) {
+    if (this.matches.length === 0) return null;
+    
+    this.activeIndex = (this.activeIndex + delta + this.matches.length) % this.matches.length;
+    this.highlight();
+    
+    const active = this.getActive();
+    this.safeWrapper.executeDOMOperation(() => {
+      active.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }, 'SELECTOR_PLAYGROUND_SCROLL_ERROR');
+    return active;
+  }
+  
+  getActive() {
+    return this.matches[this.activeIndex] || null;
+  }
+  
+  highlight() {
+    if (this.matches.length === 0) {
+      this.elementSelector.clearMatches();
+      return;
+    }
+    this.elementSelector.highlightMatches(this.matches, { showIndex: true, activeIndex: this.activeIndex });
+  }
+  
+  // Specificity of each selector in a list; only the part after the last >>> takes part in the cascade
+  getSpecificity() {
+    if (!this.selector || this.error) return [];
+    
+    const scoped = this.selector.split('>>>').pop().trim();
+    return this.cascadeAnalyzer.splitSelectorList(scoped)
+      .map(selector => this.cascadeAnalyzer.calculateSpecificity(selector));
+  }
+  
+  getState() {
+    return {
+      selector: this.selector,
+      count: this.matches.length,
+      activeIndex: this.activeIndex,
+      specificity: this.getSpecificity(),
+      error: this.error
+    };
+  }
+  
+  clear() {
+    this.selector = '';
+    this.matches = [];
+    this.activeIndex = -1;
+    this.error = null;
+    this.elementSelector.clearMatches();
+  }
+}
+
+class PopupManager {
+  constructor(performanceMonitor, errorHandler, unitConverter = null) {
+    this.popup = null;
+    this.unitConverter = unitConverter;
+    this.isPinned = false;
+    this.pinnedPosition = null;
+    this.performanceMonitor = performanceMonitor;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.renderAnimationFrame = null;
+    
+    this.categoryIcons = {
+      layout: '📐',
+      boxModel: '📦',
+      border: '🔲',
+      background: '🎨',
+      typography: '📝',
+      flexGrid: '📊',
+      effects: '✨'
+    };
+    
+    this.categoryNames = {
+      layout: 'Layout',
+      boxModel: 'Box Model',
+      border: 'Border',
+      background: 'Background',
+      typography: 'Typography',
+      flexGrid: 'Flex & Grid',
+      effects: 'Effects'
+    };
+  }
+  
+  showPopup(elementData, mousePosition) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (!elementData) {
+        throw new Error('No element data to show');
+      }
+      
+      const renderTimer = this.performanceMonitor.startTiming('renderTime');
+      
+      this.closePopup();
+      
+      const fragment = document.createDocumentFragment();
+      
+      this.popup = document.createElement('div');
+      this.popup.className = 'css-scanner-popup';
+      this.popup.innerHTML = this.generatePopupHTML(elementData);
+      
+      fragment.appendChild(this.popup);
+      document.body.appendChild(fragment);
+      
+      // Set position
+      if (this.isPinned && this.pinnedPosition) {
+        this.popup.style.left = this.pinnedPosition.left;
+        this.popup.style.top = this.pinnedPosition.top;
+      } else {
+        this.updatePopupPosition(mousePosition);
+      }
+      
+      // Animation
+      this.scheduleRender(() => {
+        if (this.popup) {
+          this.popup.classList.add('show');
+        }
+      });
+      
+      this.updatePinnedState();
+      
+      const renderTime = this.performanceMonitor.endTiming(renderTimer);
+      console.log(`Popup render: ${renderTime.toFixed(2)}ms`);
+      
+      return this.popup;
+    }, 'POPUP_RENDER_FAILED', { elementData, mousePosition });
+    
+    return result.success ? result.data : null;
+  }
+  
+  generatePopupHTML(data) {
+    const result = this.safeWrapper.execute(() => {
+      const { element, categorized, inline, isPinned } = data;
+      const activePseudoElement = data.activePseudoElement || null;
+      
+      const hasComputedStyles = Object.keys(data.computed || {}).length > 0;
+      const hasInlineStyles = Object.keys(inline || {}).length > 0;
+      const hasCategorizedStyles = Object.values(categorized || {}).some(cat => Object.keys(cat).length > 0);
+      const hasAnyStyles = hasComputedStyles || hasCategorizedStyles;
+      
+      return `
+        <div class="css-scanner-header ${isPinned ? 'pinned' : ''}">
+          <div class="css-scanner-title">
+            <span class="css-scanner-icon">🔍</span>
+            CSS Scanner
+          </div>
+          <button class="css-scanner-close">×</button>
+        </div>
+        
+        <div class="css-scanner-content">
+          <div class="css-scanner-element-header">
+            <div class="css-scanner-element-info">
+              <div class="css-scanner-element-tag">${element.tagName}</div>
+              ${element.id ? `<div class="css-scanner-element-id">#${element.id}</div>` : ''}
+              ${element.className ? `<div class="css-scanner-element-class">.${element.className.split(' ').filter(c => c && !c.includes('css-scanner')).slice(0, 2).join('.')}</div>` : ''}
+            </div>
+            <div class="css-scanner-pin-indicator" style="display: ${isPinned ? 'block' : 'none'}">📌 Pinned - Click elsewhere to unpin</div>
+            <div class="css-scanner-hover-indicator" style="display: ${isPinned ? 'none' : 'block'}">🖱️ Hovering - Click to pin</div>
+          </div>
+          
+          <div class="css-scanner-selector-section">
+            <div class="css-scanner-section-title">
+              🎯 CSS Selector
+              ${typeof element.matchCount === 'number' ? this.generateMatchCountBadgeHTML(element.matchCount) : ''}
+            </div>
+            ${data.frame && !data.frame.isTopFrame ? `
+              <div class="css-scanner-frame-info" title="${this.escapeHTML(data.frame.url)}">
+                🪟 In frame ${this.escapeHTML(data.frame.path.join(' >>> ') || 'iframe')} · ${this.escapeHTML(this.getFrameHost(data.frame.url))}
+              </div>
+            ` : ''}
+            <div class="css-scanner-selector-value">${this.escapeHTML(element.fullSelector || element.selector)}</div>
+            ${element.shadowHosts && element.shadowHosts.length > 0 ? `
+              <div class="css-scanner-shadow-scope">
+                🧩 Copies ${this.escapeHTML(element.scopedSelector)}, scoped to the shadow root of ${this.escapeHTML(element.shadowHosts.join(' >>> '))}
+              </div>
+            ` : ''}
+            <button class="css-scanner-copy-btn" data-copy="selector">Copy Selector</button>
+          </div>
+          
+          ${data.locators ? this.generateLocatorsHTML(data.locators) : ''}
+          
+          ${data.shadow ? this.generateShadowHTML(data.shadow) : ''}
+          
+          ${isPinned ? this.generateStateToggleHTML(data.forcedStates || []) : ''}
+          
+          ${isPinned && data.playground ? this.generatePlaygroundHTML(data.playground) : ''}
+          
+          ${isPinned && data.subtreeOptions ? this.generateSubtreeExportHTML(data.subtreeOptions) : ''}
+          
+          <div class="css-scanner-copy-actions">
+            <button class="css-scanner-copy-btn primary" data-copy="all" ${!hasAnyStyles ? 'disabled title="No styles to copy"' : ''}>
+              Copy All CSS ${hasAnyStyles ? '' : '(None)'}
+            </button>
+            ${hasInlineStyles ? '<button class="css-scanner-copy-btn" data-copy="inline">Inline Styles Only</button>' : ''}
+            ${data.customProperties && data.customProperties.references.length > 0 ? '<button class="css-scanner-copy-btn" data-copy="authored">Copy with var()</button>' : ''}
+            ${data.fontFace && data.fontFace.rules.length > 0 ? '<button class="css-scanner-copy-btn" data-copy="fontFace">Copy @font-face</button>' : ''}
+            ${hasAnyStyles ? '<button class="css-scanner-copy-btn" data-copy="tailwind">Copy as Tailwind</button>' : ''}
+            ${hasAnyStyles ? '<button class="css-scanner-copy-btn" data-copy="react">React style</button>' : ''}
+            ${hasAnyStyles ? '<button class="css-scanner-copy-btn" data-copy="styled">styled()</button>' : ''}
+            ${hasAnyStyles ? '<button class="css-scanner-copy-btn" data-copy="vanillaExtract">Vanilla Extract</button>' : ''}
+            <button class="css-scanner-copy-btn" data-copy="tokens">Design tokens</button>
+            <button class="css-scanner-copy-btn" data-download="tokens">.tokens.json</button>
+            ${data.copyQueue ? `
+              <button class="css-scanner-toggle-btn ${data.copyQueue.collecting ? 'active' : ''}" data-toggle="collectMode" title="Queue CSS copies from several elements instead of replacing the clipboard">
+                ${data.copyQueue.collecting ? '🧺 Collecting' : '🧺 Collect'}
+              </button>
+              <button class="css-scanner-toggle-btn" data-queue-action="open" title="Review and copy the queued rules">Queue (${data.copyQueue.count})</button>
+            ` : ''}
+            ${data.unitContext ? this.generateUnitSelectHTML('all', this.unitConverter.getCommonUnit()) : ''}
+            <button class="css-scanner-toggle-btn ${data.showAllProperties ? 'active' : ''}" data-toggle="showAllProperties" title="Include properties that match the browser default for &lt;${element.tagName}&gt;">
+              ${data.showAllProperties ? 'Showing all' : 'Changed only'}
+            </button>
+            ${data.layoutType ? `
+              <button class="css-scanner-toggle-btn ${data.layoutOverlayPinned ? 'active' : ''}" data-toggle="layoutOverlay" title="Keep the ${data.layoutType} overlay visible after the popup closes">
+                ${data.layoutOverlayPinned ? '📌 Overlay kept' : '📌 Keep overlay'}
+              </button>
+            ` : ''}
+          </div>
+          
+          ${this.generatePseudoTabsHTML(data.pseudoElements || {}, activePseudoElement)}
+          
+          <div class="css-scanner-pseudo-panel" data-pseudo-panel="" style="display: ${activePseudoElement ? 'none' : 'block'}">
+            ${this.generateCategorizedStylesHTML(categorized, {
+              boxModel: data.boxModel,
+              fontFace: data.fontFace,
+              contrast: data.contrast,
+              animations: data.animations,
+              unitContext: data.unitContext,
+              isPinned
+            })}
+            
+            ${hasInlineStyles ? this.generateInlineStylesHTML(inline) : ''}
+            
+            ${data.cascade ? this.generateCascadeHTML(data.cascade) : ''}
+            
+            ${data.customProperties ? this.generateCustomPropertiesHTML(data.customProperties) : ''}
+            
+            ${data.stacking ? this.generateStackingHTML(data.stacking) : ''}
+          </div>
+          
+          ${Object.entries(data.pseudoElements || {}).map(([pseudoElement, pseudoData]) => `
+            <div class="css-scanner-pseudo-panel" data-pseudo-panel="${pseudoElement}" style="display: ${activePseudoElement === pseudoElement ? 'block' : 'none'}">
+              ${Object.keys(pseudoData.categorized || {}).length > 0
+                ? this.generateCategorizedStylesHTML(pseudoData.categorized)
+                : '<div class="css-scanner-cascade-empty">No styles set on this pseudo-element.</div>'}
+              
+              ${pseudoData.cascade ? this.generateCascadeHTML(pseudoData.cascade) : ''}
+            </div>
+          `).join('')}
+        </div>
+      `;
+    }, 'POPUP_HTML_GENERATION_ERROR', { data });
+    
+    return result.success ? result.data : '<div>An error occurred while creating the popup.</div>';
+  }
+  
+  generateCategorizedStylesHTML(categorized, extras = {}) {
+    const result = this.safeWrapper.execute(() => {
+      const { boxModel = null, fontFace = null, contrast = null, animations = null, unitContext = null, isPinned: popupPinned = false } = extras;
+      const converter = unitContext ? this.unitConverter : null;
+      const hasAnimations = Boolean(animations && (animations.items.length > 0 || animations.keyframes.length > 0));
+      // Box Model, Typography and Effects are kept for their panels even when every property is at its default
+      const pinned = { boxModel, typography: fontFace || contrast, effects: hasAnimations };
+      const isPinned = (category) => Boolean(pinned[category]);
+      const categories = Object.keys(pinned).some(category => isPinned(category) && !categorized[category])
+        ? Object.keys(this.categoryNames)
+          .filter(category => categorized[category] || isPinned(category))
+          .map(category => [category, categorized[category] || {}])
+        : Object.entries(categorized);
+      
+      return categories
+        .filter(([category, styles]) => Object.keys(styles).length > 0 || isPinned(category))
+        .map(([category, styles]) => `
+          <div class="css-scanner-category">
+            <div class="css-scanner-category-header" data-category="${category}">
+              <span class="css-scanner-category-icon">${this.categoryIcons[category]}</span>
+              <span class="css-scanner-category-name">${this.categoryNames[category]}</span>
+              <span class="css-scanner-category-count">(${Object.keys(styles).length})</span>
+              ${converter ? this.generateUnitSelectHTML(category, converter.getUnit(category)) : ''}
+              <span class="css-scanner-category-toggle">▼</span>
+            </div>
+            <div class="css-scanner-category-content">
+              ${category === 'boxModel' && boxModel ? this.generateBoxModelDiagramHTML(boxModel) : ''}
+              ${category === 'typography' && contrast ? this.generateContrastHTML(contrast) : ''}
+              ${category === 'typography' && fontFace ? this.generateFontFaceHTML(fontFace) : ''}
+              ${category === 'effects' && hasAnimations ? this.generateAnimationsHTML(animations, popupPinned) : ''}
+              ${Object.entries(styles).map(([prop, value]) => `
+                <div class="css-scanner-property">
+                  <span class="css-scanner-prop-name">${prop}</span>
+                  <span class="css-scanner-prop-value" title="${this.escapeHTML(value)}">${this.escapeHTML(converter ? converter.convertValue(prop, value, converter.getUnit(category), unitContext) : value)}</span>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        `).join('');
+    }, 'CATEGORIZED_STYLES_HTML_ERROR', { categorized });
+    
+    return result.success ? result.data : '<div>An error occurred while displaying styles.</div>';
+  }
+  
+  generateSubtreeExportHTML(options) {
+    const depths = [1, 2, 3, 4, 5, 6].map(depth =>
+      `<option value="${depth}" ${depth === options.maxDepth ? 'selected' : ''}>${depth}</option>`
+    ).join('');
+    
+    return `
+      <div class="css-scanner-subtree">
+        <div class="css-scanner-section-title">🌳 Subtree Export</div>
+        <div class="css-scanner-subtree-options">
+          <label>Depth <select class="css-scanner-subtree-option" data-subtree-option="maxDepth">${depths}</select></label>
+          <label><input type="checkbox" class="css-scanner-subtree-option" data-subtree-option="includeHidden" ${options.includeHidden ? 'checked' : ''}> Include hidden</label>
+          <button class="css-scanner-copy-btn" data-copy="scss">Copy SCSS</button>
+          <button class="css-scanner-copy-btn" data-copy="less">Copy LESS</button>
+        </div>
+        <div class="css-scanner-subtree-options">
+          <label><input type="checkbox" class="css-scanner-subtree-option" data-subtree-option="inlineAssets" ${options.inlineAssets ? 'checked' : ''}> Inline assets as data URIs</label>
+          <button class="css-scanner-copy-btn" data-copy="component">Copy component HTML</button>
+          <button class="css-scanner-copy-btn" data-download="component">Download .html</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  generatePlaygroundHTML(state) {
+    return `
+      <div class="css-scanner-playground">
+        <div class="css-scanner-section-title">🔎 Selector Playground</div>
+        <input class="css-scanner-playground-input" type="text" spellcheck="false" autocomplete="off"
+               placeholder="Type or paste any CSS selector" value="${this.escapeHTML(state.selector)}">
+        <div class="css-scanner-playground-footer">
+          <span class="css-scanner-playground-status">${this.generatePlaygroundStatusHTML(state)}</span>
+          <button class="css-scanner-playground-btn" data-playground-action="previous" title="Previous match (↑ or Shift+Enter)">↑</button>
+          <button class="css-scanner-playground-btn" data-playground-action="next" title="Next match (↓ or Enter)">↓</button>
+          <button class="css-scanner-playground-btn" data-playground-action="analyze" title="Open the full analysis of the current match (Ctrl+Enter)">Analyze</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  generatePlaygroundStatusHTML(state) {
+    if (state.error) return `⚠️ ${this.escapeHTML(state.error)}`;
+    if (!state.selector) return 'Every match is highlighted and numbered';
+    if (state.count === 0) return 'No matches';
+    
+    const specificity = state.specificity.map(spec => `(${spec.join(',')})`).join(' ');
+    return `${state.activeIndex + 1} of ${state.count} match${state.count === 1 ? '' : 'es'} · specificity ${specificity}`;
+  }
+  
+  generateLocatorsHTML(locators) {
+    const result = this.safeWrapper.execute(() => `
+      <div class="css-scanner-locators">
+        <div class="css-scanner-section-title">🧪 Test Locators</div>
+        ${locators.map(locator => `
+          <div class="css-scanner-locator ${locator.code && locator.matchCount !== 1 ? 'ambiguous' : ''}">
+            <div class="css-scanner-locator-header">
+              <span class="css-scanner-locator-label">${locator.label}</span>
+              ${locator.code ? this.generateMatchCountBadgeHTML(locator.matchCount) : ''}
+              ${locator.code ? `<button class="css-scanner-copy-btn css-scanner-locator-copy" data-copy="${locator.type}">Copy</button>` : ''}
+            </div>
+            ${locator.code
+              ? `<code class="css-scanner-locator-code">${this.escapeHTML(locator.code)}</code>`
+              : `<div class="css-scanner-locator-note">${this.escapeHTML(locator.note)}</div>`}
+            ${locator.code && locator.matchCount > 1 ? `<div class="css-scanner-locator-note">⚠️ Also matches ${locator.matchCount - 1} other element${locator.matchCount === 2 ? '' : 's'}</div>` : ''}
+            ${locator.code && locator.matchCount === 0 ? '<div class="css-scanner-locator-note">⚠️ Does not match anything in the live DOM</div>' : ''}
+          </div>
+        `).join('')}
+      </div>
+    `, 'LOCATORS_HTML_ERROR', { locators });
+    
+    return result.success ? result.data : '';
+  }
+  
+  generateMatchCountBadgeHTML(count) {
+    const state = count === 1 ? 'unique' : count === 0 ? 'none' : 'multiple';
+    return `<span class="css-scanner-match-count ${state}" title="Elements matched by this selector in its document">${count} match${count === 1 ? '' : 'es'}</span>`;
+  }
+  
+  // A null unit means the property groups use different units
+  generateUnitSelectHTML(group, unit) {
+    const options = (unit ? [] : ['<option value="" selected disabled>mixed</option>']).concat(
+      this.unitConverter.units.map(option => `<option value="${option}" ${option === unit ? 'selected' : ''}>${option}</option>`)
+    );
+    const title = group === 'all' ? 'Unit for every property group' : `Unit for ${this.categoryNames[group]}`;
+    return `<select class="css-scanner-unit-select" data-unit-group="${group}" title="${title}">${options.join('')}</select>`;
+  }
+  
+  generatePaletteHTML(palette, activeIndex = null) {
+    const result = this.safeWrapper.execute(() => {
+      if (palette.swatches.length === 0) {
+        return '<div class="css-scanner-cascade-empty">No colors found on visible elements.</div>';
+      }
+      
+      return `
+        <div class="css-scanner-report-summary">
+          ${palette.swatches.length} colors from ${palette.elementCount} visible elements · click a swatch to highlight its users
+        </div>
+        <div class="css-scanner-palette">
+          ${palette.swatches.map((swatch, index) => `
+            <button class="css-scanner-swatch ${index === activeIndex ? 'active' : ''}" data-swatch-index="${index}"
+                    title="${this.escapeHTML(`${swatch.properties.join(', ')}${swatch.variants.length > 1 ? `\nMerged: ${swatch.variants.join(', ')}` : ''}`)}">
+              <span class="css-scanner-swatch-color" style="background: ${swatch.value}"></span>
+              <span class="css-scanner-swatch-value">${this.escapeHTML(swatch.value)}</span>
+              <span class="css-scanner-swatch-count">${swatch.count}×</span>
+            </button>
+          `).join('')}
+        </div>
+        <div class="css-scanner-copy-actions">
+          <button class="css-scanner-copy-btn primary" data-export="css">Copy CSS variables</button>
+          <button class="css-scanner-copy-btn" data-export="json">Copy JSON</button>
+        </div>
+      `;
+    }, 'PALETTE_HTML_ERROR', { palette });
+    
+    return result.success ? result.data : '<div>An error occurred while displaying the palette.</div>';
+  }
+  
+  // conflicts holds selectors queued from several pages; those stay separate rules in the copied stylesheet
+  generateCopyQueueHTML(items, conflicts = new Set()) {
+    const result = this.safeWrapper.execute(() => {
+      if (items.length === 0) {
+        return '<div class="css-scanner-cascade-empty">The queue is empty. Turn on 🧺 Collect and copy CSS from a few elements.</div>';
+      }
+      
+      const pages = new Set(items.map(item => item.source)).size;
+      return `
+        <div class="css-scanner-report-summary">
+          ${items.length} ${items.length === 1 ? 'rule' : 'rules'} from ${pages} ${pages === 1 ? 'page' : 'pages'} · copied in this order, rules for the same element merged
+          ${conflicts.size > 0 ? `<br>⚠ ${conflicts.size} ${conflicts.size === 1 ? 'selector was' : 'selectors were'} queued from different pages and ${conflicts.size === 1 ? 'is' : 'are'} kept as separate rules` : ''}
+        </div>
+        <div class="css-scanner-queue">
+          ${items.map((item, index) => `
+            <div class="css-scanner-queue-item${conflicts.has(item.selector) ? ' conflict' : ''}" title="${this.escapeHTML(item.source || '')}">
+              <span class="css-scanner-queue-selector">${conflicts.has(item.selector) ? '⚠ ' : ''}${this.escapeHTML(item.selector)}</span>
+              <span class="css-scanner-queue-count">${Object.keys(item.styles).length} props</span>
+              <button class="css-scanner-queue-btn" data-queue-action="up" data-queue-id="${item.id}" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+              <button class="css-scanner-queue-btn" data-queue-action="down" data-queue-id="${item.id}" ${index === items.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+              <button class="css-scanner-queue-btn" data-queue-action="remove" data-queue-id="${item.id}" title="Remove">×</button>
+            </div>
+          `).join('')}
+        </div>
+        <div class="css-scanner-copy-actions">
+          <button class="css-scanner-copy-btn primary" data-queue-action="copy">Copy queue</button>
+          <button class="css-scanner-copy-btn" data-queue-action="clear">Clear</button>
+        </div>
+      `;
+    }, 'COPY_QUEUE_HTML_ERROR', { count: items.length });
+    
+    return result.success ? result.data : '<div>An error occurred while displaying the copy queue.</div>';
+  }
+  
+  generateScaleReportHTML(report, describeScale, activeKey = null) {
+    const result = this.safeWrapper.execute(() => {
+      const format = (value) => `${Math.round(value * 100) / 100}px`;
+      const offScaleRows = (group, usages) => usages.length === 0
+        ? '<div class="css-scanner-cascade-empty">Every value fits the scale.</div>'
+        : usages.map((usage, index) => `
+          <div class="css-scanner-property css-scanner-scale-offender ${activeKey === `${group}:${index}` ? 'active' : ''}"
+               data-scale-group="${group}" data-scale-index="${index}" title="Click to highlight the elements">
+            <span class="css-scanner-prop-name">${format(usage.value)}</span>
+            <span class="css-scanner-prop-value">${usage.count}× · ${this.escapeHTML(usage.properties.join(', '))}</span>
+          </div>
+        `).join('');
+      const chips = (usages) => usages.map(usage => `
+        <span class="css-scanner-scale-chip ${usage.offScale ? 'off' : ''}" title="${usage.count} uses">${format(usage.value)}</span>
+      `).join('');
+      const markOffScale = ({ values, offScale }) => values.map(usage => ({ ...usage, offScale: offScale.includes(usage) }));
+      
+      return `
+        <div class="css-scanner-report-summary">
+          ${report.elementCount} visible elements · click an off-scale value to highlight where it is used
+        </div>
+        
+        <div class="css-scanner-category">
+          <div class="css-scanner-category-header" data-category="typeScale">
+            <span class="css-scanner-category-icon">🔠</span>
+            <span class="css-scanner-category-name">Type Scale</span>
+            <span class="css-scanner-category-count">${this.escapeHTML(describeScale(report.typography.scale))}</span>
+            <span class="css-scanner-category-toggle">▼</span>
+          </div>
+          <div class="css-scanner-category-content">
+            <div class="css-scanner-scale-chips">${chips(markOffScale(report.typography))}</div>
+            ${report.typography.combinations.map(combo => `
+              <div class="css-scanner-property">
+                <span class="css-scanner-prop-name">${this.escapeHTML(`${combo.fontSize} / ${combo.lineHeight}`)}</span>
+                <span class="css-scanner-prop-value">weight ${this.escapeHTML(combo.fontWeight)} · ${combo.count}×</span>
+              </div>
+            `).join('')}
+            <div class="css-scanner-section-title css-scanner-stacking-title">Off-scale font sizes</div>
+            ${offScaleRows('typography', report.typography.offScale)}
+          </div>
+        </div>
+        
+        <div class="css-scanner-category">
+          <div class="css-scanner-category-header" data-category="spacingScale">
+            <span class="css-scanner-category-icon">📏</span>
+            <span class="css-scanner-category-name">Spacing Scale</span>
+            <span class="css-scanner-category-count">${this.escapeHTML(describeScale(report.spacing.scale))}</span>
+            <span class="css-scanner-category-toggle">▼</span>
+          </div>
+          <div class="css-scanner-category-content">
+            <div class="css-scanner-scale-chips">${chips(markOffScale(report.spacing))}</div>
+            <div class="css-scanner-section-title css-scanner-stacking-title">Off-scale spacing</div>
+            ${offScaleRows('spacing', report.spacing.offScale)}
+          </div>
+        </div>
+      `;
+    }, 'SCALE_REPORT_HTML_ERROR', { report });
+    
+    return result.success ? result.data : '<div>An error occurred while displaying the scale report.</div>';
+  }
+  
+  generateAnimationsHTML(animations, isPinned) {
+    const result = this.safeWrapper.execute(() => {
+      const icons = { animation: '🎞️', transition: '🔀', script: '⚙️' };
+      const formatTime = (ms) => ms >= 1000 ? `${Math.round(ms) / 1000}s` : `${Math.round(ms)}ms`;
+      const keyframeNames = animations.keyframes.map(text => (/^@keyframes\s+([^\s{]+)/.exec(text) || [])[1]).filter(Boolean);
+      
+      return `
+        <div class="css-scanner-animations">
+          ${animations.items.map(item => `
+            <div class="css-scanner-anim" data-animation-index="${item.index}">
+              <div class="css-scanner-anim-header">
+                <svg class="css-scanner-anim-curve" viewBox="-0.1 -0.1 1.2 1.2" preserveAspectRatio="none">
+                  <path d="${this.escapeHTML(item.easingPath)}"></path>
+                </svg>
+                <div class="css-scanner-anim-info">
+                  <div class="css-scanner-anim-name">${icons[item.type]} ${this.escapeHTML(item.name)}</div>
+                  <div class="css-scanner-anim-meta">
+                    ${formatTime(item.duration)}${item.delay ? ` · delay ${formatTime(item.delay)}` : ''}
+                    · ${item.iterations === Infinity ? '∞' : item.iterations}× · ${this.escapeHTML(item.easing)}
+                  </div>
+                </div>
+                <span class="css-scanner-anim-state">${item.playState}</span>
+              </div>
+              <div class="css-scanner-anim-progress"><span style="width: ${Math.round((item.progress || 0) * 100)}%"></span></div>
+              ${isPinned ? `
+                <div class="css-scanner-anim-controls">
+                  <button class="css-scanner-anim-btn" data-animation-action="toggle" title="Pause / play">⏯</button>
+                  <input type="range" class="css-scanner-anim-scrub" min="0" max="${Math.round(item.scrubEnd)}" step="1"
+                         value="${Math.round(item.currentTime)}" title="Scrub">
+                  <button class="css-scanner-anim-btn" data-animation-action="replay" title="Replay">↺</button>
+                </div>
+              ` : ''}
+            </div>
+          `).join('')}
+          ${keyframeNames.length > 0 ? `
+            <div class="css-scanner-anim-meta css-scanner-anim-keyframes">
+              @keyframes ${this.escapeHTML(keyframeNames.join(', '))} included in Copy All CSS
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }, 'ANIMATIONS_HTML_ERROR', { animations });
+    
+    return result.success ? result.data : '';
+  }
+  
+  getFrameHost(url) {
+    try {
+      return new URL(url).host || url;
+    } catch (e) {
+      return url;
+    }
+  }
+  
+  generateShadowHTML(shadow) {
+    const result = this.safeWrapper.execute(() => {
+      const row = (name, value) => `
+        <div class="css-scanner-property">
+          <span class="css-scanner-prop-name">${name}</span>
+          <span class="css-scanner-prop-value" title="${this.escapeHTML(value)}">${this.escapeHTML(value)}</span>
+        </div>
+      `;
+      
+      return `
+        <div class="css-scanner-selector-section css-scanner-shadow-section">
+          <div class="css-scanner-section-title">🧩 Shadow DOM</div>
+          ${shadow.path.map((host, index) => row(index === 0 ? 'host' : 'nested host', `${host.selector} (#shadow-root ${host.mode})`)).join('')}
+          ${shadow.ownRoot ? row('shadow root', `${shadow.ownRoot.mode}, ${shadow.ownRoot.styleSheetCount} stylesheets`) : ''}
+          ${shadow.parts.map(selector => row('::part', selector)).join('')}
+          ${shadow.exportParts ? row('exportparts', shadow.exportParts) : ''}
+          ${shadow.slot ? row('slotted into', `<slot name="${shadow.slot.name}">${shadow.slot.host ? ` of ${shadow.slot.host}` : ''}`) : ''}
+          ${shadow.slot ? row('style from inside', shadow.slot.slottedSelector) : ''}
+        </div>
+      `;
+    }, 'SHADOW_HTML_ERROR', { shadow });
+    
+    return result.success ? result.data : '';
+  }
+  
+  generateContrastHTML(contrast) {
+    const result = this.safeWrapper.execute(() => {
+      if (contrast.ratio === null) {
+        return `<div class="css-scanner-contrast undetermined">❔ Contrast unknown: ${this.escapeHTML(contrast.undetermined)}</div>`;
+      }
+      
+      const level = (name, passes) => `
+        <span class="css-scanner-contrast-level ${passes ? 'pass' : 'fail'}">${name} ${passes ? '✓' : '✗'}</span>
+      `;
+      
+      return `
+        <div class="css-scanner-contrast ${contrast.undetermined ? 'undetermined' : ''}">
+          <span class="css-scanner-contrast-swatch" style="color: ${contrast.foreground}; background: ${contrast.background}">Aa</span>
+          <span class="css-scanner-contrast-ratio">${contrast.ratio.toFixed(2)}:1</span>
+          ${level('AA', contrast.aa)}
+          ${level('AAA', contrast.aaa)}
+          <span class="css-scanner-contrast-size">${contrast.isLargeText ? 'large text' : 'normal text'}</span>
+          ${contrast.undetermined ? `
+            <div class="css-scanner-contrast-note">
+              ⚠️ ${this.escapeHTML(contrast.undetermined)}: measured against ${contrast.background} only
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }, 'CONTRAST_HTML_ERROR', { contrast });
+    
+    return result.success ? result.data : '';
+  }
+  
+  generateFontFaceHTML(fontFace) {
+    const result = this.safeWrapper.execute(() => {
+      const { rendered, skipped, isFallback } = fontFace;
+      const details = [rendered.weight, rendered.style].filter(Boolean).join(' ');
+      
+      return `
+        <div class="css-scanner-font-face ${isFallback ? 'fallback' : ''}">
+          <div class="css-scanner-font-face-name">
+            <span>${this.escapeHTML(rendered.family)}${details ? ` <small>${this.escapeHTML(details)}</small>` : ''}</span>
+            <span class="css-scanner-font-face-status">${this.escapeHTML(rendered.source)} · ${this.escapeHTML(rendered.status)}</span>
+          </div>
+          ${rendered.src ? `<div class="css-scanner-font-face-src" title="${this.escapeHTML(rendered.src)}">${this.escapeHTML(rendered.src)}</div>` : ''}
+          ${rendered.unicodeRange ? `<div class="css-scanner-font-face-src">unicode-range: ${this.escapeHTML(rendered.unicodeRange)}</div>` : ''}
+          ${isFallback ? `
+            <div class="css-scanner-font-face-warning">
+              ⚠️ Rendered with a fallback: ${skipped.map(item => `${this.escapeHTML(item.family)} (${this.escapeHTML(item.reason)})`).join(', ')}
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }, 'FONT_FACE_HTML_ERROR', { fontFace });
+    
+    return result.success ? result.data : '';
+  }
+  
+  generateBoxModelDiagramHTML(boxModel) {
+    const result = this.safeWrapper.execute(() => {
+      const format = (value) => {
+        const rounded = Math.round(value * 100) / 100;
+        return rounded === 0 ? '-' : `${rounded}`;
+      };
+      
+      const layer = (name, edges, inner) => `
+        <div class="css-scanner-bm-${name}">
+          <span class="css-scanner-bm-name">${name}</span>
+          <div class="css-scanner-bm-edge">${format(edges.top)}</div>
+          <div class="css-scanner-bm-row">
+            <span class="css-scanner-bm-edge">${format(edges.left)}</span>
+            ${inner}
+            <span class="css-scanner-bm-edge">${format(edges.right)}</span>
+          </div>
+          <div class="css-scanner-bm-edge">${format(edges.bottom)}</div>
+        </div>
+      `;
+      
+      const content = `
+        <div class="css-scanner-bm-content">
+          ${Math.round(boxModel.content.width * 100) / 100} × ${Math.round(boxModel.content.height * 100) / 100}
+        </div>
+      `;
+      
+      return `
+        <div class="css-scanner-boxmodel" title="box-sizing: ${this.escapeHTML(boxModel.boxSizing)}">
+          ${layer('margin', boxModel.margin, layer('border', boxModel.border, layer('padding', boxModel.padding, content)))}
+        </div>
+      `;
+    }, 'BOX_MODEL_DIAGRAM_ERROR', { boxModel });
+    
+    return result.success ? result.data : '';
   }
   
-  isSameElement(element) {
+  generateInlineStylesHTML(inline) {
     const result = this.safeWrapper.execute(() => {
-      return this.lastHoverElement === element;
-    }, 'ELEMENT_COMPARISON_ERROR', { element });
+      return `
+        <div class="css-scanner-category">
+          <div class="css-scanner-category-header" data-category="inline">
+            <span class="css-scanner-category-icon">🎭</span>
+            <span class="css-scanner-category-name">Inline Styles</span>
+            <span class="css-scanner-category-count">(${Object.keys(inline).length})</span>
+            <span class="css-scanner-category-toggle">▼</span>
+          </div>
+          <div class="css-scanner-category-content">
+            ${Object.entries(inline).map(([prop, value]) => `
+              <div class="css-scanner-property">
+                <span class="css-scanner-prop-name">${this.escapeHTML(prop)}</span>
+                <span class="css-scanner-prop-value" title="${this.escapeHTML(value)}">${this.escapeHTML(value)}</span>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }, 'INLINE_STYLES_HTML_ERROR', { inline });
     
-    return result.success ? result.data : false;
+    return result.success ? result.data : '<div>An error occurred while displaying inline styles.</div>';
   }
   
-  reset() {
+  generatePseudoTabsHTML(pseudoElements, activePseudoElement) {
     const result = this.safeWrapper.execute(() => {
-      this.removeHighlight();
-      this.lastHoverElement = null;
-    }, 'ELEMENT_SELECTOR_RESET_ERROR');
+      const names = Object.keys(pseudoElements);
+      if (names.length === 0) return '';
+      
+      return `
+        <div class="css-scanner-pseudo-tabs">
+          <button class="css-scanner-pseudo-tab ${activePseudoElement ? '' : 'active'}" data-pseudo="">Element</button>
+          ${names.map(name => `
+            <button class="css-scanner-pseudo-tab ${activePseudoElement === name ? 'active' : ''}" data-pseudo="${name}">${name}</button>
+          `).join('')}
+        </div>
+      `;
+    }, 'PSEUDO_TABS_HTML_ERROR', { pseudoElements });
     
-    return result.success;
+    return result.success ? result.data : '';
   }
   
-  getHighlightedElement() {
-    return this.highlightedElement;
-  }
-}
-
-class PopupManager {
-  constructor(performanceMonitor, errorHandler) {
-    this.popup = null;
-    this.isPinned = false;
-    this.pinnedPosition = null;
-    this.performanceMonitor = performanceMonitor;
-    this.errorHandler = errorHandler;
-    this.safeWrapper = new SafeWrapper(errorHandler);
-    this.renderAnimationFrame = null;
-    
-    this.categoryIcons = {
-      layout: '📐',
-      boxModel: '📦',
-      border: '🔲',
-      background: '🎨',
-      typography: '📝',
-      flexGrid: '📊',
-      effects: '✨'
-    };
+  generateStateToggleHTML(forcedStates) {
+    const result = this.safeWrapper.execute(() => {
+      const states = [':hover', ':focus', ':focus-visible', ':active', ':checked'];
+      
+      return `
+        <div class="css-scanner-state-section">
+          <div class="css-scanner-section-title">⚡ Force State</div>
+          <div class="css-scanner-state-toggles">
+            ${states.map(state => `
+              <button class="css-scanner-state-btn ${forcedStates.includes(state) ? 'active' : ''}" data-state="${state}">${state}</button>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }, 'STATE_TOGGLE_HTML_ERROR', { forcedStates });
     
-    this.categoryNames = {
-      layout: 'Layout',
-      boxModel: 'Box Model',
-      border: 'Border',
-      background: 'Background',
-      typography: 'Typography',
-      flexGrid: 'Flex & Grid',
-      effects: 'Effects'
-    };
+    return result.success ? result.data : '';
   }
   
-  showPopup(elementData, mousePosition) {
+  showPseudoPanel(pseudoElement) {
     const result = this.safeWrapper.executeDOMOperation(() => {
-      if (!elementData) {
-        throw new Error('No element data to show');
-      }
-      
-      const renderTimer = this.performanceMonitor.startTiming('renderTime');
-      
-      this.closePopup();
-      
-      const fragment = document.createDocumentFragment();
-      
-      this.popup = document.createElement('div');
-      this.popup.className = 'css-scanner-popup';
-      this.popup.innerHTML = this.generatePopupHTML(elementData);
-      
-      fragment.appendChild(this.popup);
-      document.body.appendChild(fragment);
-      
-      // Set position
-      if (this.isPinned && this.pinnedPosition) {
-        this.popup.style.left = this.pinnedPosition.left;
-        this.popup.style.top = this.pinnedPosition.top;
-      } else {
-        this.updatePopupPosition(mousePosition);
-      }
+      if (!this.popup) return;
       
-      // Animation
-      this.scheduleRender(() => {
-        if (this.popup) {
-          this.popup.classList.add('show');
-        }
+      this.popup.querySelectorAll('.css-scanner-pseudo-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.pseudo === pseudoElement);
       });
-      
-      this.updatePinnedState();
-      
-      const renderTime = this.performanceMonitor.endTiming(renderTimer);
-      console.log(`Popup render: ${renderTime.toFixed(2)}ms`);
-      
-      return this.popup;
-    }, 'POPUP_RENDER_FAILED', { elementData, mousePosition });
+      this.popup.querySelectorAll('.css-scanner-pseudo-panel').forEach(panel => {
+        panel.style.display = panel.dataset.pseudoPanel === pseudoElement ? 'block' : 'none';
+      });
+    }, 'PSEUDO_PANEL_SWITCH_ERROR', { pseudoElement });
     
-    return result.success ? result.data : null;
+    return result.success;
   }
   
-  generatePopupHTML(data) {
+  generateCascadeHTML(cascade) {
     const result = this.safeWrapper.execute(() => {
-      const { element, categorized, inline, isPinned } = data;
-      
-      const hasComputedStyles = Object.keys(data.computed || {}).length > 0;
-      const hasInlineStyles = Object.keys(inline || {}).length > 0;
-      const hasCategorizedStyles = Object.values(categorized || {}).some(cat => Object.keys(cat).length > 0);
-      const hasAnyStyles = hasComputedStyles || hasCategorizedStyles;
+      const rules = cascade.rules || [];
+      const inaccessible = cascade.inaccessibleSheets || [];
       
       return `
-        <div class="css-scanner-header ${isPinned ? 'pinned' : ''}">
-          <div class="css-scanner-title">
-            <span class="css-scanner-icon">🔍</span>
-            CSS Scanner
-          </div>
-          <button class="css-scanner-close">×</button>
-        </div>
-        
-        <div class="css-scanner-content">
-          <div class="css-scanner-element-header">
-            <div class="css-scanner-element-info">
-              <div class="css-scanner-element-tag">${element.tagName}</div>
-              ${element.id ? `<div class="css-scanner-element-id">#${element.id}</div>` : ''}
-              ${element.className ? `<div class="css-scanner-element-class">.${element.className.split(' ').filter(c => c && !c.includes('css-scanner')).slice(0, 2).join('.')}</div>` : ''}
-            </div>
-            <div class="css-scanner-pin-indicator" style="display: ${isPinned ? 'block' : 'none'}">📌 Pinned - Click elsewhere to unpin</div>
-            <div class="css-scanner-hover-indicator" style="display: ${isPinned ? 'none' : 'block'}">🖱️ Hovering - Click to pin</div>
-          </div>
-          
-          <div class="css-scanner-selector-section">
-            <div class="css-scanner-section-title">🎯 CSS Selector</div>
-            <div class="css-scanner-selector-value">${element.selector}</div>
-            <button class="css-scanner-copy-btn" data-copy="selector">Copy Selector</button>
+        <div class="css-scanner-category">
+          <div class="css-scanner-category-header" data-category="cascade">
+            <span class="css-scanner-category-icon">🧬</span>
+            <span class="css-scanner-category-name">Matched Rules</span>
+            <span class="css-scanner-category-count">(${rules.length})</span>
+            <span class="css-scanner-category-toggle">▼</span>
           </div>
-          
-          <div class="css-scanner-copy-actions">
-            <button class="css-scanner-copy-btn primary" data-copy="all" ${!hasAnyStyles ? 'disabled title="No styles to copy"' : ''}>
-              Copy All CSS ${hasAnyStyles ? '' : '(None)'}
-            </button>
-            ${hasInlineStyles ? '<button class="css-scanner-copy-btn" data-copy="inline">Inline Styles Only</button>' : ''}
+          <div class="css-scanner-category-content">
+            ${rules.length === 0 ? '<div class="css-scanner-cascade-empty">No author rules match this element.</div>' : ''}
+            ${rules.map(rule => `
+              <div class="css-scanner-cascade-rule">
+                <div class="css-scanner-cascade-selector">
+                  <span>${this.escapeHTML(rule.selector)}</span>
+                  ${rule.origin === 'inline' ? '' : `<span class="css-scanner-cascade-specificity">(${rule.specificity.join(',')})</span>`}
+                </div>
+                <div class="css-scanner-cascade-source" title="${this.escapeHTML(rule.sheetUrl || rule.sheetLabel)}">
+                  ${this.escapeHTML(rule.sheetLabel)}${rule.ruleIndex !== null ? ` · rule #${this.escapeHTML(rule.ruleIndex)}` : ''}
+                </div>
+                ${rule.conditions.length > 0 ? `<div class="css-scanner-cascade-conditions">${rule.conditions.map(c => this.escapeHTML(c)).join(' › ')}</div>` : ''}
+                ${rule.declarations.map(decl => `
+                  <div class="css-scanner-property css-scanner-cascade-decl ${decl.status}">
+                    <span class="css-scanner-prop-name">${this.escapeHTML(decl.property)}</span>
+                    <span class="css-scanner-prop-value" title="${this.escapeHTML(decl.value)}">${this.escapeHTML(decl.value)}${decl.important ? ' !important' : ''}</span>
+                  </div>
+                `).join('')}
+              </div>
+            `).join('')}
+            ${inaccessible.length > 0 ? `<div class="css-scanner-cascade-empty" title="${this.escapeHTML(inaccessible.join('\n'))}">⚠️ ${inaccessible.length} cross-origin stylesheet(s) could not be read.</div>` : ''}
           </div>
-          
-          ${this.generateCategorizedStylesHTML(categorized)}
-          
-          ${hasInlineStyles ? this.generateInlineStylesHTML(inline) : ''}
         </div>
       `;
-    }, 'POPUP_HTML_GENERATION_ERROR', { data });
+    }, 'CASCADE_HTML_ERROR', { cascade });
     
-    return result.success ? result.data : '<div>An error occurred while creating the popup.</div>';
+    return result.success ? result.data : '<div>An error occurred while displaying matched rules.</div>';
   }
   
-  generateCategorizedStylesHTML(categorized) {
+  generateCustomPropertiesHTML(customProperties) {
     const result = this.safeWrapper.execute(() => {
-      return Object.entries(categorized)
-        .filter(([category, styles]) => Object.keys(styles).length > 0)
-        .map(([category, styles]) => `
-          <div class="css-scanner-category">
-            <div class="css-scanner-category-header" data-category="${category}">
-              <span class="css-scanner-category-icon">${this.categoryIcons[category]}</span>
-              <span class="css-scanner-category-name">${this.categoryNames[category]}</span>
-              <span class="css-scanner-category-count">(${Object.keys(styles).length})</span>
-              <span class="css-scanner-category-toggle">▼</span>
-            </div>
-            <div class="css-scanner-category-content">
-              ${Object.entries(styles).map(([prop, value]) => `
+      const { properties, references } = customProperties;
+      if (properties.length === 0 && references.length === 0) return '';
+      
+      const formatSource = (source) => source
+        ? `${source.selector} · ${source.sheetLabel}${source.ruleIndex !== null ? ` #${source.ruleIndex}` : ''}`
+        : '';
+      
+      const referencesHTML = references.length === 0 ? '' : `
+        <div class="css-scanner-category">
+          <div class="css-scanner-category-header" data-category="varReferences">
+            <span class="css-scanner-category-icon">🔗</span>
+            <span class="css-scanner-category-name">var() References</span>
+            <span class="css-scanner-category-count">(${references.length})</span>
+            <span class="css-scanner-category-toggle">▼</span>
+          </div>
+          <div class="css-scanner-category-content">
+            ${references.map(reference => `
+              <div class="css-scanner-cascade-rule">
                 <div class="css-scanner-property">
-                  <span class="css-scanner-prop-name">${prop}</span>
-                  <span class="css-scanner-prop-value" title="${value}">${value}</span>
+                  <span class="css-scanner-prop-name">${this.escapeHTML(reference.property)}</span>
+                  <span class="css-scanner-prop-value" title="${this.escapeHTML(reference.authored)}">${this.escapeHTML(reference.authored)}</span>
                 </div>
-              `).join('')}
-            </div>
+                ${reference.chain.map(step => `
+                  <div class="css-scanner-var-step" style="padding-left: ${44 + step.depth * 12}px !important" title="${this.escapeHTML(formatSource(step.source))}">
+                    ↳ <span class="css-scanner-var-name">${this.escapeHTML(step.name)}</span>
+                    ${step.cycle ? '⚠️ circular reference' : step.value === null
+                      ? `⚠️ undefined${step.fallback ? ` → fallback ${this.escapeHTML(step.fallback)}` : ''}`
+                      : `= ${this.escapeHTML(step.value)} <span class="css-scanner-var-origin">(${this.escapeHTML(step.definedOn)})</span>`}
+                  </div>
+                `).join('')}
+                <div class="css-scanner-var-step css-scanner-var-resolved">= ${this.escapeHTML(reference.resolved)}</div>
+              </div>
+            `).join('')}
           </div>
-        `).join('');
-    }, 'CATEGORIZED_STYLES_HTML_ERROR', { categorized });
+        </div>
+      `;
+      
+      const propertiesHTML = properties.length === 0 ? '' : `
+        <div class="css-scanner-category">
+          <div class="css-scanner-category-header" data-category="customProperties">
+            <span class="css-scanner-category-icon">🎛️</span>
+            <span class="css-scanner-category-name">Custom Properties</span>
+            <span class="css-scanner-category-count">(${properties.length})</span>
+            <span class="css-scanner-category-toggle">▼</span>
+          </div>
+          <div class="css-scanner-category-content">
+            ${properties.map(property => `
+              <div class="css-scanner-property" title="${this.escapeHTML(formatSource(property.source))}">
+                <span class="css-scanner-prop-name">${this.escapeHTML(property.name)}</span>
+                <span class="css-scanner-prop-value">${this.escapeHTML(property.value)}</span>
+              </div>
+              <div class="css-scanner-var-step css-scanner-var-origin">
+                ${property.inherited ? 'inherited from' : 'defined on'} ${this.escapeHTML(property.definedOn)} · ${this.escapeHTML(formatSource(property.source))}
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `;
+      
+      return referencesHTML + propertiesHTML;
+    }, 'CUSTOM_PROPERTIES_HTML_ERROR', { customProperties });
     
-    return result.success ? result.data : '<div>An error occurred while displaying styles.</div>';
+    return result.success ? result.data : '<div>An error occurred while displaying custom properties.</div>';
   }
   
-  generateInlineStylesHTML(inline) {
+  generateStackingHTML(stacking) {
     const result = this.safeWrapper.execute(() => {
+      const { contexts, above, point } = stacking;
+      const coveredNote = above.length > 0 && above[0].covered
+        ? '<div class="css-scanner-cascade-empty">⚠️ The element is not hit-testable here; showing everything at the point.</div>'
+        : '';
+      
       return `
         <div class="css-scanner-category">
-          <div class="css-scanner-category-header" data-category="inline">
-            <span class="css-scanner-category-icon">🎭</span>
-            <span class="css-scanner-category-name">Inline Styles</span>
-            <span class="css-scanner-category-count">(${Object.keys(inline).length})</span>
+          <div class="css-scanner-category-header" data-category="stacking">
+            <span class="css-scanner-category-icon">🥞</span>
+            <span class="css-scanner-category-name">Stacking Contexts</span>
+            <span class="css-scanner-category-count">(${contexts.length})</span>
             <span class="css-scanner-category-toggle">▼</span>
           </div>
           <div class="css-scanner-category-content">
-            ${Object.entries(inline).map(([prop, value]) => `
-              <div class="css-scanner-property">
-                <span class="css-scanner-prop-name">${prop}</span>
-                <span class="css-scanner-prop-value" title="${value}">${value}</span>
+            ${contexts.map(context => `
+              <div class="css-scanner-cascade-rule">
+                <div class="css-scanner-cascade-selector">
+                  <span>${this.escapeHTML(context.selector)}${context.isSelf ? ' (this element)' : ''}</span>
+                  <span class="css-scanner-cascade-specificity">z-index: ${this.escapeHTML(context.zIndex)}</span>
+                </div>
+                ${context.reasons.map(reason => `
+                  <div class="css-scanner-cascade-conditions">${this.escapeHTML(reason)}</div>
+                `).join('')}
               </div>
             `).join('')}
+            <div class="css-scanner-cascade-rule">
+              <div class="css-scanner-section-title css-scanner-stacking-title">
+                Painted above at (${point ? `${Math.round(point.x)}, ${Math.round(point.y)}` : '?'})
+              </div>
+              ${coveredNote}
+              ${above.length === 0 ? '<div class="css-scanner-cascade-empty">Nothing paints on top of this element.</div>' : ''}
+              ${above.map(item => `
+                <div class="css-scanner-property" title="Stacking context: ${this.escapeHTML(item.context)}">
+                  <span class="css-scanner-prop-name">${this.escapeHTML(item.selector)}</span>
+                  <span class="css-scanner-prop-value">z: ${this.escapeHTML(item.zIndex)} · in ${this.escapeHTML(item.context)}</span>
+                </div>
+              `).join('')}
+            </div>
           </div>
         </div>
       `;
-    }, 'INLINE_STYLES_HTML_ERROR', { inline });
+    }, 'STACKING_HTML_ERROR', { stacking });
     
-    return result.success ? result.data : '<div>An error occurred while displaying inline styles.</div>';
+    return result.success ? result.data : '<div>An error occurred while displaying stacking contexts.</div>';
+  }
+  
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
   
   updatePopupPosition(mousePosition) {
@@ -1240,17 +8044,88 @@ class PopupManager {
         cancelAnimationFrame(this.renderAnimationFrame);
         this.renderAnimationFrame = null;
       }
-    }, 'RENDER_CANCEL_ERROR');
+    }, 'RENDER_CANCEL_ERROR');
+    
+    return result.success;
+  }
+  
+  getPopup() {
+    return this.popup;
+  }
+  
+  isPinnedState() {
+    return this.isPinned;
+  }
+}
+
+class ReportPanel {
+  constructor(errorHandler) {
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.panel = null;
+    
+    this.callbacks = {
+      onClick: null,
+      onClose: null
+    };
+  }
+  
+  setCallbacks(callbacks) {
+    const result = this.safeWrapper.execute(() => {
+      this.callbacks = { ...this.callbacks, ...callbacks };
+    }, 'REPORT_PANEL_CALLBACK_SET_ERROR', { callbacks });
+    
+    return result.success;
+  }
+  
+  // Page-level reports (palette, scales) share one docked panel, separate from the element popup
+  show(title, bodyHTML) {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (!this.panel) {
+        this.panel = document.createElement('div');
+        this.panel.className = 'css-scanner-popup css-scanner-report-panel';
+        this.panel.addEventListener('click', (e) => {
+          e.stopPropagation();
+          if (e.target.closest('.css-scanner-close')) {
+            this.hide();
+          } else if (this.callbacks.onClick) {
+            this.callbacks.onClick(e);
+          }
+        });
+      }
+      
+      this.panel.innerHTML = `
+        <div class="css-scanner-header pinned">
+          <div class="css-scanner-title">${title}</div>
+          <button class="css-scanner-close">×</button>
+        </div>
+        <div class="css-scanner-content">${bodyHTML}</div>
+      `;
+      
+      if (!this.panel.isConnected) {
+        document.body.appendChild(this.panel);
+        requestAnimationFrame(() => this.panel && this.panel.classList.add('show'));
+      }
+      return this.panel;
+    }, 'REPORT_PANEL_SHOW_ERROR', { title });
     
-    return result.success;
+    return result.success ? result.data : null;
   }
   
-  getPopup() {
-    return this.popup;
+  hide() {
+    const result = this.safeWrapper.executeDOMOperation(() => {
+      if (this.panel && this.panel.parentNode) {
+        this.panel.classList.remove('show');
+        this.panel.parentNode.removeChild(this.panel);
+      }
+      if (this.callbacks.onClose) this.callbacks.onClose();
+    }, 'REPORT_PANEL_HIDE_ERROR');
+    
+    return result.success;
   }
   
-  isPinnedState() {
-    return this.isPinned;
+  getPanel() {
+    return this.panel && this.panel.isConnected ? this.panel : null;
   }
 }
 
@@ -1262,6 +8137,7 @@ class EventHandler {
     this.mousePosition = { x: 0, y: 0 };
     this.hoverTimeout = null;
     this.hoverDebounceTime = 100;
+    this.lastHoverTarget = null;
     
     this.callbacks = {
       onMouseOver: null,
@@ -1345,31 +8221,46 @@ class EventHandler {
       if (this.callbacks.onMouseMove) {
         this.callbacks.onMouseMove(event, this.mousePosition);
       }
+      
+      // Moving between nodes of one shadow tree fires no mouseover at the document, so hover is tracked here
+      if (this.callbacks.onMouseOver && ShadowDOMHelper.getShadowRoot(event.target)) {
+        const target = ShadowDOMHelper.getDeepTarget(event);
+        if (target !== this.lastHoverTarget) {
+          this.scheduleHover(event, target);
+        }
+      }
     }, 'EVENT_HANDLER_ERROR', { eventType: 'mousemove' });
   }
   
   handleMouseOver(event) {
     this.safeWrapper.execute(() => {
       if (this.callbacks.onMouseOver) {
-        this.clearHoverTimeout();
-        
-        this.hoverTimeout = setTimeout(() => {
-          try {
-            if (this.callbacks.onMouseOver) {
-              this.callbacks.onMouseOver(event);
-            }
-          } catch (error) {
-            this.errorHandler.handleError(error, 'MOUSE_OVER_CALLBACK_ERROR', { event });
-          }
-        }, this.hoverDebounceTime);
+        // composedPath() is only available while the event is dispatching, so resolve the target now
+        this.scheduleHover(event, ShadowDOMHelper.getDeepTarget(event));
       }
     }, 'EVENT_HANDLER_ERROR', { eventType: 'mouseover' });
   }
   
+  scheduleHover(event, target) {
+    this.clearHoverTimeout();
+    this.lastHoverTarget = target;
+    
+    this.hoverTimeout = setTimeout(() => {
+      try {
+        if (this.callbacks.onMouseOver) {
+          this.callbacks.onMouseOver(event, target);
+        }
+      } catch (error) {
+        this.errorHandler.handleError(error, 'MOUSE_OVER_CALLBACK_ERROR', { event });
+      }
+    }, this.hoverDebounceTime);
+  }
+  
   handleMouseOut(event) {
     this.safeWrapper.execute(() => {
       if (this.callbacks.onMouseOut) {
         this.clearHoverTimeout();
+        this.lastHoverTarget = null;
         this.callbacks.onMouseOut(event);
       }
     }, 'EVENT_HANDLER_ERROR', { eventType: 'mouseout' });
@@ -1378,7 +8269,7 @@ class EventHandler {
   handleClick(event) {
     this.safeWrapper.execute(() => {
       if (this.callbacks.onClick) {
-        this.callbacks.onClick(event);
+        this.callbacks.onClick(event, ShadowDOMHelper.getDeepTarget(event));
       }
     }, 'EVENT_HANDLER_ERROR', { eventType: 'click' });
   }
@@ -1424,7 +8315,9 @@ class MessageHandler {
     
     this.callbacks = {
       onToggleScan: null,
-      onGetScanStatus: null
+      onGetScanStatus: null,
+      onScanPalette: null,
+      onAnalyzeScales: null
     };
     
     this.init();
@@ -1461,7 +8354,7 @@ class MessageHandler {
             
           case 'toggleScan':
             if (this.callbacks.onToggleScan) {
-              const result = this.callbacks.onToggleScan();
+              const result = this.callbacks.onToggleScan(request.enabled);
               sendResponse({ success: true, isScanning: result });
             } else {
               sendResponse({ success: false, error: 'No toggle callback' });
@@ -1477,6 +8370,24 @@ class MessageHandler {
             }
             break;
             
+          case 'scanPalette':
+            if (this.callbacks.onScanPalette) {
+              const colorCount = this.callbacks.onScanPalette();
+              sendResponse({ success: colorCount !== null, colorCount });
+            } else {
+              sendResponse({ success: false, error: 'No palette callback' });
+            }
+            break;
+            
+          case 'analyzeScales':
+            if (this.callbacks.onAnalyzeScales) {
+              const offScaleCount = this.callbacks.onAnalyzeScales();
+              sendResponse({ success: offScaleCount !== null, offScaleCount });
+            } else {
+              sendResponse({ success: false, error: 'No scale callback' });
+            }
+            break;
+            
           default:
             sendResponse({ success: false, error: 'Unknown action' });
         }
@@ -1488,6 +8399,85 @@ class MessageHandler {
   }
 }
 
+class FrameContext {
+  constructor(styleCache, errorHandler) {
+    this.styleCache = styleCache;
+    this.errorHandler = errorHandler;
+    this.safeWrapper = new SafeWrapper(errorHandler);
+    this.isTopFrame = window === window.top;
+    this.framePath = [];
+    this.pathPromise = null;
+    this.pendingRequests = new Map();
+    this.requestTimeout = 1000;
+    this.boundMessage = this.handleMessage.bind(this);
+    
+    window.addEventListener('message', this.boundMessage);
+  }
+  
+  // Selectors of the iframes from the top document down to this frame. Cross-origin parents can't be
+  // inspected from here, so each parent frame's scanner answers for the iframe that hosts its child.
+  resolvePath() {
+    if (this.isTopFrame) return Promise.resolve([]);
+    if (this.pathPromise) return this.pathPromise;
+    
+    this.pathPromise = new Promise(resolve => {
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        resolve(['iframe']);
+      }, this.requestTimeout);
+      
+      this.pendingRequests.set(id, (path) => {
+        clearTimeout(timer);
+        resolve(path);
+      });
+      window.parent.postMessage({ type: 'css-scanner:frame-path-request', id }, '*');
+    }).then(path => {
+      this.framePath = path;
+      return path;
+    });
+    
+    return this.pathPromise;
+  }
+  
+  handleMessage(event) {
+    this.safeWrapper.execute(() => {
+      const data = event.data;
+      if (!data || typeof data.type !== 'string' || !data.type.startsWith('css-scanner:')) return;
+      
+      if (data.type === 'css-scanner:frame-path-request') {
+        const frame = ShadowDOMHelper.querySelectorAllDeep(document, 'iframe, frame')
+          .find(candidate => candidate.contentWindow === event.source);
+        if (!frame) return;
+        
+        const selector = this.styleCache.getSelector(frame);
+        this.resolvePath().then(path => {
+          event.source.postMessage({ type: 'css-scanner:frame-path', id: data.id, path: [...path, selector] }, '*');
+        });
+      } else if (data.type === 'css-scanner:frame-path' && event.source === window.parent) {
+        const resolve = this.pendingRequests.get(data.id);
+        if (resolve && Array.isArray(data.path)) {
+          this.pendingRequests.delete(data.id);
+          resolve(data.path.map(String));
+        }
+      }
+    }, 'FRAME_MESSAGE_ERROR');
+  }
+  
+  getFrameInfo() {
+    return {
+      isTopFrame: this.isTopFrame,
+      path: this.framePath,
+      url: location.href
+    };
+  }
+  
+  // Selectors inside a frame only make sense together with the iframe that contains them
+  getFullSelector(selector) {
+    return this.framePath.length > 0 ? [...this.framePath, selector].join(' >>> ') : selector;
+  }
+}
+
 class NotificationManager {
   static errorHandler = null;
   
@@ -1553,6 +8543,10 @@ class NotificationManager {
     this.showMessage(`✅ ${typeName} copied to clipboard!`, 'success');
   }
   
+  static showDownloadSuccess(fileName) {
+    this.showMessage(`✅ Saved ${fileName}`, 'success');
+  }
+  
   static showCopyError(message = 'An error occurred while copying.') {
     this.showMessage(`❌ ${message}`, 'error');
   }
@@ -1566,6 +8560,12 @@ class CSSScanner {
   constructor() {
     this.isScanning = false;
     this.currentElementData = null;
+    this.currentElement = null;
+    this.currentPalette = null;
+    this.currentScaleReport = null;
+    this.showingQueue = false;
+    this.focusPlaygroundOnRender = false;
+    this.subtreeOptions = { maxDepth: 3, includeHidden: false, inlineAssets: false };
     
     // Initialize error handling system
     this.errorHandler = new ErrorHandler();
@@ -1577,12 +8577,74 @@ class CSSScanner {
     // Dependency injection (including error handler)
     this.styleCache = new StyleCache(this.errorHandler);
     this.performanceMonitor = new PerformanceMonitor(this.errorHandler);
-    this.cssAnalyzer = new CSSAnalyzer(this.styleCache, this.errorHandler);
-    this.clipboardManager = new ClipboardManager(this.errorHandler);
-    this.elementSelector = new ElementSelector(this.errorHandler);
-    this.popupManager = new PopupManager(this.performanceMonitor, this.errorHandler);
+    this.cascadeAnalyzer = new CascadeAnalyzer(this.errorHandler);
+    this.defaultStyleBaseline = new DefaultStyleBaseline(this.styleCache, this.errorHandler);
+    this.boxModelOverlay = new BoxModelOverlay(this.errorHandler);
+    this.cssAnalyzer = new CSSAnalyzer(
+      this.styleCache,
+      this.errorHandler,
+      this.cascadeAnalyzer,
+      this.defaultStyleBaseline,
+      this.boxModelOverlay
+    );
+    this.pseudoStateManager = new PseudoStateManager(this.cascadeAnalyzer, this.errorHandler);
+    this.unitConverter = new UnitConverter(this.cssAnalyzer.cssCategories, this.errorHandler);
+    this.layoutOverlay = new LayoutOverlay(this.errorHandler);
+    this.stackingAnalyzer = new StackingContextAnalyzer(this.styleCache, this.errorHandler);
+    this.locatorGenerator = new LocatorGenerator(this.styleCache, this.errorHandler);
+    this.fontFaceResolver = new FontFaceResolver(this.cascadeAnalyzer, this.errorHandler);
+    this.contrastChecker = new ContrastChecker(this.errorHandler);
+    this.animationInspector = new AnimationInspector(this.cascadeAnalyzer, this.errorHandler);
+    this.matchHighlighter = new MatchHighlighter(this.errorHandler);
+    this.reportPanel = new ReportPanel(this.errorHandler);
+    this.elementSelector = new ElementSelector(
+      this.errorHandler,
+      this.boxModelOverlay,
+      this.layoutOverlay,
+      this.matchHighlighter
+    );
+    this.selectorPlayground = new SelectorPlayground(this.cascadeAnalyzer, this.elementSelector, this.errorHandler);
+    this.paletteExtractor = new PaletteExtractor(this.contrastChecker, this.elementSelector, this.errorHandler);
+    this.subtreeExporter = new SubtreeExporter(
+      this.styleCache,
+      this.defaultStyleBaseline,
+      this.elementSelector,
+      this.errorHandler
+    );
+    this.cssOptimizer = new CSSOptimizer(this.errorHandler);
+    this.designTokenExporter = new DesignTokenExporter(
+      this.locatorGenerator,
+      this.contrastChecker,
+      this.cssOptimizer,
+      this.errorHandler
+    );
+    this.componentExtractor = new ComponentExtractor(
+      this.subtreeExporter,
+      this.fontFaceResolver,
+      this.cssOptimizer,
+      this.errorHandler
+    );
+    this.tailwindConverter = new TailwindConverter(this.contrastChecker, this.paletteExtractor, this.errorHandler);
+    this.copyQueue = new CopyQueue(this.errorHandler);
+    this.clipboardManager = new ClipboardManager(
+      this.errorHandler,
+      this.defaultStyleBaseline,
+      this.unitConverter,
+      this.tailwindConverter,
+      this.cssOptimizer,
+      this.copyQueue
+    );
+    this.scaleAnalyzer = new ScaleAnalyzer(
+      this.cssAnalyzer,
+      this.styleCache,
+      this.contrastChecker,
+      this.elementSelector,
+      this.errorHandler
+    );
+    this.popupManager = new PopupManager(this.performanceMonitor, this.errorHandler, this.unitConverter);
     this.eventHandler = new EventHandler(this.errorHandler);
     this.messageHandler = new MessageHandler(this.errorHandler);
+    this.frameContext = new FrameContext(this.styleCache, this.errorHandler);
     
     this.init();
   }
@@ -1601,9 +8663,28 @@ class CSSScanner {
       // Set message handler callbacks
       this.messageHandler.setCallbacks({
         onToggleScan: this.toggleScan.bind(this),
-        onGetScanStatus: () => this.isScanning
+        onGetScanStatus: () => this.isScanning,
+        onScanPalette: this.scanPalette.bind(this),
+        onAnalyzeScales: this.analyzeScales.bind(this)
       });
       
+      this.reportPanel.setCallbacks({
+        onClick: this.handleReportClick.bind(this),
+        onClose: () => {
+          this.elementSelector.clearMatches();
+          this.currentPalette = null;
+          this.currentScaleReport = null;
+          this.showingQueue = false;
+        }
+      });
+      
+      this.copyQueue.setCallbacks({
+        onChange: this.handleCopyQueueChange.bind(this)
+      });
+      
+      this.loadSettings();
+      this.copyQueue.load();
+      
       // Periodic performance monitoring and cache cleanup
       setInterval(() => {
         this.safeWrapper.execute(() => {
@@ -1623,8 +8704,46 @@ class CSSScanner {
     }
   }
   
-  toggleScan() {
+  // Selector strategy priority and the Tailwind theme are edited in the toolbar popup and shared through storage
+  loadSettings() {
+    this.safeWrapper.execute(() => {
+      if (!chrome.storage || !chrome.storage.local) return;
+      
+      chrome.storage.local.get(['selectorStrategies', 'tailwindTheme', 'cssOutputMode', 'designTokens'], (settings) => {
+        if (chrome.runtime.lastError || !settings) return;
+        this.styleCache.setSelectorPriority(settings.selectorStrategies);
+        this.tailwindConverter.setTheme(settings.tailwindTheme || null);
+        this.clipboardManager.setOutputMode(settings.cssOutputMode);
+        this.designTokenExporter.setBaseTokens(settings.designTokens ? settings.designTokens.tokens : null);
+      });
+      
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes.tailwindTheme) {
+          this.tailwindConverter.setTheme(changes.tailwindTheme.newValue || null);
+        }
+        if (changes.cssOutputMode) {
+          this.clipboardManager.setOutputMode(changes.cssOutputMode.newValue);
+        }
+        if (changes.designTokens) {
+          const designTokens = changes.designTokens.newValue;
+          this.designTokenExporter.setBaseTokens(designTokens ? designTokens.tokens : null);
+        }
+        if (changes.selectorStrategies) {
+          this.styleCache.setSelectorPriority(changes.selectorStrategies.newValue);
+          this.reanalyzeCurrentElement();
+        }
+      });
+    }, 'SETTINGS_LOAD_ERROR');
+  }
+  
+  // With an explicit state every frame of the tab ends up in the same mode, whatever it was before
+  toggleScan(enabled) {
     const result = this.safeWrapper.execute(() => {
+      if (typeof enabled === 'boolean' && enabled === this.isScanning) {
+        return this.isScanning;
+      }
+      
       if (this.isScanning) {
         this.stopScan();
       } else {
@@ -1644,6 +8763,8 @@ class CSSScanner {
       this.elementSelector.reset();
       this.popupManager.unpinPopup();
       this.styleCache.clear();
+      this.cascadeAnalyzer.clear();
+      this.frameContext.resolvePath();
       
       this.eventHandler.addEventListeners();
       document.body.style.cursor = 'crosshair';
@@ -1661,10 +8782,15 @@ class CSSScanner {
       
       this.eventHandler.removeEventListeners();
       this.elementSelector.reset();
+      this.pseudoStateManager.clear();
+      this.selectorPlayground.clear();
+      this.layoutOverlay.clearPinned();
+      this.defaultStyleBaseline.destroy();
       this.popupManager.closePopup();
       this.popupManager.cancelRenderFrame();
       
       this.currentElementData = null;
+      this.currentElement = null;
       
       document.body.style.cursor = '';
       
@@ -1674,6 +8800,205 @@ class CSSScanner {
     return result.success;
   }
   
+  scanPalette() {
+    const result = this.safeWrapper.execute(() => {
+      this.elementSelector.clearMatches();
+      this.currentScaleReport = null;
+      this.showingQueue = false;
+      this.currentPalette = this.paletteExtractor.extract();
+      this.showPalette();
+      return this.currentPalette.swatches.length;
+    }, 'PALETTE_SCAN_ERROR');
+    
+    return result.success ? result.data : null;
+  }
+  
+  showPalette(activeIndex = null) {
+    this.reportPanel.show('<span class="css-scanner-icon">🎨</span> Page Palette',
+      this.popupManager.generatePaletteHTML(this.currentPalette, activeIndex));
+  }
+  
+  analyzeScales() {
+    const result = this.safeWrapper.execute(() => {
+      this.elementSelector.clearMatches();
+      this.currentPalette = null;
+      this.showingQueue = false;
+      this.currentScaleReport = this.scaleAnalyzer.analyze();
+      if (!this.currentScaleReport) return null;
+      
+      this.showScaleReport();
+      return this.currentScaleReport.typography.offScale.length + this.currentScaleReport.spacing.offScale.length;
+    }, 'SCALE_ANALYSIS_ERROR');
+    
+    return result.success ? result.data : null;
+  }
+  
+  showCopyQueue() {
+    this.elementSelector.clearMatches();
+    this.currentPalette = null;
+    this.currentScaleReport = null;
+    this.showingQueue = true;
+    this.renderCopyQueue();
+  }
+  
+  renderCopyQueue() {
+    const items = this.copyQueue.getItems();
+    this.reportPanel.show('<span class="css-scanner-icon">🧺</span> Copy Queue',
+      this.popupManager.generateCopyQueueHTML(items, this.clipboardManager.findQueueConflicts(items)));
+  }
+  
+  // The queue lives in session storage, so copies made in other tabs and frames land here too
+  handleCopyQueueChange(state) {
+    this.safeWrapper.execute(() => {
+      if (this.showingQueue) {
+        this.renderCopyQueue();
+      }
+      if (this.currentElementData) {
+        this.currentElementData.copyQueue = state;
+      }
+      
+      const popup = this.popupManager.getPopup();
+      if (!popup) return;
+      const collectBtn = popup.querySelector('[data-toggle="collectMode"]');
+      if (collectBtn) {
+        collectBtn.classList.toggle('active', state.collecting);
+        collectBtn.textContent = state.collecting ? '🧺 Collecting' : '🧺 Collect';
+      }
+      const openBtn = popup.querySelector('[data-queue-action="open"]');
+      if (openBtn) {
+        openBtn.textContent = `Queue (${state.count})`;
+      }
+    }, 'COPY_QUEUE_CHANGE_ERROR', { state });
+  }
+  
+  showScaleReport(activeKey = null) {
+    this.reportPanel.show('<span class="css-scanner-icon">📐</span> Type & Spacing Scale',
+      this.popupManager.generateScaleReportHTML(
+        this.currentScaleReport,
+        this.scaleAnalyzer.describeScale.bind(this.scaleAnalyzer),
+        activeKey
+      ));
+  }
+  
+  // Progress bars follow the live animations for as long as this popup is on the page
+  startAnimationUpdates(popup) {
+    const tick = () => {
+      if (!popup.isConnected) return;
+      this.refreshAnimationRows(popup);
+      requestAnimationFrame(tick);
+    };
+    requestAnimationFrame(tick);
+  }
+  
+  refreshAnimationRows(popup) {
+    this.safeWrapper.execute(() => {
+      popup.querySelectorAll('.css-scanner-anim').forEach(row => {
+        const index = Number(row.dataset.animationIndex);
+        const animation = this.animationInspector.animations[index];
+        if (!animation) return;
+        
+        const { currentTime, progress } = this.animationInspector.getProgress(index);
+        row.querySelector('.css-scanner-anim-state').textContent = animation.playState;
+        row.querySelector('.css-scanner-anim-progress > span').style.width = `${Math.round((progress || 0) * 100)}%`;
+        
+        const scrub = row.querySelector('.css-scanner-anim-scrub');
+        if (scrub && !scrub.matches(':active')) {
+          scrub.value = String(Math.round(currentTime));
+        }
+      });
+    }, 'ANIMATION_REFRESH_ERROR');
+  }
+  
+  toggleCategory(header) {
+    this.safeWrapper.execute(() => {
+      const content = header.nextElementSibling;
+      const toggle = header.querySelector('.css-scanner-category-toggle');
+      
+      if (content && toggle) {
+        if (content.style.display === 'none') {
+          content.style.display = 'block';
+          toggle.textContent = '▼';
+        } else {
+          content.style.display = 'none';
+          toggle.textContent = '▶';
+        }
+      }
+    }, 'CATEGORY_TOGGLE_ERROR');
+  }
+  
+  async handleReportClick(event) {
+    const header = event.target.closest('.css-scanner-category-header');
+    if (header) {
+      this.toggleCategory(header);
+      return;
+    }
+    
+    const offender = event.target.closest('[data-scale-group]');
+    if (offender && this.currentScaleReport) {
+      const { scaleGroup, scaleIndex } = offender.dataset;
+      const key = `${scaleGroup}:${scaleIndex}`;
+      const isActive = offender.classList.contains('active');
+      
+      if (isActive) {
+        this.elementSelector.clearMatches();
+      } else {
+        this.elementSelector.highlightMatches(this.currentScaleReport[scaleGroup].offScale[Number(scaleIndex)].elements, {
+          showIndex: true
+        });
+      }
+      this.showScaleReport(isActive ? null : key);
+      return;
+    }
+    
+    const swatch = event.target.closest('.css-scanner-swatch');
+    if (swatch && this.currentPalette) {
+      const index = Number(swatch.dataset.swatchIndex);
+      const isActive = swatch.classList.contains('active');
+      
+      if (isActive) {
+        this.elementSelector.clearMatches();
+      } else {
+        const { elements, value } = this.currentPalette.swatches[index];
+        this.elementSelector.highlightMatches(elements, { color: value });
+      }
+      this.showPalette(isActive ? null : index);
+      return;
+    }
+    
+    const queueBtn = event.target.closest('[data-queue-action]');
+    if (queueBtn && this.showingQueue && !queueBtn.disabled) {
+      const { queueAction, queueId } = queueBtn.dataset;
+      const result = await this.safeWrapper.executeAsync(async () => {
+        if (queueAction === 'copy') {
+          NotificationManager.showCopySuccess(await this.clipboardManager.copyQueueToClipboard());
+        } else if (queueAction === 'clear') {
+          await this.copyQueue.clear();
+        } else if (queueAction === 'remove') {
+          await this.copyQueue.remove(queueId);
+        } else {
+          await this.copyQueue.move(queueId, queueAction === 'up' ? -1 : 1);
+        }
+      }, 'COPY_QUEUE_ACTION_ERROR', { queueAction, queueId });
+      
+      if (!result.success) {
+        NotificationManager.showCopyError(result.error);
+      }
+      return;
+    }
+    
+    const exportBtn = event.target.closest('[data-export]');
+    if (exportBtn && this.currentPalette) {
+      const result = await this.safeWrapper.executeAsync(async () => {
+        const typeName = await this.clipboardManager.copyPalette(this.currentPalette, exportBtn.dataset.export);
+        NotificationManager.showCopySuccess(typeName);
+      }, 'COPY_BUTTON_ERROR', { format: exportBtn.dataset.export });
+      
+      if (!result.success) {
+        NotificationManager.showCopyError(result.error);
+      }
+    }
+  }
+  
   handleMouseMove(event, mousePosition) {
     this.safeWrapper.execute(() => {
       if (!this.isScanning) return;
@@ -1684,21 +9009,21 @@ class CSSScanner {
     }, 'MOUSE_MOVE_HANDLER_ERROR', { event, mousePosition });
   }
   
-  handleMouseOver(event) {
+  handleMouseOver(event, target = event.target) {
     this.safeWrapper.execute(() => {
-      if (!this.isScanning || this.elementSelector.isPopupElement(event.target)) return;
+      if (!this.isScanning || this.elementSelector.isPopupElement(target)) return;
       
       if (this.popupManager.isPinnedState()) return;
       
-      if (this.elementSelector.isSameElement(event.target)) return;
+      if (this.elementSelector.isSameElement(target)) return;
       
       event.preventDefault();
       event.stopPropagation();
       
-      this.elementSelector.highlightElement(event.target);
+      this.elementSelector.highlightElement(target);
       
-      if (this.isScanning && this.elementSelector.getHighlightedElement() === event.target && !this.popupManager.isPinnedState()) {
-        this.analyzeElement(event.target, false);
+      if (this.isScanning && this.elementSelector.getHighlightedElement() === target && !this.popupManager.isPinnedState()) {
+        this.analyzeElement(target, false);
       }
     }, 'MOUSE_OVER_HANDLER_ERROR', { event });
   }
@@ -1724,11 +9049,11 @@ class CSSScanner {
     }, 'MOUSE_OUT_HANDLER_ERROR', { event });
   }
   
-  handleClick(event) {
+  handleClick(event, target = event.target) {
     this.safeWrapper.execute(() => {
       if (!this.isScanning) return;
       
-      if (this.elementSelector.isPopupElement(event.target)) {
+      if (this.elementSelector.isPopupElement(target)) {
         return;
       }
       
@@ -1737,11 +9062,13 @@ class CSSScanner {
       
       if (this.popupManager.isPinnedState()) {
         this.popupManager.unpinPopup();
+        this.pseudoStateManager.clear();
+        this.selectorPlayground.clear();
         NotificationManager.showMessage('📌 CSS popup unpinned.');
         return;
       }
       
-      this.analyzeElement(event.target, true);
+      this.analyzeElement(target, true);
       this.popupManager.pinPopup();
       NotificationManager.showMessage('📌 CSS popup pinned. Click elsewhere to unpin.');
     }, 'CLICK_HANDLER_ERROR', { event });
@@ -1751,18 +9078,34 @@ class CSSScanner {
     this.safeWrapper.execute(() => {
       if (!this.isScanning) return;
       
+      // The playground input handles its own Escape
+      if (event.target.closest && event.target.closest('.css-scanner-playground-input')) return;
+      
       if (event.key === 'Escape') {
         event.preventDefault();
         if (this.popupManager.isPinnedState()) {
           this.popupManager.unpinPopup();
+          this.pseudoStateManager.clear();
+          this.selectorPlayground.clear();
           NotificationManager.showMessage('📌 CSS popup unpinned.');
         } else {
           this.stopScan();
+          this.broadcastScanState(false);
         }
       }
     }, 'KEY_DOWN_HANDLER_ERROR', { event });
   }
   
+  // Scan mode changed from inside one frame is mirrored to the other frames of the tab
+  broadcastScanState(enabled) {
+    this.safeWrapper.execute(() => {
+      chrome.runtime.sendMessage({ action: 'broadcastScanState', enabled }, () => {
+        // Reading lastError keeps Chrome from logging a missing receiver
+        void chrome.runtime.lastError;
+      });
+    }, 'SCAN_STATE_BROADCAST_ERROR', { enabled });
+  }
+  
   analyzeElement(element, willPin = false) {
     this.safeWrapper.execute(() => {
       if (!element) {
@@ -1772,12 +9115,35 @@ class CSSScanner {
       console.log('=== Element analysis starting (with error handling) ===');
       const timer = this.performanceMonitor.startTiming('analysisTime');
       
-      const cssInfo = this.cssAnalyzer.extractCSSInfo(element);
+      const forcedStates = this.pseudoStateManager.getForcedStates(element);
+      const cssInfo = this.cssAnalyzer.extractCSSInfo(element, { includeCascade: willPin, forcedStates });
       
+      // Keep the tab selection when the same element is re-analyzed (e.g. after forcing a state)
+      const activePseudoElement = this.currentElement === element && this.currentElementData
+        ? this.currentElementData.activePseudoElement
+        : null;
+      
+      this.currentElement = element;
       this.currentElementData = { 
         ...cssInfo, 
+        element: { ...cssInfo.element, fullSelector: this.frameContext.getFullSelector(cssInfo.element.selector) },
+        frame: this.frameContext.getFrameInfo(),
+        unitContext: this.unitConverter.getContext(element),
         isPinned: willPin, 
-        element: element
+        forcedStates,
+        layoutType: this.layoutOverlay.getLayoutType(element),
+        layoutOverlayPinned: this.layoutOverlay.isPinned(element),
+        copyQueue: this.copyQueue.getState(),
+        contrast: this.contrastChecker.check(element),
+        // Both walk the stylesheet index, so like the cascade they are only built for a pinned element
+        fontFace: willPin ? this.fontFaceResolver.resolve(element) : null,
+        animations: willPin ? this.animationInspector.inspect(element) : null,
+        stacking: willPin ? this.stackingAnalyzer.analyze(element, this.eventHandler.getMousePosition()) : null,
+        // Locators are checked against the whole document, which is too slow to redo on every hover
+        locators: willPin ? this.locatorGenerator.generate(element) : null,
+        playground: willPin ? this.selectorPlayground.getState() : null,
+        subtreeOptions: willPin ? this.subtreeOptions : null,
+        activePseudoElement: cssInfo.pseudoElements && cssInfo.pseudoElements[activePseudoElement] ? activePseudoElement : null
       };
       
       const popup = this.popupManager.showPopup(this.currentElementData, this.eventHandler.getMousePosition());
@@ -1801,6 +9167,8 @@ class CSSScanner {
           this.safeWrapper.execute(() => {
             e.stopPropagation();
             this.popupManager.unpinPopup();
+            this.pseudoStateManager.clear();
+            this.selectorPlayground.clear();
             this.popupManager.closePopup();
           }, 'CLOSE_BUTTON_ERROR');
         });
@@ -1813,15 +9181,23 @@ class CSSScanner {
           
           const btn = e.target;
           const originalText = btn.textContent;
+          const isDownload = Boolean(btn.dataset.download);
           btn.disabled = true;
-          btn.textContent = 'Copying...';
+          btn.textContent = isDownload ? 'Saving...' : 'Copying...';
           btn.style.opacity = '0.6';
           
           const result = await this.safeWrapper.executeAsync(async () => {
-            const copyType = btn.dataset.copy;
-            const typeName = await this.clipboardManager.copyToClipboard(this.currentElementData, copyType);
-            NotificationManager.showCopySuccess(typeName);
-          }, 'COPY_BUTTON_ERROR', { copyType: btn.dataset.copy });
+            const copyType = btn.dataset.copy || btn.dataset.download;
+            const source = await this.getCopySource(copyType);
+            if (!isDownload && this.clipboardManager.shouldQueue(copyType)) {
+              const count = await this.clipboardManager.queueCopy(source, copyType);
+              NotificationManager.showMessage(`🧺 Added ${source.element.selector} to the copy queue (${count} ${count === 1 ? 'rule' : 'rules'})`, 'success');
+            } else if (isDownload) {
+              NotificationManager.showDownloadSuccess(this.clipboardManager.downloadFile(source, copyType));
+            } else {
+              NotificationManager.showCopySuccess(await this.clipboardManager.copyToClipboard(source, copyType));
+            }
+          }, 'COPY_BUTTON_ERROR', { copyType: btn.dataset.copy || btn.dataset.download });
           
           if (!result.success) {
             NotificationManager.showCopyError(result.error);
@@ -1835,25 +9211,119 @@ class CSSScanner {
         }
       });
       
-      // Category toggle events
+      // Pseudo-element tab and forced state events
       popup.addEventListener('click', (e) => {
-        const header = e.target.closest('.css-scanner-category-header');
-        if (header) {
+        const tab = e.target.closest('.css-scanner-pseudo-tab');
+        if (tab) {
           this.safeWrapper.execute(() => {
             e.stopPropagation();
-            const content = header.nextElementSibling;
-            const toggle = header.querySelector('.css-scanner-category-toggle');
-            
-            if (content && toggle) {
-              if (content.style.display === 'none') {
-                content.style.display = 'block';
-                toggle.textContent = '▼';
-              } else {
-                content.style.display = 'none';
-                toggle.textContent = '▶';
-              }
+            const pseudoElement = tab.dataset.pseudo || null;
+            if (this.currentElementData) {
+              this.currentElementData.activePseudoElement = pseudoElement;
+            }
+            this.popupManager.showPseudoPanel(tab.dataset.pseudo);
+          }, 'PSEUDO_TAB_ERROR');
+          return;
+        }
+        
+        const stateBtn = e.target.closest('.css-scanner-state-btn');
+        if (stateBtn) {
+          this.safeWrapper.execute(() => {
+            e.stopPropagation();
+            this.togglePseudoState(stateBtn.dataset.state);
+          }, 'PSEUDO_STATE_BUTTON_ERROR');
+          return;
+        }
+        
+        const toggleBtn = e.target.closest('.css-scanner-toggle-btn');
+        if (toggleBtn && toggleBtn.dataset.toggle === 'showAllProperties') {
+          this.safeWrapper.execute(() => {
+            e.stopPropagation();
+            this.cssAnalyzer.setShowAllProperties(!this.cssAnalyzer.showAllProperties);
+            this.reanalyzeCurrentElement();
+          }, 'SHOW_ALL_TOGGLE_ERROR');
+        } else if (toggleBtn && toggleBtn.dataset.toggle === 'layoutOverlay') {
+          this.safeWrapper.execute(() => {
+            e.stopPropagation();
+            const pinned = this.layoutOverlay.togglePinned(this.currentElement);
+            if (this.currentElementData) {
+              this.currentElementData.layoutOverlayPinned = pinned;
             }
-          }, 'CATEGORY_TOGGLE_ERROR');
+            toggleBtn.classList.toggle('active', pinned);
+            toggleBtn.textContent = pinned ? '📌 Overlay kept' : '📌 Keep overlay';
+          }, 'LAYOUT_OVERLAY_TOGGLE_ERROR');
+        } else if (toggleBtn && toggleBtn.dataset.toggle === 'collectMode') {
+          e.stopPropagation();
+          this.safeWrapper.executeAsync(async () => {
+            await this.copyQueue.setCollecting(!this.copyQueue.collecting);
+          }, 'COLLECT_MODE_TOGGLE_ERROR');
+        } else if (toggleBtn && toggleBtn.dataset.queueAction === 'open') {
+          this.safeWrapper.execute(() => {
+            e.stopPropagation();
+            this.showCopyQueue();
+          }, 'COPY_QUEUE_OPEN_ERROR');
+        }
+      });
+      
+      // Animation playback controls
+      popup.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('[data-animation-action]');
+        if (!actionBtn) return;
+        
+        e.stopPropagation();
+        const index = Number(actionBtn.closest('.css-scanner-anim').dataset.animationIndex);
+        if (actionBtn.dataset.animationAction === 'replay') {
+          this.animationInspector.replay(index);
+        } else {
+          this.animationInspector.togglePlayback(index);
+        }
+        this.refreshAnimationRows(popup);
+      });
+      
+      popup.addEventListener('input', (e) => {
+        if (!e.target.classList.contains('css-scanner-anim-scrub')) return;
+        
+        const index = Number(e.target.closest('.css-scanner-anim').dataset.animationIndex);
+        this.animationInspector.scrub(index, Number(e.target.value));
+        this.refreshAnimationRows(popup);
+      });
+      
+      if (popup.querySelector('.css-scanner-anim')) {
+        this.startAnimationUpdates(popup);
+      }
+      
+      this.setupPlaygroundEvents(popup);
+      
+      // Subtree export options only matter at copy time, so no re-render
+      popup.addEventListener('change', (e) => {
+        const option = e.target.closest('.css-scanner-subtree-option');
+        if (!option) return;
+        
+        e.stopPropagation();
+        const name = option.dataset.subtreeOption;
+        this.subtreeOptions[name] = name === 'maxDepth' ? Number(option.value) : option.checked;
+      });
+      
+      // Unit mode changes re-render every value in the new unit
+      popup.addEventListener('change', (e) => {
+        const unitSelect = e.target.closest('.css-scanner-unit-select');
+        if (!unitSelect) return;
+        
+        this.safeWrapper.execute(() => {
+          e.stopPropagation();
+          this.unitConverter.setUnit(unitSelect.dataset.unitGroup, unitSelect.value);
+          this.reanalyzeCurrentElement();
+        }, 'UNIT_SELECT_ERROR', { group: unitSelect.dataset.unitGroup });
+      });
+      
+      // Category toggle events
+      popup.addEventListener('click', (e) => {
+        if (e.target.closest('.css-scanner-unit-select')) return;
+        
+        const header = e.target.closest('.css-scanner-category-header');
+        if (header) {
+          e.stopPropagation();
+          this.toggleCategory(header);
         }
       });
       
@@ -1877,6 +9347,131 @@ class CSSScanner {
     return result.success;
   }
   
+  setupPlaygroundEvents(popup) {
+    const input = popup.querySelector('.css-scanner-playground-input');
+    if (!input) return;
+    
+    const updateStatus = () => {
+      const status = popup.querySelector('.css-scanner-playground-status');
+      if (status) {
+        status.innerHTML = this.popupManager.generatePlaygroundStatusHTML(this.selectorPlayground.getState());
+      }
+    };
+    
+    input.addEventListener('input', () => {
+      this.safeWrapper.execute(() => {
+        this.selectorPlayground.search(input.value);
+        updateStatus();
+      }, 'SELECTOR_PLAYGROUND_INPUT_ERROR');
+    });
+    
+    input.addEventListener('keydown', (e) => {
+      this.safeWrapper.execute(() => {
+        e.stopPropagation();
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          this.openPlaygroundMatch();
+        } else if (e.key === 'Enter' || e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          this.selectorPlayground.step(e.key === 'ArrowUp' || (e.key === 'Enter' && e.shiftKey) ? -1 : 1);
+          updateStatus();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          input.value = '';
+          this.selectorPlayground.clear();
+          updateStatus();
+        }
+      }, 'SELECTOR_PLAYGROUND_KEY_ERROR', { key: e.key });
+    });
+    
+    popup.addEventListener('click', (e) => {
+      const actionBtn = e.target.closest('[data-playground-action]');
+      if (!actionBtn) return;
+      
+      this.safeWrapper.execute(() => {
+        e.stopPropagation();
+        const action = actionBtn.dataset.playgroundAction;
+        if (action === 'analyze') {
+          this.openPlaygroundMatch();
+          return;
+        }
+        this.selectorPlayground.step(action === 'previous' ? -1 : 1);
+        updateStatus();
+      }, 'SELECTOR_PLAYGROUND_ACTION_ERROR', { action: actionBtn.dataset.playgroundAction });
+    });
+    
+    if (this.focusPlaygroundOnRender) {
+      this.focusPlaygroundOnRender = false;
+      input.focus();
+      input.setSelectionRange(input.value.length, input.value.length);
+    }
+  }
+  
+  // Re-pins the popup on the current match; the playground keeps its selector and highlights
+  openPlaygroundMatch() {
+    const element = this.selectorPlayground.getActive();
+    if (!element) return;
+    
+    this.elementSelector.highlightElement(element);
+    this.focusPlaygroundOnRender = true;
+    this.analyzeElement(element, true);
+  }
+  
+  togglePseudoState(state) {
+    const result = this.safeWrapper.execute(() => {
+      if (!this.currentElement || !this.popupManager.isPinnedState()) return;
+      
+      this.pseudoStateManager.toggleState(this.currentElement, state);
+      this.styleCache.invalidate(this.currentElement);
+      this.analyzeElement(this.currentElement, true);
+    }, 'PSEUDO_STATE_TOGGLE_ERROR', { state });
+    
+    return result.success;
+  }
+  
+  reanalyzeCurrentElement() {
+    const result = this.safeWrapper.execute(() => {
+      if (!this.currentElement) return;
+      this.analyzeElement(this.currentElement, this.popupManager.isPinnedState());
+    }, 'REANALYZE_ERROR');
+    
+    return result.success;
+  }
+  
+  // Copy actions follow the selected pseudo-element tab and forced states
+  async getCopySource(copyType = null) {
+    const data = this.currentElementData;
+    if (!data || !data.element) return data;
+    
+    // The subtree is walked when copied, not on every render
+    if ((copyType === 'scss' || copyType === 'less') && this.currentElement) {
+      return { ...data, subtree: this.subtreeExporter.collect(this.currentElement, this.subtreeOptions) };
+    }
+    if (copyType === 'tokens' && this.currentElement) {
+      return { ...data, tokens: this.designTokenExporter.generate(this.currentElement) };
+    }
+    if (copyType === 'component' && this.currentElement) {
+      return { ...data, component: await this.componentExtractor.extract(this.currentElement, this.subtreeOptions) };
+    }
+    
+    const pseudoElement = data.activePseudoElement;
+    const states = (data.forcedStates || []).join('');
+    if (!pseudoElement && !states) return data;
+    
+    const element = { ...data.element, selector: `${data.element.selector}${states}${pseudoElement || ''}` };
+    if (!pseudoElement) return { ...data, element };
+    
+    const pseudoData = (data.pseudoElements || {})[pseudoElement] || {};
+    return {
+      ...data,
+      element,
+      computed: pseudoData.computed || {},
+      categorized: pseudoData.categorized || {},
+      defaults: pseudoData.defaults || null,
+      inline: {}
+    };
+  }
+  
   isMouseOverPopup() {
     const result = this.safeWrapper.execute(() => {
       const mousePos = this.eventHandler.getMousePosition();
@@ -1907,6 +9502,9 @@ class CSSScanner {
 
 (() => {
   try {
+    // match_about_blank also injects into the scanner's own baseline iframe, which must stay inert
+    if (window.frameElement?.hasAttribute('data-css-scanner')) return;
+    
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => {
         try {
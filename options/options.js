@@ -0,0 +1,92 @@
+class OptionsController {
+  constructor() {
+    this.status = document.getElementById('status');
+    this.tokensFileInput = document.getElementById('designTokensFile');
+    this.tokensInfo = document.getElementById('designTokensInfo');
+    this.clearTokensButton = document.getElementById('clearDesignTokens');
+    
+    this.init();
+  }
+  
+  init() {
+    this.tokensFileInput.addEventListener('change', () => this.uploadDesignTokens());
+    this.clearTokensButton.addEventListener('click', () => this.clearDesignTokens());
+    this.loadDesignTokens();
+  }
+  
+  async loadDesignTokens() {
+    try {
+      const { designTokens } = await chrome.storage.local.get('designTokens');
+      this.showDesignTokensInfo(designTokens);
+    } catch (error) {
+      console.log('Design tokens unavailable:', error);
+    }
+  }
+  
+  showDesignTokensInfo(designTokens) {
+    this.tokensInfo.textContent = designTokens
+      ? `${designTokens.name} (${designTokens.tokenCount} tokens)`
+      : 'No tokens file loaded';
+    this.clearTokensButton.disabled = !designTokens;
+  }
+  
+  // Like the Tailwind theme, the file is stored parsed so content scripts never see invalid JSON
+  async uploadDesignTokens() {
+    const file = this.tokensFileInput.files[0];
+    if (!file) return;
+    
+    let tokens;
+    try {
+      tokens = JSON.parse(await file.text());
+    } catch (error) {
+      this.updateStatus('Tokens file is not valid JSON: ' + error.message, 'error');
+      return;
+    }
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+      this.updateStatus('Tokens file must contain a JSON object', 'error');
+      return;
+    }
+    
+    const countTokens = (node) => Object.entries(node)
+      .filter(([key, child]) => !key.startsWith('$') && child && typeof child === 'object')
+      .reduce((count, [, child]) => count + ('$value' in child ? 1 : countTokens(child)), 0);
+    const designTokens = { name: file.name, tokenCount: countTokens(tokens), tokens };
+    
+    try {
+      await chrome.storage.local.set({ designTokens });
+      this.showDesignTokensInfo(designTokens);
+      this.updateStatus(`Loaded ${designTokens.tokenCount} tokens from ${file.name}`, 'active');
+    } catch (error) {
+      console.error('Saving design tokens failed:', error);
+      this.updateStatus('Could not save the tokens file', 'error');
+    } finally {
+      this.tokensFileInput.value = '';
+    }
+  }
+  
+  async clearDesignTokens() {
+    try {
+      await chrome.storage.local.remove('designTokens');
+      this.showDesignTokensInfo(null);
+      this.updateStatus('Token exports are no longer merged', 'active');
+    } catch (error) {
+      console.error('Removing design tokens failed:', error);
+      this.updateStatus('Could not remove the tokens file', 'error');
+    }
+  }
+  
+  updateStatus(message, type = 'normal') {
+    this.status.textContent = message;
+    this.status.classList.remove('active', 'error');
+    
+    if (type === 'active') {
+      this.status.classList.add('active');
+    } else if (type === 'error') {
+      this.status.classList.add('error');
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
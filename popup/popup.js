@@ -1,17 +1,111 @@
 class PopupController {
   constructor() {
     this.scanButton = document.getElementById('toggleScan');
+    this.paletteButton = document.getElementById('scanPalette');
+    this.scaleButton = document.getElementById('analyzeScales');
     this.status = document.getElementById('status');
+    this.strategyList = document.getElementById('selectorStrategies');
+    this.tailwindThemeInput = document.getElementById('tailwindTheme');
+    this.saveThemeButton = document.getElementById('saveTailwindTheme');
+    this.outputModeSelect = document.getElementById('cssOutputMode');
+    this.tokensInfo = document.getElementById('designTokensInfo');
+    this.manageTokensButton = document.getElementById('manageDesignTokens');
     this.isScanning = false;
     
+    // Keys match SelectorGenerator's strategy names in the content script
+    this.strategyLabels = {
+      testId: 'Test ids (data-testid, data-cy…)',
+      id: 'Element id',
+      attributes: 'aria-label, name, role',
+      classes: 'Class names (hashed ones skipped)',
+      tag: 'Tag name'
+    };
+    this.strategies = Object.keys(this.strategyLabels).map(name => ({ name, enabled: true }));
+    
     this.init();
   }
   
   init() {
     this.scanButton.addEventListener('click', () => this.toggleScan());
+    this.paletteButton.addEventListener('click', () => this.runPageReport(this.paletteButton, 'scanPalette',
+      response => `Found ${response.colorCount} colors. See the palette panel on the page.`));
+    this.scaleButton.addEventListener('click', () => this.runPageReport(this.scaleButton, 'analyzeScales',
+      response => `${response.offScaleCount} off-scale values. See the scale panel on the page.`));
+    this.strategyList.addEventListener('click', (event) => this.handleStrategyClick(event));
+    this.strategyList.addEventListener('change', (event) => this.handleStrategyClick(event));
+    this.saveThemeButton.addEventListener('click', () => this.saveTailwindTheme());
+    this.outputModeSelect.addEventListener('change', () => this.saveOutputMode());
+    this.manageTokensButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    this.loadStrategies();
+    this.loadTailwindTheme();
+    this.loadOutputMode();
+    this.loadDesignTokens();
     this.checkCurrentTab();
   }
   
+  // The order is saved as the list of enabled strategies; disabled ones keep their place in the UI
+  async loadStrategies() {
+    try {
+      const { selectorStrategies, selectorStrategyOrder } = await chrome.storage.local.get(['selectorStrategies', 'selectorStrategyOrder']);
+      if (Array.isArray(selectorStrategyOrder)) {
+        const known = selectorStrategyOrder.filter(name => this.strategyLabels[name]);
+        const missing = Object.keys(this.strategyLabels).filter(name => !known.includes(name));
+        this.strategies = [...known, ...missing].map(name => ({
+          name,
+          enabled: !Array.isArray(selectorStrategies) || selectorStrategies.includes(name)
+        }));
+      }
+    } catch (error) {
+      console.log('Selector strategy settings unavailable:', error);
+    }
+    this.renderStrategies();
+  }
+  
+  renderStrategies() {
+    this.strategyList.innerHTML = this.strategies.map((strategy, index) => `
+      <li class="strategy-item ${strategy.enabled ? '' : 'disabled'}" data-index="${index}">
+        <label>
+          <input type="checkbox" ${strategy.enabled ? 'checked' : ''}>
+          ${this.strategyLabels[strategy.name]}
+        </label>
+        <button class="strategy-move" data-move="-1" title="Try earlier" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button class="strategy-move" data-move="1" title="Try later" ${index === this.strategies.length - 1 ? 'disabled' : ''}>↓</button>
+      </li>
+    `).join('');
+  }
+  
+  handleStrategyClick(event) {
+    const item = event.target.closest('.strategy-item');
+    if (!item) return;
+    
+    const index = Number(item.dataset.index);
+    if (event.type === 'change' && event.target.type === 'checkbox') {
+      this.strategies[index].enabled = event.target.checked;
+    } else if (event.type === 'click' && event.target.dataset.move) {
+      const target = index + Number(event.target.dataset.move);
+      if (target < 0 || target >= this.strategies.length) return;
+      [this.strategies[index], this.strategies[target]] = [this.strategies[target], this.strategies[index]];
+    } else {
+      return;
+    }
+    
+    this.renderStrategies();
+    this.saveStrategies();
+  }
+  
+  // Content scripts in every tab pick the change up from storage
+  async saveStrategies() {
+    try {
+      await chrome.storage.local.set({
+        selectorStrategyOrder: this.strategies.map(strategy => strategy.name),
+        selectorStrategies: this.strategies.filter(strategy => strategy.enabled).map(strategy => strategy.name)
+      });
+    } catch (error) {
+      console.error('Saving selector strategies failed:', error);
+      this.updateStatus('Could not save selector settings', 'error');
+    }
+  }
+  
   async checkCurrentTab() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -72,7 +166,7 @@ class PopupController {
       
       // Direct ping test
       try {
-        const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' }, { frameId: 0 });
         if (response && response.pong) {
           console.log('Content script already ready');
           return true;
@@ -107,6 +201,76 @@ class PopupController {
     }
   }
   
+  async loadTailwindTheme() {
+    try {
+      const { tailwindTheme } = await chrome.storage.local.get('tailwindTheme');
+      this.tailwindThemeInput.value = tailwindTheme ? JSON.stringify(tailwindTheme, null, 2) : '';
+    } catch (error) {
+      console.log('Tailwind theme unavailable:', error);
+    }
+  }
+  
+  // Stored parsed, so content scripts never see invalid JSON
+  async saveTailwindTheme() {
+    const text = this.tailwindThemeInput.value.trim();
+    let theme = null;
+    
+    if (text) {
+      try {
+        theme = JSON.parse(text);
+      } catch (error) {
+        this.updateStatus('Tailwind theme is not valid JSON: ' + error.message, 'error');
+        return;
+      }
+      if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+        this.updateStatus('Tailwind theme must be a JSON object', 'error');
+        return;
+      }
+    }
+    
+    try {
+      if (theme) {
+        await chrome.storage.local.set({ tailwindTheme: theme });
+      } else {
+        await chrome.storage.local.remove('tailwindTheme');
+      }
+      this.updateStatus(theme ? 'Tailwind theme saved' : 'Using the default Tailwind theme', 'active');
+    } catch (error) {
+      console.error('Saving Tailwind theme failed:', error);
+      this.updateStatus('Could not save the Tailwind theme', 'error');
+    }
+  }
+  
+  async loadOutputMode() {
+    try {
+      const { cssOutputMode } = await chrome.storage.local.get('cssOutputMode');
+      this.outputModeSelect.value = cssOutputMode === 'minified' ? 'minified' : 'pretty';
+    } catch (error) {
+      console.log('CSS output mode unavailable:', error);
+    }
+  }
+  
+  async saveOutputMode() {
+    try {
+      await chrome.storage.local.set({ cssOutputMode: this.outputModeSelect.value });
+      this.updateStatus(`Copied CSS will be ${this.outputModeSelect.value}`, 'active');
+    } catch (error) {
+      console.error('Saving CSS output mode failed:', error);
+      this.updateStatus('Could not save the CSS output mode', 'error');
+    }
+  }
+  
+  async loadDesignTokens() {
+    try {
+      const { designTokens } = await chrome.storage.local.get('designTokens');
+      this.tokensInfo.textContent = designTokens
+        ? `${designTokens.name} (${designTokens.tokenCount} tokens)`
+        : 'No tokens file loaded';
+    } catch (error) {
+      console.log('Design tokens unavailable:', error);
+    }
+  }
+  
   async toggleScan() {
     try {
       this.updateButtonState('loading');
@@ -127,10 +291,11 @@ class PopupController {
         return;
       }
       
-      // Request scan toggle
+      // Request scan toggle in every frame; the explicit state keeps frames in sync
       try {
         const response = await chrome.tabs.sendMessage(tab.id, {
-          action: 'toggleScan'
+          action: 'toggleScan',
+          enabled: !this.isScanning
         });
         
         console.log('Toggle scan response:', response);
@@ -158,6 +323,39 @@ class PopupController {
     }
   }
   
+  // Page-level reports render in a panel on the page; the toolbar popup only reports the outcome
+  async runPageReport(button, action, describeResponse) {
+    try {
+      button.disabled = true;
+      
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      
+      if (!tab) {
+        this.updateStatus('Cannot find active tab', 'error');
+        return;
+      }
+      
+      const prepared = await this.prepareContentScript(tab.id);
+      if (!prepared) {
+        this.updateStatus('Page preparation failed', 'error');
+        return;
+      }
+      
+      const response = await chrome.tabs.sendMessage(tab.id, { action }, { frameId: 0 });
+      
+      if (response && response.success) {
+        this.updateStatus(describeResponse(response), 'active');
+      } else {
+        throw new Error((response && response.error) || 'Page analysis failed');
+      }
+    } catch (error) {
+      console.error(`Error running ${action}:`, error);
+      this.updateStatus('Error occurred: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+  
   async checkScanStatus() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -166,7 +364,7 @@ class PopupController {
         try {
           const response = await chrome.tabs.sendMessage(tab.id, {
             action: 'getScanStatus'
-          });
+          }, { frameId: 0 });
           
           if (response && response.isScanning !== undefined) {
             this.isScanning = response.isScanning;
@@ -230,6 +428,8 @@ class PopupController {
   }
   
   disableButton() {
+    this.paletteButton.disabled = true;
+    this.scaleButton.disabled = true;
     this.scanButton.disabled = true;
     this.scanButton.classList.add('disabled');
     this.scanButton.classList.remove('active', 'loading', 'error');